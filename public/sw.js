@@ -0,0 +1,66 @@
+// Service worker: keeps the app shell and built assets available offline.
+// The asset list comes from the Vite build manifest (build.manifest in vite.config.js),
+// so lazily loaded chunks such as the keyword lists and sql.js are cached up front.
+
+const CACHE = "polyglot-shell-v1";
+const FONTS_CACHE = "polyglot-fonts-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/icon-192.png", "/icon-512.png", "/vite.svg"];
+const ASSET_MANIFEST = "/asset-manifest.json";
+const FONT_HOSTS = ["fonts.googleapis.com", "fonts.gstatic.com"];
+
+// Caches every built file the manifest lists and drops assets from older builds.
+async function syncAssets() {
+  const res = await fetch(ASSET_MANIFEST, { cache: "no-store" }).catch(() => null);
+  if (!res?.ok) return;
+  const manifest = await res.json();
+  const files = new Set(Object.values(manifest).flatMap(c => [c.file, ...(c.css || []), ...(c.assets || [])]).map(f => `/${f}`));
+  const cache = await caches.open(CACHE);
+  const cached = new Set((await cache.keys()).map(r => new URL(r.url).pathname));
+  await cache.addAll([...files].filter(f => !cached.has(f)));
+  await Promise.all([...cached].filter(f => f.startsWith("/assets/") && !files.has(f)).map(f => cache.delete(f)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(SHELL)).then(syncAssets).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = [CACHE, FONTS_CACHE];
+    await Promise.all((await caches.keys()).filter(k => !keep.includes(k)).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+async function fromCache(request, cacheName = CACHE) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok || res.type === "opaque") (await caches.open(cacheName)).put(request, res.clone());
+  return res;
+}
+
+// Pages come from the network when possible so a new build is picked up right away
+async function page(event) {
+  try {
+    const res = await fetch(event.request);
+    if (res.ok) {
+      (await caches.open(CACHE)).put("/", res.clone());
+      event.waitUntil(syncAssets());
+    }
+    return res;
+  } catch {
+    return (await caches.match("/")) || Response.error();
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || request.headers.has("range")) return;
+  const url = new URL(request.url);
+  if (FONT_HOSTS.includes(url.hostname)) return event.respondWith(fromCache(request, FONTS_CACHE));
+  // API calls, translation providers and media stay on the network
+  if (url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  if (request.mode === "navigate") return event.respondWith(page(event));
+  event.respondWith(fromCache(request));
+});
@@ -0,0 +1,258 @@
+import { createServer } from "node:http";
+import { Readable, Transform, pipeline } from "node:stream";
+import { HttpError } from "./errors.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { createAssemblyAIClient } from "./assemblyai.js";
+import { createMediaResolver, parseMediaUrl, looksLikeMedia } from "./resolver.js";
+import { createOutboundFetch } from "./outbound.js";
+import { createFileStore } from "./store.js";
+import { createSyncService } from "./sync.js";
+
+// Transcript parameters the browser may set; anything else is dropped.
+const TRANSCRIPT_OPTIONS = [
+  "speech_models", "language_code", "language_detection", "speaker_labels",
+  "summarization", "summary_model", "summary_type", "punctuate", "format_text",
+];
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+export function configFromEnv(env = process.env) {
+  const num = (v, fallback) => (v != null && v !== "" && Number.isFinite(Number(v)) ? Number(v) : fallback);
+  return {
+    port: num(env.PORT, 8787),
+    apiKey: env.ASSEMBLYAI_API_KEY || "",
+    assemblyBaseUrl: env.ASSEMBLYAI_BASE_URL || "https://api.assemblyai.com",
+    maxUploadBytes: num(env.MAX_UPLOAD_MB, 500) * 1024 * 1024,
+    allowedTypes: (env.ALLOWED_MEDIA_TYPES || "audio/,video/").split(",").map(s => s.trim()).filter(Boolean),
+    rateWindowMs: num(env.RATE_LIMIT_WINDOW_MS, 60_000),
+    rateMax: num(env.RATE_LIMIT_MAX, 120),
+    jobRateMax: num(env.JOB_RATE_LIMIT_MAX, 10),
+    corsOrigin: env.CORS_ORIGIN || "",
+    trustProxy: env.TRUST_PROXY === "1" || env.TRUST_PROXY === "true",
+    ytdlpPath: env.YTDLP_PATH || "",
+    // "open" (default) or "accounts"; see `access` in createApp
+    transcriptionAccess: env.TRANSCRIPTION_ACCESS === "accounts" ? "accounts" : "open",
+    allowRegistration: env.ALLOW_REGISTRATION !== "0" && env.ALLOW_REGISTRATION !== "false",
+    allowPrivateUrls: env.ALLOW_PRIVATE_URLS === "1" || env.ALLOW_PRIVATE_URLS === "true",
+    fetchTimeoutMs: num(env.FETCH_TIMEOUT_MS, 15_000),
+    downloadTimeoutMs: num(env.DOWNLOAD_TIMEOUT_MS, 10 * 60_000),
+    syncDataFile: env.SYNC_DATA_FILE || "data/sync.json",
+    maxSyncBytes: num(env.MAX_SYNC_MB, 5) * 1024 * 1024,
+    tokenMaxAgeMs: num(env.SYNC_TOKEN_MAX_AGE_DAYS, 30) * 24 * 60 * 60 * 1000,
+  };
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+async function readJSON(req, limit = 64 * 1024) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, "Request body too large");
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}");
+  } catch {
+    throw new HttpError(400, "Invalid JSON body");
+  }
+}
+
+// Passes the upload through while counting bytes, failing once it exceeds the limit.
+function sizeLimit(maxBytes) {
+  let size = 0;
+  return new Transform({
+    transform(chunk, _enc, done) {
+      size += chunk.length;
+      if (size > maxBytes) done(new HttpError(413, `File exceeds ${Math.round(maxBytes / 1024 / 1024)} MB`));
+      else done(null, chunk);
+    },
+  });
+}
+
+export function createApp(config, {
+  client = createAssemblyAIClient({ apiKey: config.apiKey, baseUrl: config.assemblyBaseUrl }),
+  fetchUrl = createOutboundFetch({ allowPrivate: config.allowPrivateUrls }),
+  resolver = createMediaResolver({ ytdlpPath: config.ytdlpPath, allowedTypes: config.allowedTypes, fetchTimeoutMs: config.fetchTimeoutMs, fetchUrl }),
+  sync = createSyncService(createFileStore(config.syncDataFile), { tokenMaxAgeMs: config.tokenMaxAgeMs }),
+} = {}) {
+  const general = createRateLimiter({ windowMs: config.rateWindowMs, max: config.rateMax });
+  const jobs = createRateLimiter({ windowMs: config.rateWindowMs, max: config.jobRateMax });
+
+  const clientKey = (req) => {
+    const forwarded = config.trustProxy && req.headers["x-forwarded-for"];
+    return (forwarded ? forwarded.split(",")[0] : req.socket.remoteAddress || "unknown").trim();
+  };
+
+  const limit = (limiter, req) => {
+    const { allowed, retryAfterMs } = limiter.take(clientKey(req));
+    if (!allowed) throw new HttpError(429, "Too many requests", { "Retry-After": String(Math.ceil(retryAfterMs / 1000)) });
+  };
+
+  const bearer = (req) => (req.headers.authorization || "").match(/^Bearer (\S+)$/)?.[1];
+
+  // Transcription spends the server's AssemblyAI credit and the URL routes make it
+  // fetch other hosts; TRANSCRIPTION_ACCESS=accounts limits both to signed-in users,
+  // which only keeps strangers out once ALLOW_REGISTRATION is turned off.
+  // Without an AssemblyAI key only the AssemblyAI routes are off; sync still works.
+  const access = async (req, { assembly = true } = {}) => {
+    if (assembly && !config.apiKey) throw new HttpError(503, "Transcription isn't configured on this server");
+    if (config.transcriptionAccess === "open") return;
+    const token = bearer(req);
+    if (!token) throw new HttpError(401, "Sign in to transcribe media");
+    await sync.authenticate(token);
+  };
+
+  // Streams media to AssemblyAI, enforcing the upload limit on the way through
+  const upload = async (stream, length) => {
+    if (Number.isFinite(length) && length > config.maxUploadBytes) throw new HttpError(413, `File exceeds ${Math.round(config.maxUploadBytes / 1024 / 1024)} MB`);
+    // pipeline destroys both sides when either fails, so an aborted request or a
+    // rejected upload doesn't leave the other stream open; its errors reach `body`
+    const body = pipeline(stream, sizeLimit(config.maxUploadBytes), () => {});
+    let failure = null;
+    body.on("error", err => { failure ??= err; });
+    try {
+      const { upload_url } = await client.upload(body);
+      return [200, { upload_url }];
+    } catch (err) {
+      body.destroy();
+      throw failure || err;
+    }
+  };
+
+  const routes = [
+    ["POST", /^\/api\/upload$/, async (req) => {
+      limit(jobs, req);
+      await access(req);
+      const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+      if (!config.allowedTypes.some(prefix => type.startsWith(prefix))) throw new HttpError(415, `Unsupported media type: ${type || "none"}`);
+      return upload(req, Number(req.headers["content-length"]));
+    }],
+    // Same as /upload, but the server downloads the media itself (pasted or resolved URLs)
+    ["POST", /^\/api\/upload\/remote$/, async (req) => {
+      limit(jobs, req);
+      await access(req);
+      const { url } = await readJSON(req);
+      const target = parseMediaUrl(url);
+      const media = await fetchUrl(target, { timeoutMs: config.downloadTimeoutMs }).catch(err => {
+        if (err instanceof HttpError) throw err;
+        return null;
+      });
+      if (!media?.ok) throw new HttpError(502, `Could not download media${media ? ` (HTTP ${media.status})` : ""}`);
+      const type = (media.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+      if (!looksLikeMedia(target, type, config.allowedTypes)) {
+        await media.body?.cancel();
+        throw new HttpError(415, `Unsupported media type: ${type || "none"}`);
+      }
+      const stream = Readable.fromWeb(media.body);
+      try {
+        return await upload(stream, Number(media.headers.get("content-length")));
+      } catch (err) {
+        stream.destroy();
+        throw err;
+      }
+    }],
+    ["POST", /^\/api\/resolve$/, async (req) => {
+      limit(jobs, req);
+      await access(req, { assembly: false });
+      const { url, lang } = await readJSON(req);
+      if (typeof url !== "string" || !url) throw new HttpError(400, "url is required");
+      return [200, await resolver.resolve(url, { lang: typeof lang === "string" ? lang : undefined })];
+    }],
+    ["POST", /^\/api\/transcripts$/, async (req) => {
+      limit(jobs, req);
+      await access(req);
+      const { audio_url, ...options } = await readJSON(req);
+      if (typeof audio_url !== "string" || !audio_url) throw new HttpError(400, "audio_url is required");
+      const params = { audio_url };
+      for (const key of TRANSCRIPT_OPTIONS) if (options[key] !== undefined) params[key] = options[key];
+      const transcript = await client.createTranscript(params);
+      return [200, { id: transcript.id, status: transcript.status }];
+    }],
+    ["GET", /^\/api\/transcripts\/([^/]+)$/, async (req, id) => {
+      await access(req);
+      return [200, await client.getTranscript(id)];
+    }],
+    // Lets the browser cancel a job; AssemblyAI only deletes transcripts that have finished
+    ["DELETE", /^\/api\/transcripts\/([^/]+)$/, async (req, id) => {
+      await access(req);
+      await client.deleteTranscript(id);
+      return [200, { id, deleted: true }];
+    }],
+    ["GET", /^\/api\/transcripts\/([^/]+)\/sentences$/, async (req, id) => {
+      await access(req);
+      return [200, await client.getSentences(id)];
+    }],
+    // Accounts and word bank sync; the sign-in routes share the stricter job limit
+    ["POST", /^\/api\/auth\/register$/, async (req) => {
+      limit(jobs, req);
+      if (!config.allowRegistration) throw new HttpError(403, "This server isn't accepting new accounts");
+      const { username, password } = await readJSON(req);
+      return [201, await sync.register(username, password)];
+    }],
+    ["POST", /^\/api\/auth\/login$/, async (req) => {
+      limit(jobs, req);
+      const { username, password } = await readJSON(req);
+      return [200, await sync.login(username, password)];
+    }],
+    ["POST", /^\/api\/auth\/logout$/, async (req) => {
+      await sync.logout(bearer(req));
+      return [200, { signedOut: true }];
+    }],
+    ["POST", /^\/api\/sync$/, async (req) => {
+      const username = await sync.authenticate(bearer(req));
+      return [200, await sync.sync(username, await readJSON(req, config.maxSyncBytes))];
+    }],
+    ["POST", /^\/api\/shares$/, async (req) => {
+      const username = await sync.authenticate(bearer(req));
+      const { deck } = await readJSON(req);
+      if (typeof deck !== "string" || !deck) throw new HttpError(400, "deck is required");
+      return [201, await sync.share(username, deck)];
+    }],
+    // Shared decks are public and read-only
+    ["GET", /^\/api\/shares\/([^/]+)$/, async (_req, id) => [200, await sync.getShare(id)]],
+    ["DELETE", /^\/api\/shares\/([^/]+)$/, async (req, id) => {
+      await sync.unshare(await sync.authenticate(bearer(req)), id);
+      return [200, { id, deleted: true }];
+    }],
+  ];
+
+  const handle = async (req, res) => {
+    const cors = config.corsOrigin ? { "Access-Control-Allow-Origin": config.corsOrigin, Vary: "Origin" } : {};
+    try {
+      if (req.method === "OPTIONS" && config.corsOrigin) {
+        res.writeHead(204, { ...cors, "Access-Control-Allow-Methods": "GET, POST, DELETE", "Access-Control-Allow-Headers": "Content-Type, Authorization" });
+        return res.end();
+      }
+      const { pathname } = new URL(req.url, "http://localhost");
+      limit(general, req);
+      let pathMatched = false;
+      for (const [method, pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (!match) continue;
+        pathMatched = true;
+        if (req.method !== method) continue;
+        if (match[1] !== undefined && !ID_PATTERN.test(match[1])) throw new HttpError(400, "Invalid id");
+        const [status, body] = await handler(req, match[1]);
+        return sendJSON(res, status, body, cors);
+      }
+      throw pathMatched ? new HttpError(405, "Method not allowed") : new HttpError(404, "Not found");
+    } catch (err) {
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error(err);
+      if (!res.headersSent) sendJSON(res, status, { error: status === 500 ? "Internal server error" : err.message }, { ...cors, ...err.headers });
+      // Drain whatever is left of a body we rejected
+      req.resume();
+    }
+  };
+
+  const server = createServer(handle);
+  const pruner = setInterval(() => { general.prune(); jobs.prune(); }, config.rateWindowMs);
+  pruner.unref();
+  server.on("close", () => clearInterval(pruner));
+  return server;
+}
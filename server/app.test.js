@@ -0,0 +1,305 @@
+import { createServer } from "node:http";
+import { afterEach, describe, expect, it } from "vitest";
+import { createApp, configFromEnv } from "./app.js";
+import { createSyncService } from "./sync.js";
+
+// A local stand-in for api.assemblyai.com. `routes` maps "METHOD /path" to a handler
+// returning [status, body]; every request is recorded with its raw body.
+const listen = (server) => new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(`http://127.0.0.1:${server.address().port}`)));
+const servers = [];
+let assembly;
+
+async function fakeAssemblyAI(routes = {}) {
+  assembly = { calls: [] };
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const call = { method: req.method, path: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+    assembly.calls.push(call);
+    const handler = routes[`${req.method} ${req.url.replace(/^\/v2\/transcript\/[\w-]+/, "/v2/transcript/:id")}`];
+    const [status, body] = handler ? handler(call) : [404, { error: "not found" }];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  servers.push(server);
+  return listen(server);
+}
+
+// Accounts live in memory.
+async function startApp(env = {}) {
+  const baseUrl = await fakeAssemblyAI(env.routes);
+  const config = configFromEnv({ ASSEMBLYAI_API_KEY: "test-key", ASSEMBLYAI_BASE_URL: baseUrl, ...env.vars });
+  const data = {};
+  const sync = createSyncService({ read: async () => data, update: async (fn) => fn(data) });
+  const server = createApp(config, { sync });
+  servers.push(server);
+  return listen(server);
+}
+
+afterEach(async () => {
+  await Promise.all(servers.splice(0).map(s => new Promise(resolve => { s.closeAllConnections?.(); s.close(resolve); })));
+});
+
+const json = async (res) => [res.status, await res.json()];
+
+describe("uploads", () => {
+  const routes = { "POST /v2/upload": () => [200, { upload_url: "https://cdn.example/upload/1" }] };
+
+  it("streams media to AssemblyAI with the server's key", async () => {
+    const app = await startApp({ routes });
+    const [status, body] = await json(await fetch(`${app}/api/upload`, { method: "POST", headers: { "Content-Type": "audio/mpeg" }, body: "ID3 fake audio" }));
+    expect(status).toBe(200);
+    expect(body).toEqual({ upload_url: "https://cdn.example/upload/1" });
+    expect(assembly.calls[0].headers.authorization).toBe("test-key");
+    expect(assembly.calls[0].body.toString()).toBe("ID3 fake audio");
+  });
+
+  it("rejects media types outside ALLOWED_MEDIA_TYPES", async () => {
+    const app = await startApp({ routes });
+    const [status, body] = await json(await fetch(`${app}/api/upload`, { method: "POST", headers: { "Content-Type": "text/html" }, body: "<html>" }));
+    expect(status).toBe(415);
+    expect(body.error).toMatch(/text\/html/);
+    expect(assembly.calls).toHaveLength(0);
+  });
+
+  it("rejects a declared Content-Length over the limit", async () => {
+    const app = await startApp({ routes, vars: { MAX_UPLOAD_MB: String(1 / 1024) } });
+    const res = await fetch(`${app}/api/upload`, { method: "POST", headers: { "Content-Type": "video/mp4" }, body: Buffer.alloc(2048) });
+    expect(res.status).toBe(413);
+    expect(assembly.calls).toHaveLength(0);
+  });
+
+  it("stops a chunked upload once it passes the limit", async () => {
+    const app = await startApp({ routes, vars: { MAX_UPLOAD_MB: String(1 / 1024) } });
+    const chunks = [Buffer.alloc(800), Buffer.alloc(800)];
+    const body = new ReadableStream({ pull(controller) { const next = chunks.shift(); if (next) controller.enqueue(next); else controller.close(); } });
+    const res = await fetch(`${app}/api/upload`, { method: "POST", headers: { "Content-Type": "video/mp4" }, body, duplex: "half" });
+    expect(res.status).toBe(413);
+  });
+});
+
+describe("rate limiting", () => {
+  it("answers 429 with Retry-After once a client exceeds the limit", async () => {
+    const app = await startApp({ routes: { "GET /v2/transcript/:id": () => [200, { id: "a", status: "queued" }] }, vars: { RATE_LIMIT_MAX: "2", RATE_LIMIT_WINDOW_MS: "30000" } });
+    expect((await fetch(`${app}/api/transcripts/a`)).status).toBe(200);
+    expect((await fetch(`${app}/api/transcripts/a`)).status).toBe(200);
+    const limited = await fetch(`${app}/api/transcripts/a`);
+    expect(limited.status).toBe(429);
+    expect(Number(limited.headers.get("retry-after"))).toBeGreaterThan(0);
+    expect(Number(limited.headers.get("retry-after"))).toBeLessThanOrEqual(30);
+  });
+
+  it("applies the stricter job limit to new transcripts", async () => {
+    const app = await startApp({ routes: { "POST /v2/transcript": () => [200, { id: "t1", status: "queued" }] }, vars: { JOB_RATE_LIMIT_MAX: "1" } });
+    const create = () => fetch(`${app}/api/transcripts`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ audio_url: "https://cdn.example/a" }) });
+    expect((await create()).status).toBe(200);
+    expect((await create()).status).toBe(429);
+  });
+});
+
+describe("transcript routes", () => {
+  it("creates a transcript with only the allowed options", async () => {
+    const app = await startApp({ routes: { "POST /v2/transcript": () => [200, { id: "t1", status: "queued", extra: "dropped" }] } });
+    const [status, body] = await json(await fetch(`${app}/api/transcripts`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ audio_url: "https://cdn.example/a", speaker_labels: true, webhook_url: "https://evil.example" }),
+    }));
+    expect([status, body]).toEqual([200, { id: "t1", status: "queued" }]);
+    expect(JSON.parse(assembly.calls[0].body)).toEqual({ audio_url: "https://cdn.example/a", speaker_labels: true });
+  });
+
+  it("requires audio_url", async () => {
+    const app = await startApp();
+    const res = await fetch(`${app}/api/transcripts`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" });
+    expect(await json(res)).toEqual([400, { error: "audio_url is required" }]);
+  });
+
+  it("rejects invalid JSON bodies", async () => {
+    const app = await startApp();
+    const res = await fetch(`${app}/api/transcripts`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{nope" });
+    expect(await json(res)).toEqual([400, { error: "Invalid JSON body" }]);
+  });
+
+  it("proxies status, sentences and deletion", async () => {
+    const app = await startApp({
+      routes: {
+        "GET /v2/transcript/:id": () => [200, { id: "t1", status: "completed", text: "hi" }],
+        "GET /v2/transcript/:id/sentences": () => [200, { sentences: [{ text: "hi" }] }],
+        "DELETE /v2/transcript/:id": () => [200, { id: "t1" }],
+      },
+    });
+    expect(await json(await fetch(`${app}/api/transcripts/t1`))).toEqual([200, { id: "t1", status: "completed", text: "hi" }]);
+    expect(await json(await fetch(`${app}/api/transcripts/t1/sentences`))).toEqual([200, { sentences: [{ text: "hi" }] }]);
+    expect(await json(await fetch(`${app}/api/transcripts/t1`, { method: "DELETE" }))).toEqual([200, { id: "t1", deleted: true }]);
+    expect(assembly.calls.map(c => `${c.method} ${c.path}`)).toEqual(["GET /v2/transcript/t1", "GET /v2/transcript/t1/sentences", "DELETE /v2/transcript/t1"]);
+  });
+
+  it("rejects ids that aren't plain identifiers", async () => {
+    const app = await startApp();
+    const res = await fetch(`${app}/api/transcripts/a.b`);
+    expect(res.status).toBe(400);
+    expect(assembly.calls).toHaveLength(0);
+  });
+});
+
+describe("error mapping", () => {
+  it("passes AssemblyAI client errors through with their message", async () => {
+    const app = await startApp({ routes: { "GET /v2/transcript/:id": () => [400, { error: "Transcript not found" }] } });
+    expect(await json(await fetch(`${app}/api/transcripts/t1`))).toEqual([400, { error: "Transcript not found" }]);
+  });
+
+  it("reports a rejected API key as 502 rather than a sign-in failure", async () => {
+    for (const status of [401, 403]) {
+      const app = await startApp({ routes: { "GET /v2/transcript/:id": () => [status, { error: "Invalid API key" }] } });
+      expect(await json(await fetch(`${app}/api/transcripts/t1`))).toEqual([502, { error: `AssemblyAI rejected the server's API key (HTTP ${status})` }]);
+    }
+  });
+
+  it("reports AssemblyAI server errors as 502", async () => {
+    const app = await startApp({ routes: { "GET /v2/transcript/:id": () => [503, {}] } });
+    expect(await json(await fetch(`${app}/api/transcripts/t1`))).toEqual([502, { error: "AssemblyAI HTTP 503" }]);
+  });
+
+  it("answers 404 for unknown paths and 405 for wrong methods", async () => {
+    const app = await startApp();
+    expect((await fetch(`${app}/api/nothing`)).status).toBe(404);
+    expect((await fetch(`${app}/api/upload`)).status).toBe(405);
+  });
+
+  it("answers CORS preflights when CORS_ORIGIN is set", async () => {
+    const app = await startApp({ vars: { CORS_ORIGIN: "https://app.example" } });
+    const res = await fetch(`${app}/api/transcripts`, { method: "OPTIONS" });
+    expect(res.status).toBe(204);
+    expect(res.headers.get("access-control-allow-origin")).toBe("https://app.example");
+  });
+});
+
+describe("outbound URLs", () => {
+  const post = (app, path, body) => fetch(`${app}${path}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+  it("refuses to download media from private addresses", async () => {
+    const app = await startApp();
+    expect(await json(await post(app, "/api/upload/remote", { url: `${app}/clip.mp3` }))).toEqual([403, { error: "127.0.0.1 is not a public address" }]);
+    expect(assembly.calls).toHaveLength(0);
+  });
+
+  it("refuses to resolve link-local URLs such as cloud metadata", async () => {
+    const app = await startApp();
+    expect(await json(await post(app, "/api/resolve", { url: "http://169.254.169.254/latest/meta-data/" }))).toEqual([403, { error: "169.254.169.254 is not a public address" }]);
+  });
+
+  it("downloads from private addresses when ALLOW_PRIVATE_URLS is set", async () => {
+    const media = createServer((_req, res) => { res.writeHead(200, { "Content-Type": "audio/mpeg" }); res.end("ID3 remote audio"); });
+    servers.push(media);
+    const mediaUrl = await listen(media);
+    const app = await startApp({ routes: { "POST /v2/upload": () => [200, { upload_url: "https://cdn.example/upload/2" }] }, vars: { ALLOW_PRIVATE_URLS: "true" } });
+    expect(await json(await post(app, "/api/upload/remote", { url: `${mediaUrl}/clip.mp3` }))).toEqual([200, { upload_url: "https://cdn.example/upload/2" }]);
+    expect(assembly.calls[0].body.toString()).toBe("ID3 remote audio");
+  });
+});
+
+describe("transcription access", () => {
+  const routes = { "GET /v2/transcript/:id": () => [200, { id: "t1", status: "queued" }] };
+  const signUp = async (app) => (await (await fetch(`${app}/api/auth/register`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username: "ada", password: "correct horse" }),
+  })).json()).token;
+
+  it("is open to everyone by default", async () => {
+    const app = await startApp({ routes });
+    expect(await json(await fetch(`${app}/api/transcripts/t1`))).toEqual([200, { id: "t1", status: "queued" }]);
+  });
+
+  it("needs a signed-in account with TRANSCRIPTION_ACCESS=accounts", async () => {
+    const app = await startApp({ routes, vars: { TRANSCRIPTION_ACCESS: "accounts" } });
+    expect(await json(await fetch(`${app}/api/transcripts/t1`))).toEqual([401, { error: "Sign in to transcribe media" }]);
+    expect((await fetch(`${app}/api/resolve`, { method: "POST", body: "{}" })).status).toBe(401);
+    expect((await fetch(`${app}/api/transcripts/t1`, { headers: { Authorization: "Bearer stale" } })).status).toBe(401);
+    expect(assembly.calls).toHaveLength(0);
+
+    const token = await signUp(app);
+    expect(await json(await fetch(`${app}/api/transcripts/t1`, { headers: { Authorization: `Bearer ${token}` } }))).toEqual([200, { id: "t1", status: "queued" }]);
+  });
+
+  it("refuses new accounts when ALLOW_REGISTRATION is off", async () => {
+    const app = await startApp({ routes, vars: { TRANSCRIPTION_ACCESS: "accounts", ALLOW_REGISTRATION: "false" } });
+    const res = await fetch(`${app}/api/auth/register`, { method: "POST", body: JSON.stringify({ username: "ada", password: "correct horse" }) });
+    expect(await json(res)).toEqual([403, { error: "This server isn't accepting new accounts" }]);
+  });
+
+  it("turns off only the AssemblyAI routes without a key", async () => {
+    const app = await startApp({ routes, vars: { ASSEMBLYAI_API_KEY: "" } });
+    expect(await json(await fetch(`${app}/api/transcripts/t1`))).toEqual([503, { error: "Transcription isn't configured on this server" }]);
+    expect((await fetch(`${app}/api/upload`, { method: "POST", headers: { "Content-Type": "audio/mpeg" }, body: "ID3" })).status).toBe(503);
+    expect(await signUp(app)).toEqual(expect.any(String));
+    expect(assembly.calls).toHaveLength(0);
+  });
+});
+
+describe("sync and shared decks", () => {
+  const call = async (app, path, { token, method = "POST", body } = {}) => json(await fetch(`${app}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body),
+  }));
+  const signUp = async (app, username = "ada") => (await call(app, "/api/auth/register", { body: { username, password: "correct horse" } }))[1].token;
+  const bank = {
+    decks: [{ id: "d1", name: "Verbs", createdAt: 1 }],
+    words: [{ word: "manger", translation: "to eat", lang: "en", deck: "d1", date: 2, ease: 2.5 }],
+    deleted: { decks: {}, words: {} },
+  };
+
+  it("merges word banks for signed-in accounts only", async () => {
+    const app = await startApp();
+    expect(await call(app, "/api/sync", { body: bank })).toEqual([401, { error: "Sign in to sync" }]);
+    expect((await call(app, "/api/sync", { token: "stale", body: bank }))[0]).toBe(401);
+
+    const token = await signUp(app);
+    const [status, merged] = await call(app, "/api/sync", { token, body: bank });
+    expect(status).toBe(200);
+    expect(merged.words.map(w => w.word)).toEqual(["manger"]);
+    // A second device with nothing new gets the stored bank back
+    expect((await call(app, "/api/sync", { token, body: {} }))[1].words).toEqual(bank.words);
+  });
+
+  it("rejects word banks that aren't shaped like one", async () => {
+    const app = await startApp();
+    const token = await signUp(app);
+    for (const deleted of [[], { words: { "d1|en|manger": "yesterday" } }, { decks: "d1" }]) {
+      expect(await call(app, "/api/sync", { token, body: { ...bank, deleted } })).toEqual([400, { error: "deleted must map ids to timestamps" }]);
+    }
+    expect((await call(app, "/api/sync", { token, body: { words: [{ translation: "x" }] } }))[0]).toBe(400);
+    expect((await call(app, "/api/sync", { token, body: { decks: {} } }))[0]).toBe(400);
+  });
+
+  it("shares a synced deck read-only and without review state", async () => {
+    const app = await startApp();
+    const token = await signUp(app);
+    expect(await call(app, "/api/shares", { body: { deck: "d1" } })).toEqual([401, { error: "Sign in to sync" }]);
+    expect(await call(app, "/api/shares", { token, body: { deck: "d1" } })).toEqual([404, { error: "Sync this deck before sharing it" }]);
+    expect(await call(app, "/api/shares", { token, body: {} })).toEqual([400, { error: "deck is required" }]);
+
+    await call(app, "/api/sync", { token, body: bank });
+    const [status, { id }] = await call(app, "/api/shares", { token, body: { deck: "d1" } });
+    expect(status).toBe(201);
+    expect((await call(app, "/api/shares", { token, body: { deck: "d1" } }))[1]).toEqual({ id });
+    expect(await call(app, `/api/shares/${id}`, { method: "GET" })).toEqual([200, {
+      id, name: "Verbs", updatedAt: 2, words: [{ word: "manger", translation: "to eat", lang: "en", date: 2 }],
+    }]);
+  });
+
+  it("lets only the owner unshare a deck", async () => {
+    const app = await startApp();
+    const token = await signUp(app);
+    await call(app, "/api/sync", { token, body: bank });
+    const [, { id }] = await call(app, "/api/shares", { token, body: { deck: "d1" } });
+
+    expect((await call(app, `/api/shares/${id}`, { method: "DELETE" }))[0]).toBe(401);
+    const other = await signUp(app, "grace");
+    expect(await call(app, `/api/shares/${id}`, { method: "DELETE", token: other })).toEqual([404, { error: "Shared deck not found" }]);
+    expect(await call(app, `/api/shares/${id}`, { method: "DELETE", token })).toEqual([200, { id, deleted: true }]);
+    expect(await call(app, `/api/shares/${id}`, { method: "GET" })).toEqual([404, { error: "This shared deck no longer exists" }]);
+  });
+});
@@ -0,0 +1,33 @@
+import { HttpError } from "./errors.js";
+
+// Minimal AssemblyAI REST client; `baseUrl` can point at a local fake for tests.
+export function createAssemblyAIClient({ apiKey, baseUrl = "https://api.assemblyai.com" }) {
+  const request = async (path, init = {}) => {
+    const res = await fetch(`${baseUrl.replace(/\/$/, "")}${path}`, {
+      ...init,
+      headers: { Authorization: apiKey, ...init.headers },
+    });
+    const body = await res.json().catch(() => ({}));
+    // A rejected key is the server's problem, not the browser's sign-in
+    if (res.status === 401 || res.status === 403) throw new HttpError(502, `AssemblyAI rejected the server's API key (HTTP ${res.status})`);
+    if (!res.ok) throw new HttpError(res.status >= 500 ? 502 : res.status, body.error || `AssemblyAI HTTP ${res.status}`);
+    return body;
+  };
+
+  return {
+    upload: (stream) => request("/v2/upload", {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream" },
+      body: stream,
+      duplex: "half",
+    }),
+    createTranscript: (params) => request("/v2/transcript", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(params),
+    }),
+    getTranscript: (id) => request(`/v2/transcript/${encodeURIComponent(id)}`),
+    getSentences: (id) => request(`/v2/transcript/${encodeURIComponent(id)}/sentences`),
+    deleteTranscript: (id) => request(`/v2/transcript/${encodeURIComponent(id)}`, { method: "DELETE" }),
+  };
+}
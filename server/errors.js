@@ -0,0 +1,8 @@
+export class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.headers = headers;
+  }
+}
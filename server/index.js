@@ -0,0 +1,11 @@
+import { createApp, configFromEnv } from "./app.js";
+
+// Share the project .env with Vite; shell variables take precedence
+try { process.loadEnvFile(); } catch { /* no .env file */ }
+
+const config = configFromEnv();
+if (!config.apiKey) console.warn("ASSEMBLYAI_API_KEY is not set; transcription is disabled, sync still works");
+
+createApp(config).listen(config.port, () => {
+  console.log(`polyglot server listening on http://localhost:${config.port}`);
+});
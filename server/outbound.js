@@ -0,0 +1,83 @@
+import { lookup as dnsLookup } from "node:dns/promises";
+import { BlockList } from "node:net";
+import { Agent, fetch } from "undici";
+import { HttpError } from "./errors.js";
+
+// Fetches URLs that browsers hand the server. Each hop of a redirect chain is
+// resolved first and refused when any of its addresses is loopback, private,
+// link-local (which covers the 169.254.169.254 metadata service) or otherwise not
+// on the public internet, then connects to exactly the addresses it checked. The
+// whole chain runs under one timeout.
+
+const REDIRECTS = new Set([301, 302, 303, 307, 308]);
+
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) BLOCKED.addSubnet(net, prefix, "ipv4");
+// Unspecified, loopback, NAT64, 6to4 (which embeds any IPv4 address), unique-local,
+// link-local and multicast; IPv4-mapped addresses are checked against the IPv4 ranges above
+for (const [net, prefix] of [
+  ["::", 127], ["64:ff9b::", 96], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) BLOCKED.addSubnet(net, prefix, "ipv6");
+
+export const isPrivateAddress = (address) => BLOCKED.check(address, address.includes(":") ? "ipv6" : "ipv4");
+
+// `allowPrivate` lifts the address check for servers that only fetch from their own
+// network; `lookup` is swappable for tests.
+export function createOutboundFetch({ allowPrivate = false, maxRedirects = 5, lookup = dnsLookup } = {}) {
+  // Returns a dispatcher whose connections go to the checked addresses, so a second
+  // DNS answer (a rebinding attack) can't swap in a private one before connecting
+  const pinPublic = async (url) => {
+    if (allowPrivate) return undefined;
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    const addresses = await lookup(host, { all: true, verbatim: true }).catch(() => {
+      throw new HttpError(502, `Could not resolve ${host}`);
+    });
+    if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+      throw new HttpError(403, `${host} is not a public address`);
+    }
+    return new Agent({
+      connect: {
+        lookup: (_host, options, callback) => options.all
+          ? callback(null, addresses)
+          : callback(null, addresses[0].address, addresses[0].family),
+      },
+    });
+  };
+
+  // Resolves to the final response like fetch(); network failures and timeouts
+  // reject as they would there, refused hosts and redirect loops with an HttpError.
+  return async (value, { timeoutMs = 15_000, ...init } = {}) => {
+    const signal = AbortSignal.timeout(timeoutMs);
+    let url = new URL(value);
+    for (let hop = 0; ; hop++) {
+      const dispatcher = await pinPublic(url);
+      // close() lets the response finish before the connection goes
+      const res = await fetch(url, { ...init, redirect: "manual", signal, dispatcher }).finally(() => dispatcher?.close());
+      const location = REDIRECTS.has(res.status) && res.headers.get("location");
+      if (!location) return res;
+      await res.body?.cancel();
+      if (hop >= maxRedirects) throw new HttpError(502, "Too many redirects");
+      url = new URL(location, url);
+      if (url.protocol !== "http:" && url.protocol !== "https:") throw new HttpError(502, `Refusing to follow a redirect to ${url.protocol}`);
+    }
+  };
+}
+
+// Reads a text body, failing once it passes `maxBytes` instead of buffering it all.
+export async function readText(res, maxBytes) {
+  if (Number(res.headers.get("content-length")) > maxBytes) {
+    await res.body?.cancel();
+    throw new HttpError(502, `Response exceeds ${maxBytes} bytes`);
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body ?? []) {
+    size += chunk.length;
+    if (size > maxBytes) throw new HttpError(502, `Response exceeds ${maxBytes} bytes`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
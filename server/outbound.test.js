@@ -0,0 +1,95 @@
+import { createServer } from "node:http";
+import { afterEach, describe, expect, it } from "vitest";
+import { createOutboundFetch, isPrivateAddress, readText } from "./outbound.js";
+
+// A local server whose `routes` map a path to (req, res) handlers.
+let server;
+let base;
+
+async function serve(routes) {
+  server = createServer((req, res) => (routes[req.url] || ((_q, r) => { r.writeHead(404); r.end(); }))(req, res));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+}
+
+afterEach(() => new Promise(resolve => {
+  if (!server) return resolve();
+  server.closeAllConnections();
+  server.close(resolve);
+  server = null;
+}));
+
+const redirect = (to) => (_req, res) => { res.writeHead(302, { Location: to }); res.end(); };
+const text = (body) => (_req, res) => { res.writeHead(200, { "Content-Type": "text/vtt" }); res.end(body); };
+
+describe("isPrivateAddress", () => {
+  it.each([
+    "127.0.0.1", "10.1.2.3", "172.16.0.1", "172.31.255.255", "192.168.1.1", "169.254.169.254",
+    "100.64.0.1", "0.0.0.0", "224.0.0.1", "::1", "::", "::ffff:7f00:1", "::ffff:169.254.169.254", "fd00::1", "fe80::1",
+    "2002:7f00:1::1", "2002:a9fe:a9fe::1",
+  ])("refuses %s", (address) => expect(isPrivateAddress(address)).toBe(true));
+
+  it.each(["93.184.216.34", "8.8.8.8", "172.32.0.1", "2606:4700::1111"])("allows %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe("createOutboundFetch", () => {
+  it("refuses loopback, private and link-local hosts before connecting", async () => {
+    const fetchUrl = createOutboundFetch();
+    for (const url of ["http://127.0.0.1:1/", "http://[::1]:1/", "http://169.254.169.254/latest/meta-data/", "http://10.0.0.1/"]) {
+      await expect(fetchUrl(url)).rejects.toMatchObject({ name: "HttpError", status: 403 });
+    }
+  });
+
+  it("checks every redirect hop", async () => {
+    await serve({ "/start": redirect("http://localhost/internal") });
+    // Pretend the test server's literal address is public; "localhost" resolves as usual
+    const lookup = async (host) => [{ address: host === "127.0.0.1" ? "93.184.216.34" : "127.0.0.1", family: 4 }];
+    const fetchUrl = createOutboundFetch({ lookup });
+    await expect(fetchUrl(`${base}/start`)).rejects.toMatchObject({ status: 403, message: "localhost is not a public address" });
+  });
+
+  it("connects to the address it checked rather than resolving again", async () => {
+    let hits = 0;
+    await serve({ "/": (_req, res) => { hits++; text("WEBVTT")(_req, res); } });
+    // A rebinding resolver: a public (documentation) address first, loopback after
+    let lookups = 0;
+    const lookup = async () => [{ address: lookups++ ? "127.0.0.1" : "192.0.2.1", family: 4 }];
+    const fetchUrl = createOutboundFetch({ lookup });
+    await expect(fetchUrl(`http://rebind.test:${server.address().port}/`, { timeoutMs: 200 })).rejects.toThrow();
+    expect(lookups).toBe(1);
+    expect(hits).toBe(0);
+  });
+
+  it("follows redirects when private hosts are allowed", async () => {
+    await serve({ "/a": redirect("/b"), "/b": (req, res) => redirect(`http://${req.headers.host}/c`)(req, res), "/c": text("WEBVTT") });
+    const res = await createOutboundFetch({ allowPrivate: true })(`${base}/a`);
+    expect(res.status).toBe(200);
+    expect(await res.text()).toBe("WEBVTT");
+  });
+
+  it("gives up after maxRedirects", async () => {
+    await serve({ "/loop": redirect("/loop") });
+    const fetchUrl = createOutboundFetch({ allowPrivate: true, maxRedirects: 3 });
+    await expect(fetchUrl(`${base}/loop`)).rejects.toMatchObject({ status: 502, message: "Too many redirects" });
+  });
+
+  it("aborts requests that outlast the timeout", async () => {
+    await serve({ "/slow": () => {} });
+    const fetchUrl = createOutboundFetch({ allowPrivate: true });
+    await expect(fetchUrl(`${base}/slow`, { timeoutMs: 50 })).rejects.toMatchObject({ name: "TimeoutError" });
+  });
+});
+
+describe("readText", () => {
+  it("reads bodies up to the limit and rejects bigger ones", async () => {
+    await serve({
+      "/small": text("WEBVTT"),
+      "/chunked": (_req, res) => { res.writeHead(200); res.write("x".repeat(600)); res.end("x".repeat(600)); },
+    });
+    const fetchUrl = createOutboundFetch({ allowPrivate: true });
+    expect(await readText(await fetchUrl(`${base}/small`), 1000)).toBe("WEBVTT");
+    await expect(readText(await fetchUrl(`${base}/chunked`), 1000)).rejects.toMatchObject({ status: 502 });
+  });
+});
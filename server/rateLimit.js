@@ -0,0 +1,24 @@
+// Fixed-window request counter per client key, kept in memory.
+export function createRateLimiter({ windowMs, max, now = () => Date.now() }) {
+  const hits = new Map();
+
+  return {
+    // Returns { allowed, remaining, retryAfterMs } and counts the request when allowed.
+    take(key) {
+      const t = now();
+      let entry = hits.get(key);
+      if (!entry || t >= entry.resetAt) {
+        entry = { count: 0, resetAt: t + windowMs };
+        hits.set(key, entry);
+      }
+      if (entry.count >= max) return { allowed: false, remaining: 0, retryAfterMs: entry.resetAt - t };
+      entry.count++;
+      return { allowed: true, remaining: max - entry.count, retryAfterMs: 0 };
+    },
+    // Drops expired windows so idle clients don't accumulate.
+    prune() {
+      const t = now();
+      for (const [key, entry] of hits) if (t >= entry.resetAt) hits.delete(key);
+    },
+  };
+}
@@ -0,0 +1,88 @@
+import { execFile } from "node:child_process";
+import { HttpError } from "./errors.js";
+import { createOutboundFetch, readText } from "./outbound.js";
+
+// Caption files are a few hundred KB at most; anything far bigger isn't one.
+const MAX_CAPTION_BYTES = 5 * 1024 * 1024;
+const MEDIA_EXTENSION = /\.(mp4|m4v|mov|webm|mkv|mp3|m4a|aac|wav|ogg|oga|opus|flac)$/i;
+
+export function parseMediaUrl(value) {
+  let url;
+  try { url = new URL(value); } catch { throw new HttpError(400, "url must be an absolute URL"); }
+  if (url.protocol !== "http:" && url.protocol !== "https:") throw new HttpError(400, "Only http and https URLs are supported");
+  return url;
+}
+
+// Direct media links are recognised by extension or by the type a HEAD request reports.
+export function looksLikeMedia(url, contentType = "", allowedTypes = ["audio/", "video/"]) {
+  return MEDIA_EXTENSION.test(url.pathname) || allowedTypes.some(prefix => contentType.startsWith(prefix));
+}
+
+const langMatches = (key, lang) => !!lang && (key === lang || key.split("-")[0] === lang);
+
+// Uploaded subtitles beat automatic captions, and the video's own language beats the
+// one the browser asked for. Of the automatic tracks only "xx-orig" is a transcript;
+// the rest are machine translations of it.
+export function pickCaptionTrack(info, lang) {
+  const manual = Object.entries(info.subtitles || {}).filter(([key]) => key !== "live_chat").map(([key, tracks]) => ({ key, tracks, auto: false }));
+  const auto = Object.entries(info.automatic_captions || {}).filter(([key]) => key.endsWith("-orig")).map(([key, tracks]) => ({ key, tracks, auto: true }));
+  const candidates = [
+    ...manual.filter(t => langMatches(t.key, info.language)),
+    ...manual.filter(t => langMatches(t.key, lang)),
+    ...auto,
+    ...manual,
+  ];
+  for (const { key, tracks, auto: isAuto } of candidates) {
+    const vtt = tracks.find(t => t.ext === "vtt");
+    if (vtt) return { lang: key.replace(/-orig$/, ""), auto: isAuto, url: vtt.url };
+  }
+  return null;
+}
+
+const titleFromUrl = (url) => decodeURIComponent(url.pathname.split("/").filter(Boolean).at(-1) || url.hostname);
+
+// Turns a pasted URL into { title, mediaUrl, direct, captions: { lang, auto, text } | null }.
+// Page URLs (YouTube and the like) need yt-dlp at `ytdlpPath`; caption tracks are
+// fetched here because their hosts rarely allow cross-origin reads. Every fetch goes
+// through `fetchUrl` (see outbound.js), and a URL whose host isn't public is refused
+// before yt-dlp sees it.
+export function createMediaResolver({ ytdlpPath, allowedTypes, timeoutMs = 60_000, fetchTimeoutMs = 15_000, fetchUrl = createOutboundFetch() } = {}) {
+  const probe = async (url) => {
+    const res = await fetchUrl(url, { method: "HEAD", timeoutMs: fetchTimeoutMs }).catch(err => {
+      if (err instanceof HttpError) throw err;
+      return null;
+    });
+    return res?.ok ? (res.headers.get("content-type") || "").toLowerCase() : "";
+  };
+
+  const dump = (url) => new Promise((resolve, reject) => {
+    const args = ["--dump-single-json", "--no-playlist", "--no-warnings", "-f", "best[acodec!=none][vcodec!=none]/bestaudio/best", url];
+    execFile(ytdlpPath, args, { timeout: timeoutMs, maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) return reject(new HttpError(422, (stderr || "").trim().split("\n").at(-1) || "Could not resolve URL"));
+      try { resolve(JSON.parse(stdout)); } catch { reject(new HttpError(502, "yt-dlp returned invalid JSON")); }
+    });
+  });
+
+  const captionsFor = async (info, lang) => {
+    const track = pickCaptionTrack(info, lang);
+    if (!track) return null;
+    // Unreadable captions aren't fatal; the browser falls back to speech-to-text
+    const res = await fetchUrl(track.url, { timeoutMs: fetchTimeoutMs }).catch(() => null);
+    if (!res?.ok) return null;
+    const text = await readText(res, MAX_CAPTION_BYTES).catch(() => null);
+    return text == null ? null : { lang: track.lang, auto: track.auto, text };
+  };
+
+  return {
+    async resolve(value, { lang } = {}) {
+      const url = parseMediaUrl(value);
+      if (looksLikeMedia(url, await probe(url), allowedTypes)) {
+        return { title: titleFromUrl(url), mediaUrl: url.href, direct: true, captions: null };
+      }
+      if (!ytdlpPath) throw new HttpError(422, "Not a direct media link; set YTDLP_PATH on the server to open page URLs");
+      const info = await dump(url.href);
+      if (!info.url) throw new HttpError(422, "No playable media found at this URL");
+      return { title: info.title || titleFromUrl(url), mediaUrl: info.url, direct: false, captions: await captionsFor(info, lang) };
+    },
+  };
+}
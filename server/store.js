@@ -0,0 +1,38 @@
+import { readFile, writeFile, rename, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// Whole-document JSON storage in one file, loaded on first use and kept in memory.
+// Updates run one at a time and are written through a temp file, so a crash
+// mid-write never leaves a truncated store behind.
+export function createFileStore(file) {
+  let data = null;
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      data = {};
+    }
+    return data;
+  };
+
+  return {
+    read: load,
+    // `fn` mutates the document in place and must throw before mutating to abort.
+    update(fn) {
+      const run = queue.then(async () => {
+        const current = await load();
+        const result = await fn(current);
+        await mkdir(dirname(file), { recursive: true });
+        await writeFile(`${file}.tmp`, JSON.stringify(current));
+        await rename(`${file}.tmp`, file);
+        return result;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+  };
+}
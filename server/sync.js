@@ -0,0 +1,142 @@
+import { randomBytes, scrypt, timingSafeEqual, createHash } from "node:crypto";
+import { promisify } from "node:util";
+import { HttpError } from "./errors.js";
+import { mergeVocabulary, modifiedAt } from "../shared/vocabulary.js";
+
+// Accounts, word bank sync and read-only shared decks on top of a document store
+// (see store.js). Passwords are scrypt-hashed; session tokens are stored as SHA-256
+// hashes so a leaked store can't be used to sign in, and stop working `tokenMaxAgeMs`
+// after they were issued. Expired tokens are dropped whenever a new one is issued, and
+// deletion records older than `tombstoneMaxAgeMs` whenever a word bank is synced.
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD = 8;
+// Entry fields a shared deck exposes; review state stays with each learner.
+const SHARED_FIELDS = ["word", "translation", "lang", "sourceLang", "sentence", "sessionName", "start", "end", "date", "tags"];
+
+const deriveKey = promisify(scrypt);
+const hashToken = (token) => createHash("sha256").update(token).digest("hex");
+const isObject = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+
+async function hashPassword(password, salt = randomBytes(16).toString("hex")) {
+  const key = await deriveKey(password, salt, 64);
+  return { salt, hash: key.toString("hex") };
+}
+
+// Rejects anything that isn't shaped like a vocabulary before it reaches the store.
+function parseVocabulary(body) {
+  const { decks = [], words = [], deleted = {} } = isObject(body) ? body : {};
+  if (!Array.isArray(decks) || !decks.every(d => isObject(d) && typeof d.id === "string")) throw new HttpError(400, "decks must be an array of { id }");
+  if (!Array.isArray(words) || !words.every(w => isObject(w) && typeof w.word === "string")) throw new HttpError(400, "words must be an array of { word }");
+  const stamps = (value) => isObject(value) && Object.values(value).every(Number.isFinite);
+  if (!isObject(deleted) || !stamps(deleted.decks ?? {}) || !stamps(deleted.words ?? {})) throw new HttpError(400, "deleted must map ids to timestamps");
+  return { decks, words, deleted: { decks: deleted.decks ?? {}, words: deleted.words ?? {} } };
+}
+
+const pruneStamps = (stamps, before) => Object.fromEntries(Object.entries(stamps).filter(([, at]) => at >= before));
+
+const init = (data) => {
+  data.users ??= {};
+  data.tokens ??= {};
+  data.banks ??= {};
+  data.shares ??= {};
+  return data;
+};
+
+export function createSyncService(store, { tokenMaxAgeMs = 30 * 24 * 60 * 60 * 1000, tombstoneMaxAgeMs = tokenMaxAgeMs } = {}) {
+  const read = async () => init(await store.read());
+  const update = (fn) => store.update(data => fn(init(data)));
+  const expired = (session, now = Date.now()) => !(now - session.createdAt < tokenMaxAgeMs);
+
+  const issueToken = (data, username) => {
+    const now = Date.now();
+    for (const [hash, session] of Object.entries(data.tokens)) if (expired(session, now)) delete data.tokens[hash];
+    const token = randomBytes(32).toString("base64url");
+    data.tokens[hashToken(token)] = { username, createdAt: now };
+    return token;
+  };
+
+  const credentials = (username, password) => {
+    if (typeof username !== "string" || typeof password !== "string") throw new HttpError(400, "username and password are required");
+    return { username: username.trim().toLowerCase(), password };
+  };
+
+  return {
+    async register(...args) {
+      const { username, password } = credentials(...args);
+      if (!USERNAME_PATTERN.test(username)) throw new HttpError(400, "Usernames are 3–32 letters, digits, dots, dashes or underscores");
+      if (password.length < MIN_PASSWORD) throw new HttpError(400, `Passwords need at least ${MIN_PASSWORD} characters`);
+      const hashed = await hashPassword(password);
+      return update(data => {
+        if (data.users[username]) throw new HttpError(409, "That username is taken");
+        data.users[username] = { ...hashed, createdAt: Date.now() };
+        return { username, token: issueToken(data, username) };
+      });
+    },
+
+    async login(...args) {
+      const { username, password } = credentials(...args);
+      const user = (await read()).users[username];
+      // Hash even for unknown users so response time doesn't reveal which exist
+      const { hash } = await hashPassword(password, user?.salt);
+      if (!user || !timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(user.hash, "hex"))) throw new HttpError(401, "Wrong username or password");
+      return update(data => ({ username, token: issueToken(data, username) }));
+    },
+
+    logout: (token) => update(data => { delete data.tokens[hashToken(token || "")]; }),
+
+    // Resolves a bearer token to its username.
+    async authenticate(token) {
+      const session = token && (await read()).tokens[hashToken(token)];
+      if (!session) throw new HttpError(401, "Sign in to sync");
+      if (expired(session)) throw new HttpError(401, "Your session has expired; sign in again");
+      return session.username;
+    },
+
+    // Merges the device's vocabulary into the stored one and returns the result,
+    // which the device merges back into whatever it changed in the meantime. A device
+    // that comes back after `tombstoneMaxAgeMs` can restore words deleted meanwhile.
+    sync: (username, body) => {
+      const incoming = parseVocabulary(body);
+      return update(data => {
+        const merged = mergeVocabulary(data.banks[username] || { decks: [], words: [], deleted: {} }, incoming);
+        const before = Date.now() - tombstoneMaxAgeMs;
+        merged.deleted = { decks: pruneStamps(merged.deleted.decks, before), words: pruneStamps(merged.deleted.words, before) };
+        data.banks[username] = merged;
+        return merged;
+      });
+    },
+
+    // Sharing the same deck twice returns the existing link.
+    share: (username, deckId) => update(data => {
+      if (!data.banks[username]?.decks.some(d => d.id === deckId)) throw new HttpError(404, "Sync this deck before sharing it");
+      const existing = Object.entries(data.shares).find(([, s]) => s.username === username && s.deck === deckId);
+      if (existing) return { id: existing[0] };
+      const id = randomBytes(9).toString("base64url");
+      data.shares[id] = { username, deck: deckId, createdAt: Date.now() };
+      return { id };
+    }),
+
+    unshare: (username, id) => update(data => {
+      if (data.shares[id]?.username !== username) throw new HttpError(404, "Shared deck not found");
+      delete data.shares[id];
+    }),
+
+    // Public and read-only: the deck's current name and words, without review state.
+    async getShare(id) {
+      const data = await read();
+      const share = data.shares[id];
+      const bank = share && data.banks[share.username];
+      const deck = bank?.decks.find(d => d.id === share.deck);
+      if (!deck) throw new HttpError(404, "This shared deck no longer exists");
+      const words = bank.words.filter(w => w.deck === deck.id);
+      return {
+        id,
+        name: deck.name,
+        words: words.map(w => Object.fromEntries(SHARED_FIELDS.filter(k => w[k] !== undefined).map(k => [k, w[k]]))),
+        // reduce rather than spreading into Math.max, which overflows the stack on big decks
+        updatedAt: words.reduce((latest, w) => Math.max(latest, modifiedAt(w)), modifiedAt(deck)),
+      };
+    },
+  };
+}
@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createSyncService } from "./sync.js";
+
+// The file store's contract without the file.
+function memoryStore(data = {}) {
+  return {
+    data,
+    read: async () => data,
+    update: async (fn) => fn(data),
+  };
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+afterEach(() => vi.useRealTimers());
+
+describe("session tokens", () => {
+  it("stop working once they're older than tokenMaxAgeMs", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-01-01T00:00:00Z"));
+    const sync = createSyncService(memoryStore(), { tokenMaxAgeMs: 7 * DAY });
+    const { token } = await sync.register("ada", "correct horse");
+    expect(await sync.authenticate(token)).toBe("ada");
+
+    vi.setSystemTime(new Date("2026-01-07T23:00:00Z"));
+    expect(await sync.authenticate(token)).toBe("ada");
+    vi.setSystemTime(new Date("2026-01-08T00:00:00Z"));
+    await expect(sync.authenticate(token)).rejects.toMatchObject({ status: 401 });
+  });
+
+  it("drops expired tokens when a new one is issued", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-01-01T00:00:00Z"));
+    const store = memoryStore();
+    const sync = createSyncService(store, { tokenMaxAgeMs: DAY });
+    await sync.register("ada", "correct horse");
+    await sync.login("ada", "correct horse");
+    expect(Object.keys(store.data.tokens)).toHaveLength(2);
+
+    vi.setSystemTime(new Date("2026-01-03T00:00:00Z"));
+    const { token } = await sync.login("ada", "correct horse");
+    expect(Object.keys(store.data.tokens)).toHaveLength(1);
+    expect(await sync.authenticate(token)).toBe("ada");
+  });
+
+  it("rejects unknown and signed-out tokens", async () => {
+    const sync = createSyncService(memoryStore());
+    const { token } = await sync.register("ada", "correct horse");
+    await expect(sync.authenticate("nope")).rejects.toMatchObject({ status: 401 });
+    await sync.logout(token);
+    await expect(sync.authenticate(token)).rejects.toMatchObject({ status: 401 });
+  });
+});
+
+describe("word bank sync", () => {
+  it("forgets deletions older than tombstoneMaxAgeMs", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(new Date("2026-01-10T00:00:00Z"));
+    const store = memoryStore();
+    const sync = createSyncService(store, { tombstoneMaxAgeMs: 7 * DAY });
+    const recent = Date.now() - DAY;
+    const stale = Date.now() - 8 * DAY;
+    const merged = await sync.sync("ada", { deleted: { decks: { old: stale, gone: recent }, words: { "|fr|chat": stale, "|fr|chien": recent } } });
+    expect(merged.deleted).toEqual({ decks: { gone: recent }, words: { "|fr|chien": recent } });
+    expect(store.data.banks.ada.deleted).toEqual(merged.deleted);
+  });
+});
+
+describe("shared decks", () => {
+  it("dates a big deck by its latest word", async () => {
+    const store = memoryStore();
+    const sync = createSyncService(store);
+    const words = Array.from({ length: 200_000 }, (_, i) => ({ word: `w${i}`, lang: "fr", deck: "big", date: i }));
+    await sync.sync("ada", { decks: [{ id: "big", name: "Big", createdAt: 5 }], words });
+    const { id } = await sync.share("ada", "big");
+    const shared = await sync.getShare(id);
+    expect(shared.words).toHaveLength(200_000);
+    expect(shared.updatedAt).toBe(199_999);
+  });
+});
@@ -0,0 +1,65 @@
+// Word bank identity and merging of vocabularies edited on several devices. Pure and
+// dependency-free: imported by both the browser (src/) and the sync server (server/).
+//
+// A vocabulary is { decks, words, deleted: { decks: { id: time }, words: { key: time } } }.
+// Words are matched by entryKey (deck, language and word) and decks by id. When both
+// sides have an item, the one modified last wins; a word's `date` counts as a
+// modification, so a word deleted on one device and saved again later comes back.
+
+// The same word may be saved once per deck and target language.
+export const entryKey = (entry) => `${entry.deck ?? ""}|${entry.lang ?? ""}|${entry.word}`;
+
+const deckKey = (deck) => deck.id;
+
+export const modifiedAt = (item) => Math.max(item.updatedAt || 0, item.lastReview || 0, item.date || 0, item.createdAt || 0);
+
+function mergeItems(a, b, keyOf, deleted) {
+  const merged = new Map();
+  for (const item of [...a, ...b]) {
+    const key = keyOf(item);
+    if ((deleted[key] ?? -Infinity) >= modifiedAt(item)) continue;
+    const current = merged.get(key);
+    if (!current || modifiedAt(item) > modifiedAt(current)) merged.set(key, item);
+  }
+  return [...merged.values()];
+}
+
+function mergeDeleted(a = {}, b = {}) {
+  const merged = { ...a };
+  for (const [key, at] of Object.entries(b)) merged[key] = Math.max(merged[key] ?? 0, at);
+  return merged;
+}
+
+// Ties go to `local`. Words whose deck was deleted elsewhere are dropped with it.
+export function mergeVocabulary(local, remote) {
+  const deleted = {
+    decks: mergeDeleted(local.deleted?.decks, remote.deleted?.decks),
+    words: mergeDeleted(local.deleted?.words, remote.deleted?.words),
+  };
+  const decks = mergeItems(local.decks || [], remote.decks || [], deckKey, deleted.decks);
+  const deckIds = new Set(decks.map(deckKey));
+  const words = mergeItems(local.words || [], remote.words || [], entryKey, deleted.words).filter(w => w.deck == null || deckIds.has(w.deck));
+  return { ...local, decks, words, deleted };
+}
+
+// Stamps `updatedAt` on the decks and words `next` added or replaced, and records the
+// ones it removed, so a later merge can order this device's edits against others.
+export function trackChanges(prev, next, now = Date.now()) {
+  const deleted = { decks: { ...prev.deleted?.decks }, words: { ...prev.deleted?.words } };
+  const stamp = (before, after, keyOf, graves) => {
+    const unchanged = new Set(before);
+    const remaining = new Set(after.map(keyOf));
+    for (const item of before) if (!remaining.has(keyOf(item))) graves[keyOf(item)] = now;
+    return after.map(item => (unchanged.has(item) ? item : { ...item, updatedAt: now }));
+  };
+  return {
+    ...next,
+    decks: stamp(prev.decks, next.decks, deckKey, deleted.decks),
+    words: stamp(prev.words, next.words, entryKey, deleted.words),
+    deleted,
+  };
+}
+
+export const changedSince = (vocabulary, since = 0) =>
+  [...vocabulary.decks, ...vocabulary.words].some(item => modifiedAt(item) > since) ||
+  [...Object.values(vocabulary.deleted?.decks || {}), ...Object.values(vocabulary.deleted?.words || {})].some(at => at > since);
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { changedSince, entryKey, mergeVocabulary, trackChanges } from "./vocabulary.js";
+
+const deck = { id: "d1", name: "Verbs", createdAt: 1 };
+const word = (fields) => ({ word: "manger", lang: "en", deck: "d1", date: 10, ...fields });
+const bank = (words, deleted = {}) => ({ decks: [deck], words, deleted: { decks: {}, words: {}, ...deleted } });
+const KEY = entryKey(word());
+
+describe("mergeVocabulary", () => {
+  it("keeps the edit made last on either side", () => {
+    const local = bank([word({ translation: "to eat", updatedAt: 20 })]);
+    const remote = bank([word({ translation: "eat", updatedAt: 30 })]);
+    expect(mergeVocabulary(local, remote).words[0].translation).toBe("eat");
+    expect(mergeVocabulary(remote, local).words[0].translation).toBe("eat");
+  });
+
+  it("counts reviews as edits and settles ties for the local side", () => {
+    const reviewed = word({ translation: "to eat", updatedAt: 20, lastReview: 40 });
+    const edited = word({ translation: "eat", updatedAt: 30 });
+    expect(mergeVocabulary(bank([edited]), bank([reviewed])).words[0].translation).toBe("to eat");
+    const tie = word({ translation: "eat", updatedAt: 40 });
+    expect(mergeVocabulary(bank([tie]), bank([reviewed])).words[0].translation).toBe("eat");
+  });
+
+  it("lets a deletion beat edits made before it", () => {
+    const local = bank([], { words: { [KEY]: 50 } });
+    const remote = bank([word({ translation: "eat", updatedAt: 30 })]);
+    const merged = mergeVocabulary(local, remote);
+    expect(merged.words).toEqual([]);
+    expect(merged.deleted.words).toEqual({ [KEY]: 50 });
+    expect(mergeVocabulary(remote, local).words).toEqual([]);
+  });
+
+  it("brings a word back when it's saved again after the deletion", () => {
+    const local = bank([], { words: { [KEY]: 50 } });
+    const remote = bank([word({ date: 60 })]);
+    expect(mergeVocabulary(local, remote).words).toEqual([word({ date: 60 })]);
+  });
+
+  it("keeps the later of two deletion times and drops words with their deck", () => {
+    const local = bank([word()], { decks: { d2: 5 } });
+    const remote = { decks: [], words: [], deleted: { decks: { d1: 20, d2: 8 }, words: {} } };
+    const merged = mergeVocabulary(local, remote);
+    expect(merged.decks).toEqual([]);
+    expect(merged.words).toEqual([]);
+    expect(merged.deleted.decks).toEqual({ d1: 20, d2: 8 });
+  });
+});
+
+describe("trackChanges", () => {
+  it("stamps changed items and records removed ones", () => {
+    const kept = word({ word: "boire" });
+    const prev = bank([kept, word()]);
+    const next = { ...prev, words: [kept, word({ translation: "to eat" })] };
+    const tracked = trackChanges(prev, next, 100);
+    expect(tracked.words[0]).toBe(kept);
+    expect(tracked.words[1]).toEqual(word({ translation: "to eat", updatedAt: 100 }));
+
+    const removed = trackChanges(tracked, { ...tracked, words: [kept] }, 200);
+    expect(removed.deleted.words).toEqual({ [KEY]: 200 });
+    expect(changedSince(removed, 150)).toBe(true);
+    expect(changedSince(removed, 200)).toBe(false);
+  });
+
+  it("orders one device's edits against another's through a merge", () => {
+    const start = bank([word()]);
+    const phone = trackChanges(start, { ...start, words: [] }, 100);
+    const laptop = trackChanges(start, { ...start, words: [word({ translation: "to eat" })] }, 200);
+    expect(mergeVocabulary(phone, laptop).words).toEqual([word({ translation: "to eat", updatedAt: 200 })]);
+    const later = trackChanges(start, { ...start, words: [] }, 300);
+    expect(mergeVocabulary(laptop, later).words).toEqual([]);
+  });
+});
@@ -1,5 +1,27 @@
-import { useState, useRef, useEffect } from "react";
-import { AssemblyAI } from "assemblyai";
+import { useState, useRef, useEffect, useMemo, useCallback, useEffectEvent } from "react";
+import { TranscriptionError, resolveMedia } from "./lib/api.js";
+import { createEngine } from "./lib/transcription/index.js";
+import { extractiveSummary } from "./lib/transcription/summary.js";
+import { GRADES, newCard, review, dueCards, dueTodayCount, nextDue } from "./lib/scheduler.js";
+import { createTranslator, translatorConfigFromEnv, withTranslationCache, OfflineError } from "./lib/translation/index.js";
+import { hashFile, getSession, listSessions, saveSession, updateSession, renameSession, deleteSession } from "./lib/sessionStore.js";
+import { EXPORT_FORMATS, IMPORT_ACCEPT, exportVocab, importVocab, mergeWordBanks, entryKey } from "./lib/vocab/index.js";
+import { DEFAULT_DECK_ID, loadVocabulary, saveVocabulary, createDeck, removeDeck, deckName, deckLanguages, deckTags, parseTags } from "./lib/decks.js";
+import { toSRT, toVTT, parseSubtitles, isSubtitleFile, subtitleLanguage, collapseRollingCaptions } from "./lib/subtitles.js";
+import { createRecognizer } from "./lib/speech/index.js";
+import PronunciationCheck from "./components/PronunciationCheck.jsx";
+import TranscriptExercises from "./components/TranscriptExercises.jsx";
+import ProgressDashboard from "./components/ProgressDashboard.jsx";
+import SyncPanel from "./components/SyncPanel.jsx";
+import { SyncError, loadAccount, saveAccount, register, login, logout, syncVocabulary, shareDeck, fetchSharedDeck, shareLink, sharedDeckFromUrl, applySharedDeck, mergeVocabulary, trackChanges, changedSince } from "./lib/sync/index.js";
+import { loadActivity, saveActivity, appendActivity, exportActivity } from "./lib/activity.js";
+import { shuffle } from "./lib/exercises.js";
+import { timedSegments, wordAt } from "./lib/wordTiming.js";
+import { speakerColor, speakerLabel, speakerStats, mergeSpeakers } from "./lib/speakers.js";
+import { editLine, splitLine, mergeWithNext, searchTranscript } from "./lib/transcriptEdit.js";
+import { normalizeLang, speechLocale, segmentWords, words, cleanWord, isLookupWord } from "./lib/text.js";
+import { CEFR_LEVELS, loadFrequencyList, analyzeVocabulary, edgeKeywords, newWords } from "./lib/keywords/index.js";
+import { UI_LANGUAGES, I18nContext, createI18n, initialUiLanguage, saveUiLanguage, textDirection } from "./lib/i18n/index.js";
 
 const LANGUAGES = [
   { code: "ar", label: "🇸🇦 العربية" },
@@ -12,50 +34,101 @@ const LANGUAGES = [
   { code: "zh", label: "🇨🇳 中文" },
 ];
 
-const SPEAKER_COLORS = ["#a78bfa","#38bdf8","#fb7185","#34d399","#fbbf24","#c084fc"];
+const PENDING_JOB_KEY = "polyglot_pending_job";
+const LEVEL_KEY = "polyglot_level";
+const DECK_KEY = "polyglot_active_deck";
+// Local word bank edits are pushed to the sync server this long after the last one
+const SYNC_DELAY = 3000;
 
-const STOP_WORDS = new Set(["the","a","an","is","it","in","on","at","to","of","and","or","but","was","are","be","this","that","with","for","as","by","from","have","has","had","not","we","they","he","she","you","i","my","our","his","her","its","do","did","will","would","can","could","should","been","were","so","if","up","out","about","what","which","who","when","how","all","some","one","more","also","into","just","like","get","got","than","then","now","here","there","their","your","been","very","even","only","back","after","use","two","well","way","new","want","because","any","these","give","day","most","us"]);
+const LEVEL_COLORS = { A1: "#34d399", A2: "#34d399", B1: "#38bdf8", B2: "#38bdf8", C1: "#fb7185", C2: "#fb7185" };
 
-async function translateWord(word, targetLang) {
-  try {
-    const res = await fetch(`https://api.mymemory.translated.net/get?q=${encodeURIComponent(word)}&langpair=en|${targetLang}`);
-    const data = await res.json();
-    return data.responseStatus === 200 ? data.responseData.translatedText : null;
-  } catch { return null; }
-}
+const TRANSCRIBE_STAGES = ["upload", "queued", "processing", "finalizing"];
 
-function getTopKeywords(transcript, count = 6) {
-  const freq = {};
-  transcript.forEach(line => {
-    line.text.split(/\s+/).forEach(w => {
-      const clean = w.toLowerCase().replace(/[^a-z]/g, "");
-      if (clean.length > 4 && !STOP_WORDS.has(clean)) freq[clean] = (freq[clean] || 0) + 1;
-    });
-  });
-  return Object.entries(freq).sort((a, b) => b[1] - a[1]).slice(0, count).map(([w]) => w);
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5];
+
+// Flashcard grades in button order; keys 1–4 pick them
+const GRADE_BUTTONS = [
+  { grade: GRADES.again, label: "quiz.again", color: "#fb7185" },
+  { grade: GRADES.hard, label: "quiz.hard", color: "#fbbf24" },
+  { grade: GRADES.good, label: "quiz.good", color: "#34d399" },
+  { grade: GRADES.easy, label: "quiz.easy", color: "#38bdf8" },
+];
+
+// Hidden from view but still read by screen readers
+const SR_ONLY = { position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap" };
+
+const isTextField = (el) => /^(INPUT|SELECT|TEXTAREA)$/.test(el.tagName);
+const LOOP_COUNTS = [1, 2, 3, 5];
+
+const translator = withTranslationCache(createTranslator(translatorConfigFromEnv(import.meta.env)));
+const recognizer = createRecognizer(import.meta.env);
+const engine = createEngine(import.meta.env);
+
+// `queue: true` keeps lookups made offline for when the connection returns
+function translateText(text, sourceLang, targetLang, { queue = false } = {}) {
+  return translator.translate(text, { source: normalizeLang(sourceLang), target: targetLang, queue });
 }
 
-function speakWord(word) {
+const offlineMessage = (err, t) => t(err.queued ? "offline.queued" : "offline.noConnection");
+
+const sentenceKey = (text, sourceLang, targetLang) => `${sourceLang}|${targetLang}|${text}`;
+
+function speakWord(word, lang = "en") {
   if (!window.speechSynthesis) return;
   window.speechSynthesis.cancel();
   const u = new SpeechSynthesisUtterance(word);
-  u.lang = "en-US"; u.rate = 0.85;
+  u.lang = speechLocale(lang); u.rate = 0.85;
+  // Network voices (Chrome's "Google" ones) fail silently without a connection
+  if (!navigator.onLine) {
+    const local = window.speechSynthesis.getVoices().find(v => v.localService && v.lang.startsWith(normalizeLang(lang)));
+    if (local) u.voice = local;
+  }
   window.speechSynthesis.speak(u);
 }
 
-function downloadVocabCSV(wordBank) {
-  const rows = [["Word","Translation","Language"], ...wordBank.map(w => [w.word, w.translation, w.lang])];
-  const csv = rows.map(r => r.join(",")).join("\n");
-  const blob = new Blob([csv], { type: "text/csv" });
+function downloadFile(content, name, type) {
+  const blob = new Blob([content], { type });
   const a = document.createElement("a");
   a.href = URL.createObjectURL(blob);
-  a.download = "polyglot_vocabulary.csv";
+  a.download = name;
   a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
 }
 
-function GlowCard({ children, style = {}, accent = "#7c3aed" }) {
+const HISTORY_LIMIT = 50;
+
+// Flags segments that overlap a search hit: 1 for any hit, 2 for the current one
+function markHits(segments, hits, current) {
+  if (!hits?.length) return segments;
+  let offset = 0;
+  return segments.map(seg => {
+    const from = offset;
+    offset += seg.text.length;
+    const hit = hits.find(h => h.from < offset && h.to > from);
+    return hit ? { ...seg, hit: hit === current ? 2 : 1 } : seg;
+  });
+}
+
+const HIT_BACKGROUNDS = { 1: "rgba(251,191,36,0.18)", 2: "rgba(251,191,36,0.45)" };
+
+const formatDuration = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, "0")}`;
+
+const baseName = (name) => (name || "transcript").replace(/\.[^.]+$/, "");
+
+// Example sentence with every occurrence of `word` highlighted.
+function ContextSentence({ sentence, word, lang, style = {} }) {
   return (
-    <div style={{
+    <div lang={lang} dir="auto" style={{ fontSize: 11, color: "#6b7280", lineHeight: 1.6, ...style }}>
+      {segmentWords(sentence, lang).map((seg, i) => seg.isWord && cleanWord(seg.text, lang) === word
+        ? <mark key={i} style={{ background: "rgba(167,139,250,0.2)", color: "#c4b5fd", borderRadius: 3, padding: "0 2px" }}>{seg.text}</mark>
+        : <span key={i}>{seg.text}</span>)}
+    </div>
+  );
+}
+
+function GlowCard({ children, style = {}, accent = "#7c3aed", ...props }) {
+  return (
+    <div {...props} style={{
       background: "rgba(15,10,30,0.9)",
       border: `1px solid ${accent}25`,
       borderRadius: 16,
@@ -67,36 +140,315 @@ function GlowCard({ children, style = {}, accent = "#7c3aed" }) {
 
 export default function App() {
   const [targetLang, setTargetLang] = useState("ar");
+  const [uiLang, setUiLang] = useState(initialUiLanguage);
   const [transcript, setTranscript] = useState([]);
+  const [sourceLang, setSourceLang] = useState("en");
   const [status, setStatus] = useState("idle");
   const [statusMsg, setStatusMsg] = useState("");
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [stage, setStage] = useState(null);
+  const [stages, setStages] = useState(engine.stages);
+  const [pendingJob, setPendingJob] = useState(() => {
+    try { return JSON.parse(localStorage.getItem(PENDING_JOB_KEY) || "null"); } catch { return null; }
+  });
   const [currentTime, setCurrentTime] = useState(0);
+  const [activeWordStart, setActiveWordStart] = useState(null);
   const [activeIndex, setActiveIndex] = useState(0);
   const [popup, setPopup] = useState(null);
   const [videoURL, setVideoURL] = useState(null);
   const [fileName, setFileName] = useState("");
+  const [mediaLink, setMediaLink] = useState("");
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [queuedLookups, setQueuedLookups] = useState(0);
+  const [sessionId, setSessionId] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [showLibrary, setShowLibrary] = useState(false);
+  const [captionsOn, setCaptionsOn] = useState(true);
+  const [bilingualCaptions, setBilingualCaptions] = useState(false);
+  const [lineTranslations, setLineTranslations] = useState({});
+  const [bilingualTranscript, setBilingualTranscript] = useState(false);
+  const [speakerNames, setSpeakerNames] = useState({});
+  const [speakerFilter, setSpeakerFilter] = useState(null);
+  const [showSpeakers, setShowSpeakers] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [hitIndex, setHitIndex] = useState(0);
+  const [editing, setEditing] = useState(false);
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const [shadowing, setShadowing] = useState(false);
+  const [shadow, setShadow] = useState({ index: 0, plays: 0, waiting: false });
+  const [loopCount, setLoopCount] = useState(3);
+  const [pauseAfter, setPauseAfter] = useState(true);
+  const [playbackRate, setPlaybackRate] = useState(1);
   const [duration, setDuration] = useState(0);
   const [summary, setSummary] = useState([]);
-  const [keywords, setKeywords] = useState([]);
+  const [learnerLevel, setLearnerLevel] = useState(() => localStorage.getItem(LEVEL_KEY) || "B1");
+  const [frequencyList, setFrequencyList] = useState({ lang: null, list: null });
   const [activeTab, setActiveTab] = useState("transcript");
   const [quizMode, setQuizMode] = useState("flashcard");
   const [quizIndex, setQuizIndex] = useState(0);
   const [quizFlipped, setQuizFlipped] = useState(false);
   const [quizAnswer, setQuizAnswer] = useState(null);
   const [quizOptions, setQuizOptions] = useState([]);
-  const [wordBank, setWordBank] = useState(() => {
-    try { return JSON.parse(localStorage.getItem("polyglot_v2_wordbank") || "[]"); } catch { return []; }
-  });
+  // Entry key of the multiple-choice question being answered, kept on screen after
+  // grading moves it out of the due queue
+  const [quizHeld, setQuizHeld] = useState(null);
+  const [vocabulary, setVocabulary] = useState(loadVocabulary);
+  const [activeDeck, setActiveDeck] = useState(() => localStorage.getItem(DECK_KEY) || DEFAULT_DECK_ID);
+  const [deckLang, setDeckLang] = useState(null);
+  const [deckTag, setDeckTag] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
+  const [account, setAccount] = useState(loadAccount);
+  const [syncState, setSyncState] = useState({ status: "idle", error: "" });
+  const [wordFocus, setWordFocus] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
 
   const videoRef = useRef(null);
   const transcriptRef = useRef(null);
   const activeLineRef = useRef(null);
   const cache = useRef({});
+  const sentenceCache = useRef({});
+  const pendingSentences = useRef(new Set());
+  const subtitleInputRef = useRef(null);
+  const vocabInputRef = useRef(null);
   const fileInputRef = useRef(null);
-  const progressInterval = useRef(null);
+  const jobController = useRef(null);
+  const clip = useRef(null);
+  const shadowTimer = useRef(null);
+  const lineEditors = useRef({});
+  const watch = useRef({ last: null, ms: 0 });
+  const savedKeywords = useRef("");
+  const popupRef = useRef(null);
+  const studyPanelRef = useRef(null);
+  const popupOpener = useRef(null);
+  const syncing = useRef(null);
 
-  useEffect(() => { localStorage.setItem("polyglot_v2_wordbank", JSON.stringify(wordBank)); }, [wordBank]);
+  const i18n = useMemo(() => createI18n(uiLang), [uiLang]);
+  const { t } = i18n;
+
+  useEffect(() => {
+    saveUiLanguage(uiLang);
+    document.documentElement.lang = uiLang;
+    document.documentElement.dir = i18n.dir;
+  }, [uiLang, i18n.dir]);
+
+  useEffect(() => { saveVocabulary(vocabulary); }, [vocabulary]);
+  useEffect(() => { localStorage.setItem(DECK_KEY, activeDeck); }, [activeDeck]);
+
+  // `deckWords` is the whole active deck; `wordBank` is what the language and tag
+  // filters leave of it, and is what the list, flashcards and quiz work on
+  const deck = vocabulary.decks.find(d => d.id === activeDeck) || vocabulary.decks[0];
+  const deckWords = useMemo(() => vocabulary.words.filter(w => (w.deck ?? DEFAULT_DECK_ID) === deck.id), [vocabulary.words, deck.id]);
+  const wordBank = useMemo(() => deckWords.filter(w => (!deckLang || w.lang === deckLang) && (!deckTag || w.tags?.includes(deckTag))), [deckWords, deckLang, deckTag]);
+  // Local edits go through trackChanges so sync can order them against other devices
+  const editVocabulary = (update) => setVocabulary(v => trackChanges(v, update(v)));
+  const setWords = (update) => editVocabulary(v => ({ ...v, words: update(v.words) }));
+  // Subscribed decks are read-only, so words saved while one is open go to the main deck
+  const saveDeckId = deck.shared ? DEFAULT_DECK_ID : deck.id;
+  const findSaved = (word, lang = targetLang) => deckWords.find(w => w.word === word && w.lang === lang)
+    || (deck.shared ? vocabulary.words.find(w => w.deck === saveDeckId && w.word === word && w.lang === lang) : undefined);
+
+  const switchDeck = (id) => { setActiveDeck(id); setDeckLang(null); setDeckTag(null); setQuizIndex(0); };
+
+  const addDeck = () => {
+    const name = prompt(t("deck.newPrompt"));
+    if (!name?.trim()) return;
+    const created = createDeck(name.trim());
+    editVocabulary(v => ({ ...v, decks: [...v.decks, created] }));
+    switchDeck(created.id);
+  };
+
+  const renameDeck = () => {
+    const current = deckName(deck, t("deck.default"));
+    const name = prompt(t("deck.renamePrompt"), current);
+    if (!name?.trim() || name === current) return;
+    editVocabulary(v => ({ ...v, decks: v.decks.map(d => d.id === deck.id ? { ...d, name: name.trim() } : d) }));
+  };
+
+  const deleteDeck = () => {
+    if (!confirm(t("deck.deleteConfirm", { name: deckName(deck, t("deck.default")) }))) return;
+    editVocabulary(v => removeDeck(v, deck.id));
+    switchDeck(DEFAULT_DECK_ID);
+  };
+
+  const tagWord = (key) => {
+    const entry = vocabulary.words.find(w => entryKey(w) === key);
+    const text = prompt(t("words.tagsPrompt"), (entry?.tags || []).join(", "));
+    if (text == null) return;
+    setWords(words => words.map(w => entryKey(w) === key ? { ...w, tags: parseTags(text) } : w));
+  };
+
+  const [activity, setActivity] = useState(loadActivity);
+  useEffect(() => { saveActivity(activity); }, [activity]);
+  const logActivity = (event) => setActivity(log => appendActivity(log, event));
+
+  const refreshSessions = () => listSessions().then(setSessions).catch(() => {});
+  useEffect(() => { refreshSessions(); }, []);
+
+  const refreshQueue = () => translator.pending().then(q => setQueuedLookups(q.length));
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => { window.removeEventListener("online", update); window.removeEventListener("offline", update); };
+  }, []);
+
+  // Replays lookups queued while offline and fills in words saved without a translation
+  const syncLookups = useEffectEvent(async () => {
+    await translator.flushQueue({
+      onTranslated: ({ text, source, target }, translation) => setWords(prev => prev.map(w => {
+        if (!w.translationPending || w.word !== text || normalizeLang(w.sourceLang) !== source || w.lang !== target) return w;
+        const { translationPending: _pending, ...rest } = w;
+        return { ...rest, translation };
+      })),
+    });
+    refreshQueue();
+  });
+
+  useEffect(() => { if (online) syncLookups(); }, [online]);
+
+  useEffect(() => { saveAccount(account); }, [account]);
+
+  // Sends the vocabulary and merges the server's copy back in, so edits made while
+  // the request was in flight survive. Concurrent calls share one request.
+  const syncNow = () => {
+    if (!account) return Promise.resolve();
+    if (syncing.current) return syncing.current;
+    const startedAt = Date.now();
+    setSyncState({ status: "syncing", error: "" });
+    syncing.current = syncVocabulary(account, vocabulary)
+      .then(merged => {
+        setVocabulary(v => mergeVocabulary(v, merged));
+        setAccount(a => a && { ...a, syncedAt: startedAt });
+        setSyncState({ status: "idle", error: "" });
+      })
+      .catch(err => {
+        if (err instanceof SyncError && err.status === 401) setAccount(null);
+        setSyncState({ status: "error", error: err.message });
+      })
+      .finally(() => { syncing.current = null; });
+    return syncing.current;
+  };
+
+  // Pulls on sign-in and reconnect, and pushes local edits shortly after they happen
+  const autoSync = useEffectEvent(() => { syncNow(); });
+  useEffect(() => { if (online && account?.token) autoSync(); }, [online, account?.token]);
+  useEffect(() => {
+    if (!online || !account || !changedSince(vocabulary, account.syncedAt)) return;
+    const timer = setTimeout(autoSync, SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [vocabulary, account, online]);
+
+  const signIn = async (mode, username, password) => {
+    const { username: name, token } = await (mode === "register" ? register : login)(username, password);
+    setAccount({ username: name, token, syncedAt: 0 });
+  };
+
+  const signOut = () => {
+    logout(account).catch(() => {});
+    setAccount(null);
+    setSyncState({ status: "idle", error: "" });
+  };
+
+  // The server can only share decks it has, so sync first
+  const shareActiveDeck = async () => {
+    if (!account) { alert(t("sync.shareNeedsAccount")); return; }
+    try {
+      await syncNow();
+      const { id } = await shareDeck(account, deck.id);
+      prompt(t("sync.shareLink"), shareLink(id));
+    } catch (err) {
+      alert(t("sync.shareFailed", { message: err.message }));
+    }
+  };
+
+  const refreshSharedDeck = async (target) => {
+    const shared = await fetchSharedDeck(target.shared.id);
+    editVocabulary(v => (v.decks.some(d => d.id === target.id) ? applySharedDeck(v, target.id, shared) : v));
+  };
+
+  // Subscribed decks pick up the owner's changes whenever we come online
+  const refreshSharedDecks = useEffectEvent(() => {
+    for (const d of vocabulary.decks) if (d.shared) refreshSharedDeck(d).catch(() => {});
+  });
+  useEffect(() => { if (online) refreshSharedDecks(); }, [online]);
+
+  const subscribeToDeck = useEffectEvent(async (id) => {
+    const existing = vocabulary.decks.find(d => d.shared?.id === id);
+    if (existing) { switchDeck(existing.id); setActiveTab("wordbank"); return; }
+    try {
+      const shared = await fetchSharedDeck(id);
+      if (!confirm(t("sync.subscribeConfirm", { name: deckName(shared, t("deck.default")), count: shared.words.length }))) return;
+      const created = { ...createDeck(shared.name), shared: { id } };
+      editVocabulary(v => applySharedDeck({ ...v, decks: [...v.decks, created] }, created.id, shared));
+      switchDeck(created.id);
+      setActiveTab("wordbank");
+    } catch (err) {
+      alert(t("sync.subscribeFailed", { message: err.message }));
+    }
+  });
+
+  // Share links (?deck=…) offer to subscribe to that deck
+  useEffect(() => {
+    const id = sharedDeckFromUrl();
+    if (!id) return;
+    window.history.replaceState(null, "", window.location.pathname);
+    subscribeToDeck(id);
+  }, []);
+
+  // Resolves to the cached sentence translation, or null if another request for it is in flight
+  const translateSentence = useCallback(async (text) => {
+    const key = sentenceKey(text, sourceLang, targetLang);
+    if (sentenceCache.current[key] != null) return sentenceCache.current[key];
+    if (pendingSentences.current.has(key)) return null;
+    pendingSentences.current.add(key);
+    try {
+      const translation = await translateText(text, sourceLang, targetLang);
+      sentenceCache.current[key] = translation;
+      setLineTranslations({ ...sentenceCache.current });
+      return translation;
+    } finally {
+      pendingSentences.current.delete(key);
+    }
+  }, [sourceLang, targetLang]);
+
+  // Translate every line in order for bilingual captions; stops at the first failure (usually rate limits)
+  useEffect(() => {
+    if (!bilingualCaptions || !transcript.length) return;
+    let cancelled = false;
+    (async () => {
+      for (const line of transcript) {
+        if (cancelled) return;
+        try { await translateSentence(line.text); } catch { return; }
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [bilingualCaptions, transcript, translateSentence]);
+
+  // Bilingual transcript only fetches lines around the playhead
+  useEffect(() => {
+    if (!bilingualTranscript) return;
+    transcript.slice(Math.max(activeIndex - 2, 0), activeIndex + 6).forEach(line => translateSentence(line.text).catch(() => {}));
+  }, [bilingualTranscript, transcript, activeIndex, translateSentence]);
+
+  // Sentence translations are cached with the session so reopening it doesn't refetch them
+  useEffect(() => {
+    if (!sessionId || !Object.keys(lineTranslations).length) return;
+    const timer = setTimeout(() => updateSession(sessionId, { translations: lineTranslations }).catch(() => {}), 1000);
+    return () => clearTimeout(timer);
+  }, [sessionId, lineTranslations]);
+
+  const lineTranslation = (text) => lineTranslations[sentenceKey(text, sourceLang, targetLang)];
+
+  const captionTranslations = (lines) => bilingualCaptions ? lines.map(l => lineTranslation(l.text)) : [];
+
+  const captionsURL = useMemo(() => {
+    if (!transcript.length) return null;
+    const translations = bilingualCaptions ? transcript.map(l => lineTranslations[sentenceKey(l.text, sourceLang, targetLang)]) : [];
+    return URL.createObjectURL(new Blob([toVTT(transcript, translations)], { type: "text/vtt" }));
+  }, [transcript, bilingualCaptions, lineTranslations, sourceLang, targetLang]);
+
+  useEffect(() => () => { if (captionsURL) URL.revokeObjectURL(captionsURL); }, [captionsURL]);
 
   useEffect(() => {
     if (!transcript.length) return;
@@ -104,114 +456,753 @@ export default function App() {
     setActiveIndex(idx);
   }, [currentTime, transcript]);
 
+  // timeupdate only fires a few times a second, too coarse for word highlighting;
+  // poll each frame while playing but only re-render when the spoken word changes
+  useEffect(() => {
+    const timedWords = transcript[activeIndex]?.words;
+    const video = videoRef.current;
+    if (!timedWords?.length || !video) { setActiveWordStart(null); return; }
+    let frame = null;
+    const update = () => setActiveWordStart(timedWords[wordAt(timedWords, video.currentTime * 1000)]?.start ?? null);
+    const tick = () => { update(); frame = requestAnimationFrame(tick); };
+    const play = () => { if (frame == null) tick(); };
+    const stop = () => { cancelAnimationFrame(frame); frame = null; };
+    update();
+    if (!video.paused && !video.ended) play();
+    video.addEventListener("play", play);
+    video.addEventListener("pause", stop);
+    video.addEventListener("ended", stop);
+    video.addEventListener("seeked", update);
+    return () => {
+      stop();
+      video.removeEventListener("play", play);
+      video.removeEventListener("pause", stop);
+      video.removeEventListener("ended", stop);
+      video.removeEventListener("seeked", update);
+    };
+  }, [transcript, activeIndex, videoURL]);
+
+  const speakers = useMemo(() => speakerStats(transcript, sourceLang), [transcript, sourceLang]);
+  const totalTalkTime = speakers.reduce((sum, s) => sum + s.talkTime, 0);
+
+  const renameSpeaker = (speaker, name) => {
+    const trimmed = name.trim();
+    if ((speakerNames[speaker] || "") === trimmed) return;
+    const { [speaker]: _old, ...rest } = speakerNames;
+    const names = trimmed ? { ...rest, [speaker]: trimmed } : rest;
+    setSpeakerNames(names);
+    if (sessionId) updateSession(sessionId, { speakers: names }).catch(() => {});
+  };
+
+  // For when diarization splits one person into two labels. The old name is kept
+  // so undoing the merge brings it back.
+  const mergeSpeaker = (from, into) => {
+    commitTranscript(mergeSpeakers(transcript, from, into));
+    if (speakerFilter === from) setSpeakerFilter(into);
+  };
+
+  // Corrections feed keywords, exports and saved words; keywords follow the
+  // transcript on their own, so only the lines need re-saving
+  const applyTranscript = (lines) => {
+    setTranscript(lines);
+    if (sessionId) updateSession(sessionId, { transcript: lines }).catch(() => {});
+  };
+
+  const commitTranscript = (lines) => {
+    if (lines === transcript) return;
+    setHistory(h => ({ past: [...h.past.slice(1 - HISTORY_LIMIT), transcript], future: [] }));
+    applyTranscript(lines);
+  };
+
+  const undoEdit = () => {
+    if (!history.past.length) return;
+    setHistory({ past: history.past.slice(0, -1), future: [transcript, ...history.future] });
+    applyTranscript(history.past.at(-1));
+  };
+
+  const redoEdit = () => {
+    if (!history.future.length) return;
+    setHistory({ past: [...history.past, transcript], future: history.future.slice(1) });
+    applyTranscript(history.future[0]);
+  };
+
+  const commitLineText = (i, value) => {
+    const text = value.trim();
+    if (text && text !== transcript[i].text) commitTranscript(editLine(transcript, i, { text }));
+  };
+
+  const commitLineTime = (i, field, value) => {
+    const ms = Math.round(parseFloat(value) * 1000);
+    if (Number.isFinite(ms) && ms >= 0 && ms !== transcript[i][field]) commitTranscript(editLine(transcript, i, { [field]: ms }));
+  };
+
+  // Splits at the caret, taking any unsaved typing in the same step
+  const splitAtCaret = (i) => {
+    const el = lineEditors.current[i];
+    if (!el) return;
+    const lines = el.value !== transcript[i].text ? editLine(transcript, i, { text: el.value }) : transcript;
+    commitTranscript(splitLine(lines, i, el.selectionStart, sourceLang));
+  };
+
+  const onEditKey = useEffectEvent((e) => {
+    if (!(e.ctrlKey || e.metaKey) || isTextField(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) undoEdit();
+    else if (key === "y" || (key === "z" && e.shiftKey)) redoEdit();
+    else return;
+    e.preventDefault();
+  });
+
+  useEffect(() => {
+    if (!editing) return;
+    const handler = (e) => onEditKey(e);
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  }, [editing]);
+
+  const searchHits = useMemo(() => searchTranscript(transcript, searchQuery, sourceLang), [transcript, searchQuery, sourceLang]);
+  const hitsByLine = useMemo(() => searchHits.reduce((acc, h) => ((acc[h.line] ||= []).push(h), acc), {}), [searchHits]);
+  const currentHit = searchHits[Math.min(hitIndex, searchHits.length - 1)];
+
+  const goToHit = (n) => {
+    if (!searchHits.length) return;
+    const index = (n + searchHits.length) % searchHits.length;
+    const hit = searchHits[index];
+    const line = transcript[hit.line];
+    setHitIndex(index);
+    if (speakerFilter && line.speaker !== speakerFilter) setSpeakerFilter(null);
+    setActiveIndex(hit.line);
+    if (videoRef.current) videoRef.current.currentTime = line.start / 1000;
+  };
+
+  useEffect(() => {
+    let live = true;
+    const lang = normalizeLang(sourceLang);
+    loadFrequencyList(lang).then(list => { if (live) setFrequencyList({ lang, list }); }).catch(() => {});
+    return () => { live = false; };
+  }, [sourceLang]);
+
+  useEffect(() => { localStorage.setItem(LEVEL_KEY, learnerLevel); }, [learnerLevel]);
+
+  const wordList = frequencyList.lang === normalizeLang(sourceLang) ? frequencyList.list : null;
+  const vocab = useMemo(() => analyzeVocabulary(transcript, sourceLang, wordList), [transcript, sourceLang, wordList]);
+  const vocabByLemma = useMemo(() => new Map(vocab.map(v => [v.lemma, v])), [vocab]);
+  const keywords = useMemo(() => edgeKeywords(vocab, learnerLevel), [vocab, learnerLevel]);
+  const knownWords = useMemo(() => new Set(vocabulary.words.filter(w => normalizeLang(w.sourceLang) === normalizeLang(sourceLang)).map(w => w.word)), [vocabulary.words, sourceLang]);
+  const videoNewWords = useMemo(() => newWords(vocab, learnerLevel, knownWords).slice(0, 30), [vocab, learnerLevel, knownWords]);
+
+  // Keywords are derived, but the library record keeps the latest set
+  useEffect(() => {
+    const joined = keywords.join("|");
+    if (!sessionId || !keywords.length || joined === savedKeywords.current) return;
+    savedKeywords.current = joined;
+    updateSession(sessionId, { keywords }).catch(() => {});
+  }, [sessionId, keywords]);
+
+  // Exercises blank out the forms of the words picked for the learner's level
+  const exerciseFocus = useMemo(() => new Set([...keywords, ...videoNewWords.map(v => v.lemma)]
+    .flatMap(lemma => [...(vocabByLemma.get(lemma)?.forms || [lemma])])), [keywords, videoNewWords, vocabByLemma]);
+
+  // A lemma ("run") may only appear inflected ("running"), so find its line by form
+  const saveLemma = (lemma) => {
+    const forms = vocabByLemma.get(lemma)?.forms;
+    const index = forms ? transcript.findIndex(line => words(line.text, sourceLang).some(w => forms.has(cleanWord(w, sourceLang)))) : -1;
+    saveWord(lemma, index >= 0 ? index : null);
+  };
+
+  const lineSegments = useMemo(() => transcript.map(line => timedSegments(line.text, line.words, sourceLang)), [transcript, sourceLang]);
+
+  // Transcript words use a roving tabindex: one word is in the tab order and the
+  // arrow keys move it, left and right following the transcript's direction
+  const wordIndexes = (line) => lineSegments[line]?.flatMap((seg, i) => (seg.isWord ? [i] : [])) || [];
+  const shownLines = transcript.flatMap((line, i) => (!speakerFilter || line.speaker === speakerFilter) && !!lineSegments[i]?.some(seg => seg.isWord) ? [i] : []);
+  const tabLine = [wordFocus?.line, activeIndex].find(i => shownLines.includes(i)) ?? shownLines[0];
+  const tabWord = tabLine === wordFocus?.line && lineSegments[tabLine]?.[wordFocus.seg]?.isWord ? wordFocus.seg : wordIndexes(tabLine)[0];
+
+  const focusWord = (line, seg) => {
+    setWordFocus({ line, seg });
+    transcriptRef.current?.querySelector(`[data-word="${line}:${seg}"]`)?.focus();
+  };
+
+  const handleWordKey = (e, line, seg) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const inLine = wordIndexes(line);
+    const pos = inLine.indexOf(seg);
+    const row = shownLines.indexOf(line);
+    const rtl = textDirection(sourceLang) === "rtl";
+    const step = { ArrowRight: rtl ? -1 : 1, ArrowLeft: rtl ? 1 : -1 }[e.key];
+    if (step) {
+      const other = shownLines[row + step];
+      if (inLine[pos + step] != null) focusWord(line, inLine[pos + step]);
+      else if (other != null) focusWord(other, step > 0 ? wordIndexes(other)[0] : wordIndexes(other).at(-1));
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      const other = shownLines[row + (e.key === "ArrowDown" ? 1 : -1)];
+      if (other != null) focusWord(other, wordIndexes(other)[0]);
+    } else if (e.key === "Home") focusWord(line, inLine[0]);
+    else if (e.key === "End") focusWord(line, inLine.at(-1));
+    else if (e.key === "Enter") selectWord(lineSegments[line][seg], e, line);
+    else if (e.key === "s" || e.key === "S") {
+      const word = cleanWord(lineSegments[line][seg].text, sourceLang);
+      saveWord(word, line).then(saved => { if (saved) setAnnouncement(t("words.saved", { word })); });
+    } else return;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
   useEffect(() => { activeLineRef.current?.scrollIntoView({ behavior: "smooth", block: "nearest" }); }, [activeIndex]);
 
-  // Generate quiz options when quiz word changes
+  // Re-check due cards every minute so reviews unlock without a reload
+  useEffect(() => {
+    const id = setInterval(() => setClock(Date.now()), 60000);
+    return () => clearInterval(id);
+  }, []);
+
+  const dueQueue = dueCards(wordBank, clock);
+  const quizWord = (quizMode === "quiz" && quizHeld && wordBank.find(w => entryKey(w) === quizHeld))
+    || (dueQueue.length > 0 ? dueQueue[quizIndex % dueQueue.length] : null);
+
+  const quizKey = quizWord ? entryKey(quizWord) : null;
+
+  // Generate quiz options when quiz word changes. Distractors come from the same
+  // target language when there are enough of them.
   useEffect(() => {
     if (wordBank.length >= 2 && quizMode === "quiz") {
-      const correct = wordBank[quizIndex % wordBank.length];
+      const correct = wordBank.find(w => entryKey(w) === quizKey);
       if (!correct) return;
-      const others = wordBank.filter(w => w.word !== correct.word).sort(() => Math.random() - 0.5).slice(0, 3);
-      setQuizOptions([...others, correct].sort(() => Math.random() - 0.5));
+      const others = wordBank.filter(w => entryKey(w) !== quizKey);
+      const sameLang = others.filter(w => w.lang === correct.lang);
+      setQuizOptions(shuffle([...shuffle(sameLang.length >= 3 ? sameLang : others).slice(0, 3), correct]));
       setQuizAnswer(null);
     }
-  }, [quizIndex, quizMode, wordBank.length]);
+  }, [quizKey, quizMode, wordBank.length]);
 
-  const startFakeProgress = () => {
-    setUploadProgress(0);
-    let p = 0;
-    progressInterval.current = setInterval(() => {
-      p += Math.random() * 2.5;
-      if (p >= 88) { clearInterval(progressInterval.current); p = 88; }
-      setUploadProgress(p);
-    }, 500);
+  // The submitted job is remembered so polling can resume after a reload
+  const rememberJob = (job) => {
+    if (job) localStorage.setItem(PENDING_JOB_KEY, JSON.stringify(job));
+    else localStorage.removeItem(PENDING_JOB_KEY);
+    setPendingJob(job);
   };
 
   const triggerFileInput = () => {
     if (fileInputRef.current) fileInputRef.current.click();
   };
 
-  const handleFileChange = async (e) => {
+  const openSession = (session) => {
+    flushWatch();
+    setSessionId(session.id);
+    setFileName(session.name);
+    setSourceLang(session.sourceLang || "en");
+    setTranscript(session.transcript);
+    setSummary(session.summary || []);
+    savedKeywords.current = (session.keywords || []).join("|");
+    setSpeakerNames(session.speakers || {}); setSpeakerFilter(null);
+    setHistory({ past: [], future: [] }); setEditing(false); setSearchQuery("");
+    if (session.mediaUrl) setVideoURL(session.mediaUrl);
+    setActiveIndex(0); setCurrentTime(0);
+    setPopup(null); setShowLibrary(false);
+    cache.current = {};
+    sentenceCache.current = { ...session.translations };
+    setLineTranslations(sentenceCache.current);
+    setStatus("ready");
+  };
+
+  // `mediaUrl` is kept only for direct links, which stay playable when the session is reopened
+  const loadTranscript = async ({ id, name, lang, lines, bullets = [], mediaUrl }) => {
+    setSourceLang(lang);
+    setTranscript(lines);
+    setSummary(bullets);
+    setSpeakerNames({}); setSpeakerFilter(null);
+    setHistory({ past: [], future: [] }); setEditing(false); setSearchQuery("");
+    setSessionId(id);
+    setStatus("ready");
+
+    savedKeywords.current = "";
+    await saveSession({ id, hash: id, fileName: name, sourceLang: lang, transcript: lines, summary: bullets, mediaUrl }).catch(() => {});
+    refreshSessions();
+  };
+
+  // Subtitles replace transcription entirely; `media` is the video picked alongside them, if any.
+  const importSubtitles = async (subtitleFile, media) => {
+    setStatus("loading"); setStatusMsg(t("status.readingSubtitles"));
+    setShowLibrary(false); setPopup(null);
+    cache.current = {};
+    sentenceCache.current = {}; setLineTranslations({});
+    try {
+      const text = await subtitleFile.text();
+      const lines = parseSubtitles(text, subtitleFile.name);
+      const lang = normalizeLang(subtitleLanguage(text, subtitleFile.name) || sourceLang);
+      const name = media ? media.name : subtitleFile.name;
+      if (media) setVideoURL(URL.createObjectURL(media));
+      setFileName(name);
+      setActiveIndex(0); setCurrentTime(0);
+      await loadTranscript({ id: await hashFile(media || subtitleFile), name, lang, lines });
+    } catch (err) {
+      setStatus("error"); setStatusMsg(t("common.error", { message: err.message }));
+    }
+  };
+
+  const handleSubtitleChange = (e) => {
     const file = e.target.files[0];
+    e.target.value = "";
+    if (file) importSubtitles(file, null);
+  };
+
+  const handleFileChange = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = "";
+    const file = files.find(f => !isSubtitleFile(f.name));
+    const subtitleFile = files.find(f => isSubtitleFile(f.name));
+    if (subtitleFile) return importSubtitles(subtitleFile, file);
     if (!file) return;
+    flushWatch();
     setFileName(file.name);
     setVideoURL(URL.createObjectURL(file));
-    setTranscript([]); setKeywords([]); setSummary([]);
-    setStatus("loading"); setStatusMsg("جاري رفع الملف...");
-    cache.current = {}; startFakeProgress();
+    setTranscript([]); setSummary([]); setSessionId(null);
+    setShowLibrary(false);
+    setStatus("loading"); setStatusMsg(t("status.uploading"));
+    cache.current = {};
+    sentenceCache.current = {}; setLineTranslations({});
+
+    try {
+      const hash = await hashFile(file);
+      const stored = await getSession(hash).catch(() => null);
+      if (stored) {
+        openSession(stored);
+        return;
+      }
+      // Same file as an unfinished job: pick that job back up instead of uploading again
+      await runTranscription({ hash, name: file.name, file, job: pendingJob?.hash === hash ? pendingJob : null });
+    } catch (err) {
+      setStatus("error"); setStatusMsg(t("common.error", { message: err.message }));
+    }
+  };
 
+  // A pasted link: direct media plays as is, page URLs go through the server's resolver.
+  // Captions the source already has are used instead of speech-to-text.
+  const importUrl = async (link) => {
+    const url = link.trim();
+    if (!url) return;
+    flushWatch();
+    setShowLibrary(false); setPopup(null);
+    setTranscript([]); setSummary([]); setSessionId(null);
+    setStatus("loading"); setStatusMsg(t("status.readingLink"));
+    cache.current = {};
+    sentenceCache.current = {}; setLineTranslations({});
     try {
-      const client = new AssemblyAI({ apiKey: import.meta.env.VITE_ASSEMBLYAI_KEY });
-      setStatusMsg("جاري تحليل الصوت بالذكاء الاصطناعي...");
-
-      const result = await client.transcripts.transcribe({
-        audio: file,
-        speech_models: ["universal-2"],
-        language_detection: true,
-        speaker_labels: true,
-        summarization: true,
-        summary_model: "informative",
-        summary_type: "bullets",
-      });
-
-      if (result.status === "error") throw new Error(result.error);
-      clearInterval(progressInterval.current);
-      setUploadProgress(100);
-
-      const sentences = await client.transcripts.sentences(result.id);
-      const lines = sentences.sentences.length > 0
-        ? sentences.sentences.map(s => ({
-            start: s.start, end: s.end, text: s.text,
-            speaker: findSpeaker(s.start, result.utterances),
-          }))
-        : [{ start: 0, end: 0, text: result.text, speaker: null }];
-
-      if (result.summary) {
-        const bullets = result.summary.split("\n").filter(l => l.trim()).map(l => l.replace(/^[-•*]\s*/, "").trim()).filter(Boolean);
-        setSummary(bullets.slice(0, 5));
+      const id = await hashFile(new Blob([`url:${url}`]));
+      const resolved = await resolveMedia(url, { lang: sourceLang });
+      setMediaLink("");
+      setFileName(resolved.title);
+      setVideoURL(resolved.mediaUrl);
+      setActiveIndex(0); setCurrentTime(0);
+      const mediaUrl = resolved.direct ? resolved.mediaUrl : undefined;
+      const stored = await getSession(id).catch(() => null);
+      if (stored) return openSession(stored);
+      if (resolved.captions) {
+        const parsed = parseSubtitles(resolved.captions.text, "captions.vtt");
+        const lines = resolved.captions.auto ? collapseRollingCaptions(parsed) : parsed;
+        const lang = normalizeLang(resolved.captions.lang);
+        return loadTranscript({ id, name: resolved.title, lang, lines, bullets: extractiveSummary(lines, lang), mediaUrl });
       }
+      await runTranscription({ hash: id, name: resolved.title, url: resolved.mediaUrl, mediaUrl });
+    } catch (err) {
+      setStatus("error"); setStatusMsg(t("common.error", { message: err.message }));
+    }
+  };
 
-      setTranscript(lines);
-      setKeywords(getTopKeywords(lines));
-      setStatus("ready");
+  // `job` is a remembered pendingJob to resume; otherwise `file` (or remote `url`) is sent to the engine.
+  const runTranscription = async ({ hash, name, file, url, mediaUrl, job }) => {
+    const controller = new AbortController();
+    jobController.current = controller;
+    const { signal } = controller;
+    const jobEngine = job ? createEngine(import.meta.env, job.engine) : engine;
+    setStatus("loading");
+    setStages(jobEngine.stages);
+    try {
+      const opts = { signal, onStage: setStage, onProgress: p => setUploadProgress(p * 100) };
+      setUploadProgress(0);
+      const onJob = id => rememberJob({ engine: jobEngine.name, transcriptId: id, hash, fileName: name, mediaUrl, startedAt: Date.now() });
+      const result = job
+        ? await jobEngine.resume(job.transcriptId, opts)
+        : url
+          ? await jobEngine.transcribeUrl(url, { ...opts, onJob })
+          : await jobEngine.transcribe(file, { ...opts, onJob });
+      rememberJob(null);
+      setStage(null);
+      await loadTranscript({ id: hash, name, lang: normalizeLang(result.lang), lines: result.lines, bullets: result.summary, mediaUrl: mediaUrl ?? job?.mediaUrl });
     } catch (err) {
-      clearInterval(progressInterval.current);
-      setStatus("error"); setStatusMsg("حدث خطأ: " + err.message);
+      if (signal.aborted) return;
+      // A failed job can't be resumed; a dropped connection can
+      if (err instanceof TranscriptionError) rememberJob(null);
+      setStage(null);
+      setStatus("error"); setStatusMsg(t("common.error", { message: err.message }));
+    } finally {
+      if (jobController.current === controller) jobController.current = null;
     }
   };
 
-  function findSpeaker(startTime, utterances) {
-    if (!utterances) return null;
-    const u = utterances.find(u => Math.abs(u.start - startTime) < 600);
-    return u ? u.speaker : null;
-  }
+  const cancelTranscription = () => {
+    jobController.current?.abort();
+    if (pendingJob) createEngine(import.meta.env, pendingJob.engine).cancel?.(pendingJob.transcriptId).catch(() => {});
+    rememberJob(null);
+    setStage(null);
+    setStatus("idle");
+  };
 
-  const handleWordClick = async (word, e) => {
+  const resumeTranscription = () => {
+    if (!pendingJob) return;
+    setFileName(pendingJob.fileName);
+    setVideoURL(pendingJob.mediaUrl || null);
+    setTranscript([]); setSummary([]); setSessionId(null);
+    setShowLibrary(false);
+    cache.current = {};
+    sentenceCache.current = {}; setLineTranslations({});
+    runTranscription({ hash: pendingJob.hash, name: pendingJob.fileName, job: pendingJob });
+  };
+
+  const handleWordClick = async (word, e, lineIndex = null) => {
     e.stopPropagation();
-    const clean = word.replace(/[^a-zA-Z]/g, "");
-    if (!clean || clean.length < 2) return;
+    const clean = cleanWord(word, sourceLang);
+    if (!isLookupWord(clean)) return;
+    popupOpener.current = e.target;
     const rect = e.target.getBoundingClientRect();
-    const cacheKey = `${clean}_${targetLang}`;
-    setPopup({ word: clean, translation: null, x: rect.left, y: rect.bottom + 8 });
+    const cacheKey = `${clean}_${sourceLang}_${targetLang}`;
+    setPopup({ word: clean, translation: null, x: rect.left, y: rect.bottom + 8, lineIndex });
     if (cache.current[cacheKey]) {
-      setPopup({ word: clean, translation: cache.current[cacheKey], x: rect.left, y: rect.bottom + 8 });
+      setPopup({ word: clean, translation: cache.current[cacheKey], x: rect.left, y: rect.bottom + 8, lineIndex });
+      return;
+    }
+    try {
+      const translation = await translateText(clean, sourceLang, targetLang, { queue: true });
+      cache.current[cacheKey] = translation;
+      setPopup({ word: clean, translation, x: rect.left, y: rect.bottom + 8, lineIndex });
+    } catch (err) {
+      const offline = err instanceof OfflineError;
+      if (offline) refreshQueue();
+      setPopup({ word: clean, translation: "", error: offline ? offlineMessage(err, t) : err.message, x: rect.left, y: rect.bottom + 8, lineIndex });
+    }
+  };
+
+  // Clicking a word (or Enter on it) seeks to it when timings exist and opens the popup
+  const selectWord = (seg, e, lineIndex) => {
+    if (seg.start != null && videoRef.current) videoRef.current.currentTime = seg.start / 1000;
+    handleWordClick(seg.text, e, lineIndex);
+  };
+
+  // Focus moves into the popup when it opens for a new word and back to that word
+  // when it's closed from the keyboard; Tab cycles inside it
+  const popupFor = popup && `${popup.word}|${popup.lineIndex}`;
+  useEffect(() => { if (popupFor) popupRef.current?.focus(); }, [popupFor]);
+
+  const closePopup = () => {
+    setPopup(null);
+    popupOpener.current?.focus();
+  };
+
+  const handlePopupKey = (e) => {
+    if (e.key === "Escape") closePopup();
+    else if ((e.key === "s" || e.key === "S") && !isTextField(e.target) && !e.ctrlKey && !e.metaKey) { saveWord(popup.word, popup.lineIndex); closePopup(); }
+    else if (e.key === "Tab") {
+      const buttons = [...popupRef.current.querySelectorAll("button:not([disabled])")];
+      const edge = e.shiftKey ? buttons[0] : buttons.at(-1);
+      if (document.activeElement !== edge && document.activeElement !== popupRef.current) return;
+      (e.shiftKey ? buttons.at(-1) : buttons[0])?.focus();
+    } else return;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  // Keywords have no line of their own, so use the first line the word appears in
+  const contextLine = (clean, lineIndex) => {
+    if (lineIndex != null && transcript[lineIndex]) return transcript[lineIndex];
+    return transcript.find(line => words(line.text, sourceLang).some(w => cleanWord(w, sourceLang) === clean)) || null;
+  };
+
+  // Resolves to false when the word isn't saveable or is already saved
+  const saveWord = async (word, lineIndex = null) => {
+    const clean = cleanWord(word, sourceLang);
+    if (!isLookupWord(clean) || findSaved(clean)) return false;
+    const line = contextLine(clean, lineIndex);
+    const cacheKey = `${clean}_${sourceLang}_${targetLang}`;
+    let translation = cache.current[cacheKey];
+    let pending = false;
+    if (!translation) {
+      try {
+        translation = await translateText(clean, sourceLang, targetLang, { queue: true });
+        cache.current[cacheKey] = translation;
+      } catch (err) {
+        translation = null;
+        pending = err instanceof OfflineError;
+        if (pending) refreshQueue();
+      }
+    }
+    const now = Date.now();
+    const context = line ? { sentence: line.text, start: line.start, end: line.end, sessionId, sessionName: fileName } : {};
+    setWords(prev => [{ word: clean, translation: translation || clean, lang: targetLang, sourceLang, date: now, deck: saveDeckId, tags: [], ...(pending && { translationPending: true }), ...context, ...newCard(now) }, ...prev]);
+    setClock(now);
+    logActivity({ type: "save", word: clean, lang: sourceLang });
+    return true;
+  };
+
+  const handleRenameSession = async (session) => {
+    const name = prompt(t("library.renamePrompt"), session.name);
+    if (!name || !name.trim() || name === session.name) return;
+    try {
+      await renameSession(session.id, name.trim());
+      if (session.id === sessionId) setFileName(name.trim());
+    } catch (err) {
+      alert(t("common.error", { message: err.message }));
+    }
+    refreshSessions();
+  };
+
+  const handleDeleteSession = async (session) => {
+    if (!confirm(t("library.deleteConfirm", { name: session.name }))) return;
+    try {
+      await deleteSession(session.id);
+      if (session.id === sessionId) setSessionId(null);
+    } catch (err) {
+      alert(t("common.error", { message: err.message }));
+    }
+    refreshSessions();
+  };
+
+  // Plays one line of the loaded video and pauses at its end
+  const playClip = (start, end) => {
+    if (!videoRef.current) return;
+    videoRef.current.currentTime = start / 1000;
+    clip.current = { start, end };
+    videoRef.current.play().catch(() => {});
+  };
+
+  const seekToLine = (index) => {
+    setActiveTab("transcript");
+    setActiveIndex(index);
+    if (videoRef.current && transcript[index]) videoRef.current.currentTime = transcript[index].start / 1000;
+  };
+
+  const canPlayClip = (item) => item.sessionId && item.sessionId === sessionId && videoURL && item.start != null;
+
+  // ── Shadowing: loop each line `loopCount` times, optionally pausing after it for the learner to repeat ──
+
+  const clearShadowTimer = () => {
+    clearTimeout(shadowTimer.current);
+    shadowTimer.current = null;
+  };
+
+  const jumpToLine = (index, autoplay = true) => {
+    const line = transcript[index];
+    if (!line || !videoRef.current) return;
+    clearShadowTimer();
+    setShadow({ index, plays: 0, waiting: false });
+    videoRef.current.currentTime = line.start / 1000;
+    if (autoplay) videoRef.current.play().catch(() => {});
+  };
+
+  const stepShadowing = (video) => {
+    const line = transcript[shadow.index];
+    if (!line || shadow.waiting || video.currentTime * 1000 < line.end) return;
+    const plays = shadow.plays + 1;
+    if (plays < loopCount) {
+      setShadow({ ...shadow, plays });
+      video.currentTime = line.start / 1000;
+      return;
+    }
+    const next = shadow.index + 1;
+    if (!pauseAfter) {
+      if (next < transcript.length) setShadow({ index: next, plays: 0, waiting: false });
+      else video.pause();
       return;
     }
-    const translation = await translateWord(clean, targetLang);
-    cache.current[cacheKey] = translation;
-    setPopup({ word: clean, translation, x: rect.left, y: rect.bottom + 8 });
+    // Leave as much silence as the line took to say
+    video.pause();
+    setShadow({ ...shadow, plays, waiting: true });
+    shadowTimer.current = setTimeout(() => {
+      shadowTimer.current = null;
+      if (next < transcript.length) jumpToLine(next);
+    }, (line.end - line.start) / playbackRate + 500);
   };
 
-  const saveWord = async (word) => {
-    const clean = word.replace(/[^a-zA-Z]/g, "").toLowerCase();
-    if (!clean || clean.length < 2 || wordBank.find(w => w.word === clean)) return;
-    const cacheKey = `${clean}_${targetLang}`;
-    const translation = cache.current[cacheKey] || await translateWord(clean, targetLang);
-    cache.current[cacheKey] = translation;
-    setWordBank(prev => [{ word: clean, translation: translation || clean, lang: targetLang, date: Date.now() }, ...prev]);
+  const toggleShadowing = () => {
+    clearShadowTimer();
+    if (!shadowing) setShadow({ index: activeIndex, plays: 0, waiting: false });
+    setShadowing(v => !v);
   };
 
-  const removeWord = (word) => setWordBank(prev => prev.filter(w => w.word !== word));
+  useEffect(() => () => clearTimeout(shadowTimer.current), []);
+
+  useEffect(() => { if (videoRef.current) videoRef.current.playbackRate = playbackRate; }, [playbackRate, videoURL]);
+
+  const onShadowKey = useEffectEvent((e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+    const video = videoRef.current;
+    if (e.key === "ArrowLeft") jumpToLine(Math.max(shadow.index - 1, 0));
+    else if (e.key === "ArrowRight") jumpToLine(Math.min(shadow.index + 1, transcript.length - 1));
+    else if (e.key === "r" || e.key === "R") jumpToLine(shadow.index);
+    else if (e.key === " " && video) { if (video.paused) { clearShadowTimer(); video.play().catch(() => {}); } else video.pause(); }
+    else return;
+    e.preventDefault();
+  });
+
+  useEffect(() => {
+    if (!shadowing) return;
+    const handler = (e) => onShadowKey(e);
+    window.addEventListener("keydown", handler);
+    return () => window.removeEventListener("keydown", handler);
+  }, [shadowing]);
+
+  // Watch time is wall-clock playback, logged in chunks so a long video doesn't
+  // write the log on every timeupdate
+  const flushWatch = () => {
+    const { ms } = watch.current;
+    watch.current = { last: null, ms: 0 };
+    if (ms >= 1000 && sessionId) logActivity({ type: "watch", sessionId, sessionName: fileName, ms: Math.round(ms) });
+  };
+
+  const onPageHide = useEffectEvent(() => flushWatch());
+  useEffect(() => {
+    const handler = () => onPageHide();
+    window.addEventListener("pagehide", handler);
+    return () => window.removeEventListener("pagehide", handler);
+  }, []);
+
+  const handleTimeUpdate = () => {
+    const video = videoRef.current;
+    if (!video) return;
+    setCurrentTime(video.currentTime);
+    if (!video.paused) {
+      const now = performance.now();
+      const { last } = watch.current;
+      if (last != null && now - last < 2000) watch.current.ms += now - last;
+      watch.current.last = now;
+      if (watch.current.ms >= 60000) flushWatch();
+    }
+    if (clip.current && video.currentTime * 1000 >= clip.current.end) {
+      clip.current = null;
+      video.pause();
+    }
+    if (shadowing) stepShadowing(video);
+  };
+
+  // Resuming by hand during a shadowing pause skips the rest of the pause
+  const handlePlay = () => {
+    if (!shadowing || !shadow.waiting) return;
+    clearShadowTimer();
+    setShadow({ index: Math.min(shadow.index + 1, transcript.length - 1), plays: 0, waiting: false });
+  };
+
+  // Seeking away from the clip hands control back to normal playback; while
+  // shadowing, the line under the new position becomes the one being looped
+  const handleSeeking = () => {
+    const t = (videoRef.current?.currentTime ?? 0) * 1000;
+    if (clip.current && (t < clip.current.start - 250 || t > clip.current.end)) clip.current = null;
+    if (shadowing) {
+      const index = transcript.reduce((best, line, i) => (line.start <= t + 50 ? i : best), 0);
+      if (index !== shadow.index) {
+        clearShadowTimer();
+        setShadow({ index, plays: 0, waiting: false });
+      }
+    }
+  };
+
+  const handleVocabExport = async (format) => {
+    const { ext, type } = EXPORT_FORMATS[format];
+    const name = deckName(deck, t("deck.default"));
+    try {
+      downloadFile(await exportVocab(wordBank, format, { deckName: name }), `${name}.${ext}`, type);
+    } catch (err) {
+      alert(t("words.exportFailed", { message: err.message }));
+    }
+  };
+
+  const handleVocabImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const incoming = (await importVocab(file)).map(e => ({ ...e, deck: deck.id, tags: e.tags || [] }));
+      const { entries, added, updated } = mergeWordBanks(vocabulary.words, incoming);
+      setWords(() => entries);
+      setClock(Date.now());
+      alert(t("words.imported", { added, updated }));
+    } catch (err) {
+      alert(t("words.importFailed", { message: err.message }));
+    }
+  };
+
+  // Keeps the last 20 attempts on the word bank entry; unsaved words aren't tracked
+  // Entries are addressed by entryKey (deck, target language and word)
+  const recordPronunciation = (key, { score, heard }) => {
+    const attempt = { date: Date.now(), score, heard };
+    setWords(prev => prev.map(w => entryKey(w) === key ? { ...w, pronunciation: [...(w.pronunciation || []), attempt].slice(-20) } : w));
+  };
+
+  const removeWord = (key) => setWords(prev => prev.filter(w => entryKey(w) !== key));
+
+  const schedule = (key, grade) => {
+    const now = Date.now();
+    setWords(prev => prev.map(w => entryKey(w) === key ? review(w, grade, now) : w));
+    setClock(now);
+  };
+
+  const reviewWord = (key, grade) => {
+    const entry = vocabulary.words.find(w => entryKey(w) === key);
+    schedule(key, grade);
+    logActivity({ type: "review", word: entry?.word, lang: entry?.sourceLang || "en", grade, correct: grade >= GRADES.hard });
+    setQuizFlipped(false);
+    // The grade buttons are about to unmount; keep keyboard focus in the quiz
+    if (studyPanelRef.current?.contains(document.activeElement)) studyPanelRef.current.focus();
+  };
+
+  const answerQuiz = (index) => {
+    if (quizAnswer !== null || !quizOptions[index]) return;
+    const correct = quizOptions.find(o => entryKey(o) === quizKey);
+    const right = entryKey(quizOptions[index]) === quizKey;
+    // Graded now so leaving the quiz before moving on doesn't lose the review
+    setQuizHeld(quizKey);
+    setQuizAnswer(index);
+    schedule(quizKey, right ? GRADES.good : GRADES.again);
+    logActivity({ type: "quiz", word: correct?.word, lang: correct?.sourceLang || "en", correct: right });
+    setAnnouncement(right ? t("quiz.correct") : t("quiz.incorrect", { answer: correct?.translation ?? "" }));
+  };
+
+  const nextQuestion = () => {
+    setQuizHeld(null); setQuizAnswer(null);
+    if (studyPanelRef.current?.contains(document.activeElement)) studyPanelRef.current.focus();
+  };
+
+  // Space flips the flashcard and 1–4 grade it; in multiple choice 1–4 answer and
+  // Enter moves on. Buttons keep their own Space and Enter.
+  const handleQuizKey = (e) => {
+    if (!quizWord || e.ctrlKey || e.metaKey || e.altKey || isTextField(e.target)) return;
+    const n = Number(e.key) - 1;
+    const onButton = e.target.tagName === "BUTTON";
+    if (quizMode === "flashcard") {
+      if (e.key === " " && !onButton) setQuizFlipped(f => !f);
+      else if (quizFlipped && GRADE_BUTTONS[n]) reviewWord(quizKey, GRADE_BUTTONS[n].grade);
+      else return;
+    } else if (quizMode === "quiz") {
+      if (quizAnswer === null && quizOptions[n]) answerQuiz(n);
+      else if (e.key === "Enter" && quizAnswer !== null && !onButton) nextQuestion();
+      else return;
+    } else return;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  // Arrow keys move between tabs, following the layout direction
+  const handleTabKey = (e) => {
+    const tabs = [...e.currentTarget.querySelectorAll("[role=tab]")];
+    const index = tabs.indexOf(document.activeElement);
+    const forward = i18n.dir === "rtl" ? -1 : 1;
+    const next = { ArrowRight: index + forward, ArrowLeft: index - forward, Home: 0, End: tabs.length - 1 }[e.key];
+    if (index < 0 || next == null) return;
+    const tab = tabs[(next + tabs.length) % tabs.length];
+    tab.focus();
+    tab.click();
+    e.preventDefault();
+    e.stopPropagation();
+  };
 
   useEffect(() => {
     const close = () => setPopup(null);
@@ -220,376 +1211,837 @@ export default function App() {
   }, []);
 
   const videoProgress = duration > 0 ? Math.min((currentTime / duration) * 100, 100) : 0;
-  const speakerColor = (s) => s ? SPEAKER_COLORS[s.charCodeAt(0) % SPEAKER_COLORS.length] : "#a78bfa";
-  const quizWord = wordBank.length > 0 ? wordBank[quizIndex % wordBank.length] : null;
+  const dueToday = dueTodayCount(wordBank, clock);
+
+  const sessionLibrary = (
+    <GlowCard accent="#38bdf8" style={{ padding: "16px 18px" }}>
+      <div style={{ fontSize: 10, color: "#38bdf8", letterSpacing: "0.15em", marginBottom: 12, fontWeight: 700 }}>{t("library.title")}</div>
+      {sessions.length === 0 ? (
+        <div style={{ fontSize: 12, color: "#374151", textAlign: "center", padding: 16 }}>{t("library.empty")}</div>
+      ) : (
+        <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+          {sessions.map(session => (
+            <div key={session.id} style={{ background: session.id === sessionId ? "rgba(56,189,248,0.1)" : "rgba(124,58,237,0.07)", border: `1px solid ${session.id === sessionId ? "rgba(56,189,248,0.35)" : "rgba(124,58,237,0.15)"}`, borderRadius: 10, padding: "10px 12px", display: "flex", alignItems: "center", gap: 10 }}>
+              <div role="button" tabIndex={0} onClick={() => { setVideoURL(null); setDuration(0); openSession(session); }}
+                onKeyDown={e => { if (e.key === "Enter" || e.key === " ") { e.preventDefault(); e.currentTarget.click(); } }}
+                style={{ flex: 1, cursor: "pointer", overflow: "hidden" }}>
+                <div dir="auto" style={{ fontSize: 13, color: "#e2e0ff", fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{session.name}</div>
+                <div style={{ fontSize: 10, color: "#4b5563", marginTop: 2 }}>
+                  {new Date(session.updatedAt).toLocaleDateString(uiLang)} · {t("common.sentences", { count: session.transcript.length })} · {session.sourceLang?.toUpperCase()}
+                </div>
+              </div>
+              <button onClick={() => handleRenameSession(session)} aria-label={t("library.rename")} style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 6, padding: "3px 8px", color: "#a78bfa", cursor: "pointer", fontSize: 11, fontFamily: "inherit" }}>✎</button>
+              <button onClick={() => handleDeleteSession(session)} aria-label={t("library.delete")} style={{ background: "transparent", border: "none", color: "#374151", cursor: "pointer", fontSize: 16, padding: "0 2px" }}>✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </GlowCard>
+  );
 
   return (
-    <div style={{ minHeight: "100vh", background: "#050510", color: "#e2e0ff", fontFamily: "'Readex Pro','DM Sans',sans-serif" }}>
+    <I18nContext value={i18n}>
+      <div dir={i18n.dir} style={{ minHeight: "100vh", background: "#050510", color: "#e2e0ff", fontFamily: "'Readex Pro','DM Sans',sans-serif" }}>
 
-      {/* BG Orbs */}
-      <div style={{ position: "fixed", top: "-15%", left: "-5%", width: "45vw", height: "45vw", borderRadius: "50%", background: "radial-gradient(circle,rgba(124,58,237,0.07) 0%,transparent 70%)", pointerEvents: "none", zIndex: 0 }} />
-      <div style={{ position: "fixed", bottom: "-15%", right: "-5%", width: "35vw", height: "35vw", borderRadius: "50%", background: "radial-gradient(circle,rgba(56,189,248,0.05) 0%,transparent 70%)", pointerEvents: "none", zIndex: 0 }} />
+        {/* BG Orbs */}
+        <div style={{ position: "fixed", top: "-15%", left: "-5%", width: "45vw", height: "45vw", borderRadius: "50%", background: "radial-gradient(circle,rgba(124,58,237,0.07) 0%,transparent 70%)", pointerEvents: "none", zIndex: 0 }} />
+        <div style={{ position: "fixed", bottom: "-15%", right: "-5%", width: "35vw", height: "35vw", borderRadius: "50%", background: "radial-gradient(circle,rgba(56,189,248,0.05) 0%,transparent 70%)", pointerEvents: "none", zIndex: 0 }} />
 
-      <div style={{ position: "relative", zIndex: 1, minHeight: "100vh", display: "flex", flexDirection: "column" }}>
+        <div style={{ position: "relative", zIndex: 1, minHeight: "100vh", display: "flex", flexDirection: "column" }}>
 
-        {/* ── HEADER ── */}
-        <header style={{ height: 58, padding: "0 28px", borderBottom: "1px solid rgba(124,58,237,0.15)", background: "rgba(5,5,16,0.95)", backdropFilter: "blur(20px)", display: "flex", alignItems: "center", justifyContent: "space-between", flexShrink: 0 }}>
-          <div style={{ display: "flex", alignItems: "center", gap: 14 }}>
-            <div style={{ width: 34, height: 34, borderRadius: 10, background: "linear-gradient(135deg,#7c3aed,#38bdf8)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 17, boxShadow: "0 0 18px rgba(124,58,237,0.5)", flexShrink: 0 }}>🎓</div>
-            <div style={{ display: "flex", gap: 0 }}>
-              <span style={{ fontSize: 17, fontWeight: 800, color: "#fff", letterSpacing: "0.1em" }}>POLY</span>
-              <span style={{ fontSize: 17, fontWeight: 800, background: "linear-gradient(90deg,#a78bfa,#38bdf8)", WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent", letterSpacing: "0.1em" }}>GLOT</span>
-            </div>
-            <div style={{ height: 14, width: 1, background: "rgba(124,58,237,0.3)" }} />
-            <span style={{ fontSize: 9, color: "#4b5563", letterSpacing: "0.18em" }}>AI LANGUAGE PLATFORM</span>
-          </div>
-          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-            <span style={{ fontSize: 10, color: "#4b5563", letterSpacing: "0.1em" }}>TRANSLATE TO</span>
-            <select value={targetLang} onChange={e => { setTargetLang(e.target.value); setPopup(null); cache.current = {}; }}
-              style={{ background: "rgba(124,58,237,0.12)", border: "1px solid rgba(124,58,237,0.3)", borderRadius: 8, color: "#c4b5fd", padding: "5px 10px", fontFamily: "inherit", fontSize: 12, cursor: "pointer", outline: "none" }}>
-              {LANGUAGES.map(l => <option key={l.code} value={l.code} style={{ background: "#0f0a1e" }}>{l.label}</option>)}
-            </select>
-          </div>
-        </header>
-
-        {/* ── BODY ── */}
-        <div style={{ flex: 1, padding: "24px 28px", maxWidth: "100%", width: "100%" }}>
-
-          {/* ── IDLE STATE ── */}
-          {status === "idle" && !videoURL && (
-            <div style={{ maxWidth: 600, margin: "60px auto 0" }}>
-              <GlowCard accent="#7c3aed" style={{ padding: "50px 40px", textAlign: "center" }}>
-                <div style={{ fontSize: 56, marginBottom: 20 }}>🎬</div>
-                <div style={{ fontSize: 22, fontWeight: 800, color: "#e2e0ff", marginBottom: 8 }}>ارفع فيديو أو ملف صوت</div>
-                <div style={{ fontSize: 13, color: "#4b5563", marginBottom: 28 }}>MP4 · MOV · MP3 · WAV · M4A</div>
-                <input ref={fileInputRef} type="file" accept="video/*,audio/*" onChange={handleFileChange} style={{ display: "none" }} />
-                <button
-                  onClick={triggerFileInput}
-                  style={{ background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 12, padding: "14px 36px", color: "#fff", fontFamily: "inherit", fontSize: 15, fontWeight: 800, cursor: "pointer", boxShadow: "0 0 30px rgba(124,58,237,0.5)", letterSpacing: "0.05em" }}>
-                  اختر ملف
-                </button>
-              </GlowCard>
-            </div>
-          )}
-
-          {/* ── PROCESSING STATUS ── */}
-          {status === "loading" && (
-            <div style={{ maxWidth: 600, margin: "40px auto" }}>
-              <GlowCard accent="#38bdf8" style={{ padding: "24px 28px" }}>
-                <div style={{ display: "flex", alignItems: "center", gap: 14, marginBottom: 16 }}>
-                  <div style={{ width: 20, height: 20, borderRadius: "50%", border: "2px solid #38bdf8", borderTopColor: "transparent", animation: "spin 0.8s linear infinite", flexShrink: 0 }} />
-                  <span style={{ fontSize: 14, color: "#38bdf8", fontWeight: 600 }}>{statusMsg}</span>
-                </div>
-                <div style={{ height: 6, background: "rgba(56,189,248,0.1)", borderRadius: 6, overflow: "hidden" }}>
-                  <div style={{ height: "100%", width: `${uploadProgress}%`, background: "linear-gradient(90deg,#7c3aed,#38bdf8)", borderRadius: 6, transition: "width 0.4s ease", boxShadow: "0 0 12px rgba(56,189,248,0.5)" }} />
-                </div>
-                <div style={{ fontSize: 11, color: "#4b5563", marginTop: 8, textAlign: "right" }}>{Math.round(uploadProgress)}%</div>
-              </GlowCard>
-            </div>
-          )}
-
-          {status === "error" && (
-            <div style={{ maxWidth: 600, margin: "40px auto" }}>
-              <GlowCard accent="#fb7185" style={{ padding: "16px 20px", display: "flex", alignItems: "center", gap: 12 }}>
-                <span style={{ fontSize: 20 }}>⚠️</span>
-                <span style={{ fontSize: 13, color: "#fb7185" }}>{statusMsg}</span>
-              </GlowCard>
-              <div style={{ textAlign: "center", marginTop: 20 }}>
-                <input ref={fileInputRef} type="file" accept="video/*,audio/*" onChange={handleFileChange} style={{ display: "none" }} />
-                <button onClick={triggerFileInput} style={{ background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 10, padding: "10px 28px", color: "#fff", fontFamily: "inherit", fontSize: 13, fontWeight: 700, cursor: "pointer" }}>حاول مرة ثانية</button>
+          {/* ── HEADER ── */}
+          <header style={{ height: 58, padding: "0 28px", borderBottom: "1px solid rgba(124,58,237,0.15)", background: "rgba(5,5,16,0.95)", backdropFilter: "blur(20px)", display: "flex", alignItems: "center", justifyContent: "space-between", flexShrink: 0 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 14 }}>
+              <div style={{ width: 34, height: 34, borderRadius: 10, background: "linear-gradient(135deg,#7c3aed,#38bdf8)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 17, boxShadow: "0 0 18px rgba(124,58,237,0.5)", flexShrink: 0 }}>🎓</div>
+              <div style={{ display: "flex", gap: 0 }}>
+                <span style={{ fontSize: 17, fontWeight: 800, color: "#fff", letterSpacing: "0.1em" }}>POLY</span>
+                <span style={{ fontSize: 17, fontWeight: 800, background: "linear-gradient(90deg,#a78bfa,#38bdf8)", WebkitBackgroundClip: "text", WebkitTextFillColor: "transparent", letterSpacing: "0.1em" }}>GLOT</span>
               </div>
+              <div style={{ height: 14, width: 1, background: "rgba(124,58,237,0.3)" }} />
+              <span style={{ fontSize: 9, color: "#4b5563", letterSpacing: "0.18em" }}>AI LANGUAGE PLATFORM</span>
             </div>
-          )}
-
-          {/* ── MAIN DASHBOARD ── */}
-          {(status === "ready" || videoURL) && status !== "loading" && status !== "error" && (
-            <>
-              {/* Top bar */}
-              <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 20 }}>
-                <input ref={fileInputRef} type="file" accept="video/*,audio/*" onChange={handleFileChange} style={{ display: "none" }} />
-                <button onClick={triggerFileInput}
-                  style={{ background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 10, padding: "9px 20px", color: "#fff", fontFamily: "inherit", fontSize: 12, fontWeight: 700, cursor: "pointer", whiteSpace: "nowrap", boxShadow: "0 0 16px rgba(124,58,237,0.3)", flexShrink: 0 }}>
-                  📁 فيديو جديد
-                </button>
-                <GlowCard accent="#7c3aed" style={{ flex: 1, padding: "9px 14px", fontSize: 12, color: "#a78bfa", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
-                  {fileName}
-                </GlowCard>
-                {status === "ready" && (
-                  <div style={{ background: "rgba(52,211,153,0.1)", border: "1px solid rgba(52,211,153,0.3)", borderRadius: 8, padding: "6px 14px", fontSize: 11, color: "#34d399", whiteSpace: "nowrap", flexShrink: 0 }}>
-                    ✅ {transcript.length} جملة
-                  </div>
-                )}
-              </div>
+            <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+              {(!online || queuedLookups > 0) && (
+                <span title={queuedLookups ? t("offline.pendingCount", { count: queuedLookups }) : undefined}
+                  style={{ background: "rgba(251,191,36,0.1)", border: "1px solid rgba(251,191,36,0.3)", borderRadius: 8, color: "#fbbf24", padding: "4px 10px", fontSize: 11 }}>
+                  {online ? "⏳" : t("offline.badge")}{queuedLookups > 0 ? ` · ${queuedLookups}` : ""}
+                </span>
+              )}
+              <button onClick={() => setShowLibrary(v => !v)}
+                style={{ background: showLibrary ? "rgba(56,189,248,0.15)" : "transparent", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 8, color: "#38bdf8", padding: "5px 10px", fontFamily: "inherit", fontSize: 11, cursor: "pointer" }}>
+                {t("header.library")}{sessions.length > 0 ? ` (${sessions.length})` : ""}
+              </button>
+              <select value={uiLang} onChange={e => setUiLang(e.target.value)} title={t("header.uiLanguage")} aria-label={t("header.uiLanguage")}
+                style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.2)", borderRadius: 8, color: "#94a3b8", padding: "5px 8px", fontFamily: "inherit", fontSize: 11, cursor: "pointer", outline: "none" }}>
+                {UI_LANGUAGES.map(l => <option key={l.code} value={l.code} style={{ background: "#0f0a1e" }}>{l.label}</option>)}
+              </select>
+              <span id="target-language-label" style={{ fontSize: 10, color: "#4b5563", letterSpacing: "0.1em" }}>{t("header.translateTo")}</span>
+              <select value={targetLang} aria-labelledby="target-language-label" onChange={e => { setTargetLang(e.target.value); setPopup(null); cache.current = {}; }}
+                style={{ background: "rgba(124,58,237,0.12)", border: "1px solid rgba(124,58,237,0.3)", borderRadius: 8, color: "#c4b5fd", padding: "5px 10px", fontFamily: "inherit", fontSize: 12, cursor: "pointer", outline: "none" }}>
+                {LANGUAGES.map(l => <option key={l.code} value={l.code} style={{ background: "#0f0a1e" }}>{l.label}</option>)}
+              </select>
+            </div>
+          </header>
 
-              {/* Main Grid */}
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20, alignItems: "start" }}>
-
-                {/* LEFT COLUMN */}
-                <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
-
-                  {/* Video Player */}
-                  <GlowCard accent="#7c3aed" style={{ overflow: "hidden" }}>
-                    <video ref={videoRef} src={videoURL} controls
-                      onTimeUpdate={() => videoRef.current && setCurrentTime(videoRef.current.currentTime)}
-                      onLoadedMetadata={() => setDuration(videoRef.current?.duration || 0)}
-                      style={{ width: "100%", display: "block", background: "#000", maxHeight: 300 }} />
-                    <div style={{ padding: "10px 16px" }}>
-                      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, color: "#4b5563", marginBottom: 6 }}>
-                        <span>{Math.floor(currentTime / 60)}:{String(Math.floor(currentTime % 60)).padStart(2, "0")}</span>
-                        <span>{Math.floor(duration / 60)}:{String(Math.floor(duration % 60)).padStart(2, "0")}</span>
-                      </div>
-                      <div style={{ height: 3, background: "rgba(124,58,237,0.1)", borderRadius: 4, overflow: "hidden" }}>
-                        <div style={{ height: "100%", width: `${videoProgress}%`, background: "linear-gradient(90deg,#7c3aed,#38bdf8)", transition: "width 0.2s", boxShadow: "0 0 8px rgba(124,58,237,0.5)" }} />
-                      </div>
+          {/* ── BODY ── */}
+          <div style={{ flex: 1, padding: "24px 28px", maxWidth: "100%", width: "100%" }}>
+
+            {/* ── LIBRARY ── */}
+            {showLibrary && status !== "loading" && (
+              <div style={{ maxWidth: 600, margin: "0 auto 24px" }}>{sessionLibrary}</div>
+            )}
+
+            {/* ── IDLE STATE ── */}
+            {status === "idle" && !videoURL && (
+              <div style={{ maxWidth: 600, margin: "60px auto 0" }}>
+                <GlowCard accent="#7c3aed" style={{ padding: "50px 40px", textAlign: "center" }}>
+                  <div style={{ fontSize: 56, marginBottom: 20 }}>🎬</div>
+                  <div style={{ fontSize: 22, fontWeight: 800, color: "#e2e0ff", marginBottom: 8 }}>{t("upload.title")}</div>
+                  <div style={{ fontSize: 13, color: "#4b5563", marginBottom: 28 }}>MP4 · MOV · MP3 · WAV · M4A · SRT · VTT</div>
+                  <input ref={fileInputRef} type="file" accept="video/*,audio/*,.srt,.vtt" multiple onChange={handleFileChange} style={{ display: "none" }} />
+                  <button
+                    onClick={triggerFileInput}
+                    style={{ background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 12, padding: "14px 36px", color: "#fff", fontFamily: "inherit", fontSize: 15, fontWeight: 800, cursor: "pointer", boxShadow: "0 0 30px rgba(124,58,237,0.5)", letterSpacing: "0.05em" }}>
+                    {t("upload.choose")}
+                  </button>
+                  <form onSubmit={e => { e.preventDefault(); importUrl(mediaLink); }} style={{ display: "flex", gap: 8, marginTop: 24 }}>
+                    <input type="url" value={mediaLink} onChange={e => setMediaLink(e.target.value)} placeholder={t("upload.linkPlaceholder")} dir="ltr"
+                      style={{ flex: 1, minWidth: 0, background: "rgba(0,0,0,0.25)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 10, padding: "10px 14px", color: "#e2e0ff", fontSize: 13, fontFamily: "inherit" }} />
+                    <button type="submit" disabled={!mediaLink.trim()}
+                      style={{ background: "rgba(124,58,237,0.15)", border: "1px solid rgba(124,58,237,0.4)", borderRadius: 10, padding: "0 18px", color: "#a78bfa", fontSize: 13, fontFamily: "inherit", cursor: mediaLink.trim() ? "pointer" : "default", opacity: mediaLink.trim() ? 1 : 0.5 }}>
+                      {t("upload.open")}
+                    </button>
+                  </form>
+                </GlowCard>
+                {pendingJob && (
+                  <GlowCard accent="#fbbf24" style={{ marginTop: 20, padding: "14px 18px", display: "flex", alignItems: "center", gap: 12 }}>
+                    <span style={{ fontSize: 18 }}>⏳</span>
+                    <div style={{ flex: 1, overflow: "hidden" }}>
+                      <div style={{ fontSize: 12, color: "#fbbf24", fontWeight: 700 }}>{t("upload.pending")}</div>
+                      <div dir="auto" style={{ fontSize: 11, color: "#4b5563", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{pendingJob.fileName}</div>
                     </div>
+                    <button onClick={resumeTranscription} style={{ background: "rgba(251,191,36,0.12)", border: "1px solid rgba(251,191,36,0.4)", borderRadius: 8, padding: "6px 14px", color: "#fbbf24", fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>{t("upload.resume")}</button>
+                    <button onClick={() => rememberJob(null)} aria-label={t("upload.discard")} style={{ background: "transparent", border: "none", color: "#374151", cursor: "pointer", fontSize: 16, padding: "0 2px" }}>✕</button>
                   </GlowCard>
+                )}
+                {!showLibrary && sessions.length > 0 && <div style={{ marginTop: 20 }}>{sessionLibrary}</div>}
+              </div>
+            )}
 
-                  {/* Keywords */}
-                  {keywords.length > 0 && (
-                    <GlowCard accent="#a78bfa" style={{ padding: "14px 16px" }}>
-                      <div style={{ fontSize: 10, color: "#7c3aed", letterSpacing: "0.15em", marginBottom: 10, fontWeight: 700 }}>🔑 أهم الكلمات</div>
-                      <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
-                        {keywords.map(kw => {
-                          const saved = wordBank.find(w => w.word === kw);
+            {/* ── PROCESSING STATUS ── */}
+            {status === "loading" && (
+              <div style={{ maxWidth: 600, margin: "40px auto" }}>
+                <GlowCard accent="#38bdf8" style={{ padding: "24px 28px" }}>
+                  <div style={{ display: "flex", alignItems: "center", gap: 14, marginBottom: 16 }}>
+                    <div style={{ width: 20, height: 20, borderRadius: "50%", border: "2px solid #38bdf8", borderTopColor: "transparent", animation: "spin 0.8s linear infinite", flexShrink: 0 }} />
+                    <span style={{ fontSize: 14, color: "#38bdf8", fontWeight: 600, flex: 1 }}>{stage ? t(`stage.${stage}`) + "..." : statusMsg}</span>
+                    {stage && (
+                      <button onClick={cancelTranscription} style={{ background: "transparent", border: "1px solid rgba(251,113,133,0.35)", borderRadius: 8, padding: "5px 12px", color: "#fb7185", fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>{t("common.cancel")}</button>
+                    )}
+                  </div>
+                  {stage && (
+                    <>
+                      <div style={{ display: "flex", gap: 6, marginBottom: 14 }}>
+                        {TRANSCRIBE_STAGES.filter(id => stages.includes(id)).map((id, i, shown) => {
+                          const current = shown.indexOf(stage);
+                          const color = i < current ? "#34d399" : i === current ? "#38bdf8" : "#374151";
                           return (
-                            <button key={kw} onClick={() => saveWord(kw)} style={{ background: saved ? "rgba(52,211,153,0.1)" : "rgba(167,139,250,0.1)", border: `1px solid ${saved ? "rgba(52,211,153,0.4)" : "rgba(167,139,250,0.3)"}`, borderRadius: 20, padding: "4px 12px", color: saved ? "#34d399" : "#a78bfa", fontSize: 11, cursor: "pointer", fontFamily: "inherit", transition: "all 0.2s" }}>
-                              {saved ? "✓ " : "+ "}{kw}
-                            </button>
+                            <div key={id} style={{ flex: 1, textAlign: "center" }}>
+                              <div style={{ height: 3, borderRadius: 3, background: color, marginBottom: 6 }} />
+                              <div style={{ fontSize: 10, color }}>{i < current ? "✓ " : ""}{t(`stage.${id}`)}</div>
+                            </div>
                           );
                         })}
                       </div>
-                    </GlowCard>
+                      <div style={{ height: 6, background: "rgba(56,189,248,0.1)", borderRadius: 6, overflow: "hidden" }}>
+                        {stage === "upload"
+                          ? <div style={{ height: "100%", width: `${uploadProgress}%`, background: "linear-gradient(90deg,#7c3aed,#38bdf8)", borderRadius: 6, transition: "width 0.4s ease", boxShadow: "0 0 12px rgba(56,189,248,0.5)" }} />
+                          : <div style={{ height: "100%", width: "30%", background: "linear-gradient(90deg,transparent,#38bdf8,transparent)", borderRadius: 6, animation: "indeterminate 1.4s ease-in-out infinite" }} />}
+                      </div>
+                      <div style={{ fontSize: 11, color: "#4b5563", marginTop: 8, textAlign: "end" }}>
+                        {stage === "upload" ? `${Math.round(uploadProgress)}%` : t("status.longFiles")}
+                      </div>
+                    </>
+                  )}
+                </GlowCard>
+              </div>
+            )}
+
+            {status === "error" && (
+              <div style={{ maxWidth: 600, margin: "40px auto" }}>
+                <GlowCard accent="#fb7185" style={{ padding: "16px 20px", display: "flex", alignItems: "center", gap: 12 }}>
+                  <span style={{ fontSize: 20 }}>⚠️</span>
+                  <span style={{ fontSize: 13, color: "#fb7185" }}>{statusMsg}</span>
+                </GlowCard>
+                <div style={{ textAlign: "center", marginTop: 20 }}>
+                  <input ref={fileInputRef} type="file" accept="video/*,audio/*,.srt,.vtt" multiple onChange={handleFileChange} style={{ display: "none" }} />
+                  <button onClick={triggerFileInput} style={{ background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 10, padding: "10px 28px", color: "#fff", fontFamily: "inherit", fontSize: 13, fontWeight: 700, cursor: "pointer" }}>{t("status.retry")}</button>
+                </div>
+              </div>
+            )}
+
+            {/* ── MAIN DASHBOARD ── */}
+            {(status === "ready" || videoURL) && status !== "loading" && status !== "error" && (
+              <>
+                {/* Top bar */}
+                <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 20 }}>
+                  <input ref={fileInputRef} type="file" accept="video/*,audio/*,.srt,.vtt" multiple onChange={handleFileChange} style={{ display: "none" }} />
+                  <button onClick={triggerFileInput}
+                    style={{ background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 10, padding: "9px 20px", color: "#fff", fontFamily: "inherit", fontSize: 12, fontWeight: 700, cursor: "pointer", whiteSpace: "nowrap", boxShadow: "0 0 16px rgba(124,58,237,0.3)", flexShrink: 0 }}>
+                    {t("toolbar.newVideo")}
+                  </button>
+                  <button onClick={() => { const link = prompt(t("upload.linkPrompt")); if (link) importUrl(link); }} title={t("upload.linkTitle")}
+                    style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.3)", borderRadius: 10, padding: "8px 12px", color: "#a78bfa", fontFamily: "inherit", fontSize: 12, cursor: "pointer", flexShrink: 0 }}>
+                    🔗
+                  </button>
+                  <GlowCard accent="#7c3aed" style={{ flex: 1, padding: "9px 14px", fontSize: 12, color: "#a78bfa", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    <bdi>{fileName}</bdi>
+                  </GlowCard>
+                  <input ref={subtitleInputRef} type="file" accept=".srt,.vtt" onChange={handleSubtitleChange} style={{ display: "none" }} />
+                  <button onClick={() => subtitleInputRef.current?.click()} title="SRT / VTT"
+                    style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.3)", borderRadius: 10, padding: "8px 14px", color: "#a78bfa", fontFamily: "inherit", fontSize: 11, cursor: "pointer", whiteSpace: "nowrap", flexShrink: 0 }}>
+                    {t("toolbar.importSubtitles")}
+                  </button>
+                  {status === "ready" && (
+                    <div style={{ background: "rgba(52,211,153,0.1)", border: "1px solid rgba(52,211,153,0.3)", borderRadius: 8, padding: "6px 14px", fontSize: 11, color: "#34d399", whiteSpace: "nowrap", flexShrink: 0 }}>
+                      ✅ {t("common.sentences", { count: transcript.length })}
+                    </div>
+                  )}
+                  {transcript.length > 0 && (
+                    <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+                      <button onClick={() => downloadFile(toSRT(transcript, captionTranslations(transcript)), `${baseName(fileName)}.srt`, "application/x-subrip")} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "6px 10px", color: "#38bdf8", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>⬇ SRT</button>
+                      <button onClick={() => downloadFile(toVTT(transcript, captionTranslations(transcript), { lang: sourceLang }), `${baseName(fileName)}.vtt`, "text/vtt")} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "6px 10px", color: "#38bdf8", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>⬇ VTT</button>
+                    </div>
                   )}
+                </div>
 
-                  {/* Summary */}
-                  {summary.length > 0 && (
-                    <GlowCard accent="#38bdf8" style={{ padding: "14px 16px" }}>
-                      <div style={{ fontSize: 10, color: "#38bdf8", letterSpacing: "0.15em", marginBottom: 10, fontWeight: 700 }}>🤖 ملخص الذكاء الاصطناعي</div>
-                      <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-                        {summary.map((point, i) => (
-                          <div key={i} style={{ display: "flex", gap: 10, alignItems: "flex-start" }}>
-                            <div style={{ width: 20, height: 20, borderRadius: "50%", background: "rgba(56,189,248,0.12)", border: "1px solid rgba(56,189,248,0.25)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 9, color: "#38bdf8", flexShrink: 0, marginTop: 2 }}>{i + 1}</div>
-                            <p style={{ margin: 0, fontSize: 12, color: "#94a3b8", lineHeight: 1.7 }}>{point}</p>
+                {/* Main Grid */}
+                <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20, alignItems: "start" }}>
+
+                  {/* LEFT COLUMN */}
+                  <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+
+                    {/* Video Player */}
+                    <GlowCard accent="#7c3aed" style={{ overflow: "hidden" }}>
+                      {!videoURL && (
+                        <div style={{ padding: "12px 16px", fontSize: 11, color: "#4b5563", textAlign: "center" }}>{t("player.reuploadHint")}</div>
+                      )}
+                      <video ref={videoRef} src={videoURL} controls
+                        onTimeUpdate={handleTimeUpdate}
+                        onSeeking={handleSeeking}
+                        onLoadedMetadata={() => { setDuration(videoRef.current?.duration || 0); videoRef.current.playbackRate = playbackRate; }}
+                        onPlay={handlePlay}
+                        onPause={flushWatch}
+                        style={{ width: "100%", display: "block", background: "#000", maxHeight: 300 }}>
+                        {captionsOn && captionsURL && (
+                          <track key={captionsURL} kind="subtitles" src={captionsURL} srcLang={sourceLang} label={sourceLang.toUpperCase()} default
+                            ref={el => { if (el) el.track.mode = "showing"; }} />
+                        )}
+                      </video>
+                      <div style={{ padding: "10px 16px" }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, color: "#4b5563", marginBottom: 6 }}>
+                          <span>{Math.floor(currentTime / 60)}:{String(Math.floor(currentTime % 60)).padStart(2, "0")}</span>
+                          <span>{Math.floor(duration / 60)}:{String(Math.floor(duration % 60)).padStart(2, "0")}</span>
+                        </div>
+                        <div style={{ height: 3, background: "rgba(124,58,237,0.1)", borderRadius: 4, overflow: "hidden" }}>
+                          <div style={{ height: "100%", width: `${videoProgress}%`, background: "linear-gradient(90deg,#7c3aed,#38bdf8)", transition: "width 0.2s", boxShadow: "0 0 8px rgba(124,58,237,0.5)" }} />
+                        </div>
+                        {transcript.length > 0 && (
+                          <div style={{ display: "flex", gap: 6, marginTop: 10 }}>
+                            {[
+                              { on: captionsOn, label: "CC", toggle: () => setCaptionsOn(v => !v) },
+                              { on: bilingualCaptions, label: t("player.bilingualCaptions"), toggle: () => { setBilingualCaptions(v => !v); setCaptionsOn(true); } },
+                              { on: shadowing, label: t("shadow.title"), toggle: toggleShadowing },
+                            ].map(b => (
+                              <button key={b.label} onClick={b.toggle} style={{ background: b.on ? "rgba(124,58,237,0.2)" : "transparent", border: `1px solid ${b.on ? "rgba(124,58,237,0.5)" : "rgba(124,58,237,0.15)"}`, borderRadius: 6, padding: "3px 10px", color: b.on ? "#c4b5fd" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                                {b.label}
+                              </button>
+                            ))}
                           </div>
-                        ))}
+                        )}
                       </div>
                     </GlowCard>
-                  )}
-                </div>
 
-                {/* RIGHT COLUMN */}
-                <div style={{ display: "flex", flexDirection: "column" }}>
-
-                  {/* Tabs */}
-                  <div style={{ display: "flex", gap: 4 }}>
-                    {[
-                      { id: "transcript", label: "📝 النص" },
-                      { id: "wordbank", label: `📚 الكلمات${wordBank.length > 0 ? ` (${wordBank.length})` : ""}` },
-                      { id: "quiz", label: "🧠 اختبار" },
-                    ].map(tab => (
-                      <button key={tab.id} onClick={() => setActiveTab(tab.id)} style={{ background: activeTab === tab.id ? "rgba(124,58,237,0.2)" : "transparent", border: `1px solid ${activeTab === tab.id ? "rgba(124,58,237,0.5)" : "rgba(124,58,237,0.1)"}`, borderBottom: "none", borderRadius: "10px 10px 0 0", padding: "8px 14px", color: activeTab === tab.id ? "#c4b5fd" : "#4b5563", fontSize: 11, cursor: "pointer", fontFamily: "inherit", transition: "all 0.2s" }}>
-                        {tab.label}
-                      </button>
-                    ))}
-                  </div>
+                    {/* Shadowing */}
+                    {shadowing && transcript.length > 0 && (
+                      <GlowCard accent="#34d399" style={{ padding: "14px 16px" }}>
+                        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 12 }}>
+                          <div style={{ fontSize: 10, color: "#34d399", letterSpacing: "0.15em", fontWeight: 700 }}>{t("shadow.title")}</div>
+                          <div style={{ fontSize: 10, color: "#4b5563" }}>
+                            {t("shadow.progress", { index: shadow.index + 1, total: transcript.length, play: Math.min(shadow.plays + 1, loopCount), loops: loopCount })}{shadow.waiting ? t("shadow.yourTurn") : ""}
+                          </div>
+                        </div>
+                        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+                          <span style={{ fontSize: 10, color: "#4b5563" }}>{t("shadow.repeats")}</span>
+                          {LOOP_COUNTS.map(n => (
+                            <button key={n} onClick={() => setLoopCount(n)} style={{ background: loopCount === n ? "rgba(52,211,153,0.15)" : "transparent", border: `1px solid ${loopCount === n ? "rgba(52,211,153,0.5)" : "rgba(52,211,153,0.15)"}`, borderRadius: 6, padding: "2px 9px", color: loopCount === n ? "#34d399" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>{n}×</button>
+                          ))}
+                          <span style={{ fontSize: 10, color: "#4b5563", marginInlineStart: 8 }}>{t("shadow.speed")}</span>
+                          {PLAYBACK_RATES.map(r => (
+                            <button key={r} onClick={() => setPlaybackRate(r)} style={{ background: playbackRate === r ? "rgba(52,211,153,0.15)" : "transparent", border: `1px solid ${playbackRate === r ? "rgba(52,211,153,0.5)" : "rgba(52,211,153,0.15)"}`, borderRadius: 6, padding: "2px 7px", color: playbackRate === r ? "#34d399" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>{r}x</button>
+                          ))}
+                        </div>
+                        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "#94a3b8", marginBottom: 12, cursor: "pointer" }}>
+                          <input type="checkbox" checked={pauseAfter} onChange={e => setPauseAfter(e.target.checked)} />
+                          {t("shadow.pauseAfter")}
+                        </label>
+                        <div style={{ display: "flex", gap: 8 }}>
+                          {[
+                            { label: t("shadow.previous"), action: () => jumpToLine(Math.max(shadow.index - 1, 0)) },
+                            { label: t("shadow.replay"), action: () => jumpToLine(shadow.index) },
+                            { label: t("shadow.next"), action: () => jumpToLine(Math.min(shadow.index + 1, transcript.length - 1)) },
+                          ].map(b => (
+                            <button key={b.label} onClick={b.action} style={{ flex: 1, background: "rgba(52,211,153,0.08)", border: "1px solid rgba(52,211,153,0.25)", borderRadius: 8, padding: "7px", color: "#34d399", fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>{b.label}</button>
+                          ))}
+                        </div>
+                        {transcript[shadow.index] && (
+                          <PronunciationCheck key={shadow.index} recognizer={recognizer} expected={transcript[shadow.index].text} lang={sourceLang} style={{ marginTop: 12 }} />
+                        )}
+                        <div style={{ fontSize: 9, color: "#374151", marginTop: 10, textAlign: "center" }}>{t("shadow.keys")}</div>
+                      </GlowCard>
+                    )}
 
-                  <GlowCard accent="#7c3aed" style={{ borderRadius: "0 12px 12px 12px" }}>
+                    {/* Keywords */}
+                    {keywords.length > 0 && (
+                      <GlowCard accent="#a78bfa" style={{ padding: "14px 16px" }}>
+                        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
+                          <div style={{ fontSize: 10, color: "#7c3aed", letterSpacing: "0.15em", fontWeight: 700, flex: 1 }}>{t("keywords.title")}</div>
+                          {wordList && (
+                            <div style={{ display: "flex", gap: 2 }} title={t("keywords.level")}>
+                              {CEFR_LEVELS.map(level => (
+                                <button key={level} onClick={() => setLearnerLevel(level)}
+                                  style={{ background: learnerLevel === level ? "rgba(124,58,237,0.25)" : "transparent", border: `1px solid ${learnerLevel === level ? "rgba(124,58,237,0.5)" : "rgba(124,58,237,0.12)"}`, borderRadius: 5, padding: "1px 5px", color: learnerLevel === level ? "#c4b5fd" : "#4b5563", fontSize: 9, cursor: "pointer", fontFamily: "inherit" }}>
+                                  {level}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                        <div style={{ display: "flex", flexWrap: "wrap", gap: 8 }}>
+                          {keywords.map(kw => {
+                            const saved = findSaved(kw);
+                            return (
+                              <button key={kw} onClick={() => saveLemma(kw)} lang={sourceLang} dir="auto" style={{ background: saved ? "rgba(52,211,153,0.1)" : "rgba(167,139,250,0.1)", border: `1px solid ${saved ? "rgba(52,211,153,0.4)" : "rgba(167,139,250,0.3)"}`, borderRadius: 20, padding: "4px 12px", color: saved ? "#34d399" : "#a78bfa", fontSize: 11, cursor: "pointer", fontFamily: "inherit", transition: "all 0.2s" }}>
+                                {saved ? "✓ " : "+ "}{kw}
+                                {vocabByLemma.get(kw)?.level && <span style={{ fontSize: 8, marginInlineStart: 5, color: LEVEL_COLORS[vocabByLemma.get(kw).level] }}>{vocabByLemma.get(kw).level}</span>}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </GlowCard>
+                    )}
 
-                    {/* TRANSCRIPT */}
-                    {activeTab === "transcript" && (
-                      transcript.length === 0 ? (
-                        <div style={{ padding: 40, textAlign: "center", color: "#374151" }}>
-                          <div style={{ fontSize: 32, marginBottom: 10 }}>📝</div>
-                          <div style={{ fontSize: 12 }}>النص سيظهر هنا بعد التحليل</div>
+                    {/* New words above the learner's level */}
+                    {videoNewWords.length > 0 && (
+                      <GlowCard accent="#34d399" style={{ padding: "14px 16px" }}>
+                        <div style={{ fontSize: 10, color: "#34d399", letterSpacing: "0.15em", marginBottom: 10, fontWeight: 700 }}>{t("keywords.new", { count: videoNewWords.length })}</div>
+                        <div style={{ display: "flex", flexWrap: "wrap", gap: 6, maxHeight: 150, overflowY: "auto", scrollbarWidth: "thin" }}>
+                          {videoNewWords.map(v => (
+                            <button key={v.lemma} onClick={() => saveLemma(v.lemma)} title={[...v.forms].join(t("keywords.formsSeparator"))} lang={sourceLang} dir="auto"
+                              style={{ background: "rgba(52,211,153,0.06)", border: "1px solid rgba(52,211,153,0.2)", borderRadius: 14, padding: "3px 10px", color: "#a7f3d0", fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>
+                              + {v.lemma}
+                              <span style={{ fontSize: 8, marginInlineStart: 5, color: LEVEL_COLORS[v.level] }}>{v.level}</span>
+                              {v.count > 1 && <span style={{ fontSize: 8, marginInlineStart: 4, color: "#4b5563" }}>×{v.count}</span>}
+                            </button>
+                          ))}
                         </div>
-                      ) : (
-                        <div ref={transcriptRef} style={{ height: 500, overflowY: "auto", padding: "12px 14px", scrollbarWidth: "thin", scrollbarColor: "rgba(124,58,237,0.3) transparent" }}>
-                          {transcript.map((line, i) => (
-                            <div key={i} ref={i === activeIndex ? activeLineRef : null}
-                              onClick={() => videoRef.current && (videoRef.current.currentTime = line.start / 1000)}
-                              style={{ padding: "8px 10px", borderRadius: 8, cursor: "pointer", marginBottom: 4, background: i === activeIndex ? "rgba(124,58,237,0.1)" : "transparent", borderLeft: `3px solid ${i === activeIndex ? "#7c3aed" : "transparent"}`, transition: "all 0.2s", display: "flex", gap: 10 }}>
-                              <div style={{ flexShrink: 0, paddingTop: 3, minWidth: 36 }}>
-                                <div style={{ fontSize: 9, color: i === activeIndex ? "#a78bfa" : "#374151", fontWeight: 700 }}>
-                                  {String(Math.floor(line.start / 60000)).padStart(2, "0")}:{String(Math.floor((line.start % 60000) / 1000)).padStart(2, "0")}
-                                </div>
-                                {line.speaker && <div style={{ fontSize: 8, color: speakerColor(line.speaker), marginTop: 2 }}>S{line.speaker}</div>}
-                              </div>
-                              <p style={{ margin: 0, fontSize: 13, lineHeight: 1.8, color: i === activeIndex ? "#e2e0ff" : "#6b7280" }}>
-                                {line.text.split(" ").map((word, wi) => (
-                                  <span key={wi} onClick={e => handleWordClick(word, e)}
-                                    style={{ cursor: "pointer", borderRadius: 3, padding: "1px 2px", display: "inline-block", marginRight: 2, transition: "all 0.15s" }}
-                                    onMouseOver={e => { e.target.style.background = "rgba(167,139,250,0.2)"; e.target.style.color = "#c4b5fd"; }}
-                                    onMouseOut={e => { e.target.style.background = "transparent"; e.target.style.color = ""; }}>
-                                    {word}
-                                  </span>
-                                ))}
-                              </p>
+                      </GlowCard>
+                    )}
+
+                    {/* Summary */}
+                    {summary.length > 0 && (
+                      <GlowCard accent="#38bdf8" style={{ padding: "14px 16px" }}>
+                        <div style={{ fontSize: 10, color: "#38bdf8", letterSpacing: "0.15em", marginBottom: 10, fontWeight: 700 }}>{t("summary.title")}</div>
+                        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                          {summary.map((point, i) => (
+                            <div key={i} style={{ display: "flex", gap: 10, alignItems: "flex-start" }}>
+                              <div style={{ width: 20, height: 20, borderRadius: "50%", background: "rgba(56,189,248,0.12)", border: "1px solid rgba(56,189,248,0.25)", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 9, color: "#38bdf8", flexShrink: 0, marginTop: 2 }}>{i + 1}</div>
+                              <p lang={sourceLang} dir="auto" style={{ margin: 0, fontSize: 12, color: "#94a3b8", lineHeight: 1.7 }}>{point}</p>
                             </div>
                           ))}
                         </div>
-                      )
+                      </GlowCard>
                     )}
+                  </div>
+
+                  {/* RIGHT COLUMN */}
+                  <div style={{ display: "flex", flexDirection: "column" }}>
+
+                    {/* Tabs */}
+                    <div role="tablist" aria-label={t("tabs.label")} onKeyDown={handleTabKey} style={{ display: "flex", gap: 4 }}>
+                      {[
+                        { id: "transcript", label: t("tabs.transcript") },
+                        { id: "wordbank", label: `${t("tabs.words")}${wordBank.length > 0 ? ` (${wordBank.length})` : ""}` },
+                        { id: "quiz", label: `${t("tabs.quiz")}${dueToday > 0 ? ` (${dueToday})` : ""}` },
+                        { id: "progress", label: t("tabs.progress") },
+                      ].map(tab => (
+                        <button key={tab.id} id={`tab-${tab.id}`} role="tab" aria-selected={activeTab === tab.id} aria-controls="study-panel" tabIndex={activeTab === tab.id ? 0 : -1}
+                          onClick={() => setActiveTab(tab.id)} style={{ background: activeTab === tab.id ? "rgba(124,58,237,0.2)" : "transparent", border: `1px solid ${activeTab === tab.id ? "rgba(124,58,237,0.5)" : "rgba(124,58,237,0.1)"}`, borderBottom: "none", borderRadius: "10px 10px 0 0", padding: "8px 14px", color: activeTab === tab.id ? "#c4b5fd" : "#4b5563", fontSize: 11, cursor: "pointer", fontFamily: "inherit", transition: "all 0.2s" }}>
+                          {tab.label}
+                        </button>
+                      ))}
+                    </div>
 
-                    {/* WORD BANK */}
-                    {activeTab === "wordbank" && (
-                      <div style={{ height: 500, overflowY: "auto", padding: "14px", scrollbarWidth: "thin", scrollbarColor: "rgba(124,58,237,0.3) transparent" }}>
-                        {wordBank.length === 0 ? (
+                    <GlowCard ref={studyPanelRef} accent="#7c3aed" id="study-panel" role="tabpanel" aria-labelledby={`tab-${activeTab}`} tabIndex={0}
+                      onKeyDown={activeTab === "quiz" ? handleQuizKey : undefined} style={{ borderRadius: "0 12px 12px 12px" }}>
+
+                      {/* TRANSCRIPT */}
+                      {activeTab === "transcript" && (
+                        transcript.length === 0 ? (
                           <div style={{ padding: 40, textAlign: "center", color: "#374151" }}>
-                            <div style={{ fontSize: 32, marginBottom: 10 }}>📚</div>
-                            <div style={{ fontSize: 12 }}>اضغط على أي كلمة في النص لحفظها هنا</div>
+                            <div style={{ fontSize: 32, marginBottom: 10 }}>📝</div>
+                            <div style={{ fontSize: 12 }}>{t("transcript.empty")}</div>
                           </div>
                         ) : (
-                          <>
-                            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 14 }}>
-                              <span style={{ fontSize: 11, color: "#4b5563" }}>{wordBank.length} كلمة محفوظة</span>
-                              <div style={{ display: "flex", gap: 8 }}>
-                                <button onClick={() => downloadVocabCSV(wordBank)} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "4px 10px", color: "#38bdf8", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>⬇ CSV</button>
-                                <button onClick={() => { if (confirm("حذف كل الكلمات؟")) setWordBank([]); }} style={{ background: "transparent", border: "1px solid rgba(251,113,133,0.3)", borderRadius: 6, padding: "4px 10px", color: "#fb7185", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>حذف الكل</button>
+                          <div ref={transcriptRef} style={{ height: 500, overflowY: "auto", padding: "12px 14px", scrollbarWidth: "thin", scrollbarColor: "rgba(124,58,237,0.3) transparent" }}>
+                            <div id="transcript-keys" style={SR_ONLY}>{t("transcript.keys")}</div>
+                            <div style={{ position: "sticky", top: -12, zIndex: 1, display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", padding: "0 0 8px", background: "rgba(15,10,30,0.95)" }}>
+                              <div style={{ display: "flex", alignItems: "center", gap: 4, width: "100%", marginBottom: 2 }}>
+                                <input value={searchQuery} placeholder={t("transcript.search")}
+                                  onChange={e => { setSearchQuery(e.target.value); setHitIndex(0); }}
+                                  onKeyDown={e => { if (e.key === "Enter") goToHit(hitIndex + (e.shiftKey ? -1 : currentHit ? 1 : 0)); if (e.key === "Escape") setSearchQuery(""); }}
+                                  style={{ flex: 1, minWidth: 0, background: "rgba(0,0,0,0.2)", border: "1px solid rgba(124,58,237,0.2)", borderRadius: 6, padding: "4px 10px", color: "#e2e0ff", fontSize: 11, fontFamily: "inherit", outline: "none" }} />
+                                {searchQuery.trim() && (
+                                  <>
+                                    <span style={{ fontSize: 10, color: searchHits.length ? "#fbbf24" : "#4b5563", whiteSpace: "nowrap" }}>
+                                      {searchHits.length ? `${searchHits.indexOf(currentHit) + 1}/${searchHits.length}` : t("transcript.noResults")}
+                                    </span>
+                                    <button onClick={() => goToHit(hitIndex - 1)} disabled={!searchHits.length} aria-label={t("transcript.previousHit")}
+                                      style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "2px 7px", color: "#6b7280", fontSize: 10, cursor: "pointer" }}>▲</button>
+                                    <button onClick={() => goToHit(hitIndex + 1)} disabled={!searchHits.length} aria-label={t("transcript.nextHit")}
+                                      style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "2px 7px", color: "#6b7280", fontSize: 10, cursor: "pointer" }}>▼</button>
+                                  </>
+                                )}
+                                <button onClick={() => setEditing(v => !v)} title={t("transcript.editTitle")}
+                                  style={{ background: editing ? "rgba(251,191,36,0.15)" : "transparent", border: `1px solid ${editing ? "rgba(251,191,36,0.45)" : "rgba(124,58,237,0.15)"}`, borderRadius: 6, padding: "3px 9px", color: editing ? "#fbbf24" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit", whiteSpace: "nowrap" }}>
+                                  {t("transcript.edit")}
+                                </button>
+                                {editing && (
+                                  <>
+                                    <button onClick={undoEdit} disabled={!history.past.length} title={t("transcript.undo")}
+                                      style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "2px 7px", color: history.past.length ? "#c4b5fd" : "#374151", fontSize: 11, cursor: "pointer" }}>↶</button>
+                                    <button onClick={redoEdit} disabled={!history.future.length} title={t("transcript.redo")}
+                                      style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "2px 7px", color: history.future.length ? "#c4b5fd" : "#374151", fontSize: 11, cursor: "pointer" }}>↷</button>
+                                  </>
+                                )}
                               </div>
+                              {speakers.length > 0 && (
+                                <>
+                                  <button onClick={() => setSpeakerFilter(null)}
+                                    style={{ background: !speakerFilter ? "rgba(124,58,237,0.2)" : "transparent", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 6, padding: "3px 8px", color: !speakerFilter ? "#c4b5fd" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                                    {t("transcript.allSpeakers")}
+                                  </button>
+                                  {speakers.map(s => (
+                                    <button key={s.speaker} onClick={() => setSpeakerFilter(f => (f === s.speaker ? null : s.speaker))}
+                                      style={{ background: speakerFilter === s.speaker ? `${speakerColor(s.speaker)}22` : "transparent", border: `1px solid ${speakerColor(s.speaker)}${speakerFilter === s.speaker ? "99" : "44"}`, borderRadius: 6, padding: "3px 8px", color: speakerColor(s.speaker), fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                                      {speakerLabel(s.speaker, speakerNames)}
+                                    </button>
+                                  ))}
+                                  <button onClick={() => setShowSpeakers(v => !v)} title={t("transcript.manageSpeakers")}
+                                    style={{ background: showSpeakers ? "rgba(124,58,237,0.2)" : "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "3px 8px", color: showSpeakers ? "#c4b5fd" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                                    👥
+                                  </button>
+                                </>
+                              )}
+                              <div style={{ flex: 1 }} />
+                              <button onClick={() => setBilingualTranscript(v => !v)}
+                                style={{ background: bilingualTranscript ? "rgba(124,58,237,0.2)" : "transparent", border: `1px solid ${bilingualTranscript ? "rgba(124,58,237,0.5)" : "rgba(124,58,237,0.15)"}`, borderRadius: 6, padding: "3px 10px", color: bilingualTranscript ? "#c4b5fd" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                                {t("transcript.translateLines")}
+                              </button>
                             </div>
-                            <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
-                              {wordBank.map(item => (
-                                <div key={item.word} style={{ background: "rgba(124,58,237,0.07)", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 10, padding: "10px 12px", display: "flex", alignItems: "center", gap: 10 }}>
-                                  <div style={{ flex: 1 }}>
-                                    <div style={{ fontSize: 14, color: "#e2e0ff", fontWeight: 700 }}>{item.word}</div>
-                                    <div style={{ fontSize: 12, color: "#a78bfa", marginTop: 2 }}>{item.translation}</div>
+                            {showSpeakers && speakers.length > 0 && (
+                              <div style={{ background: "rgba(124,58,237,0.05)", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 10, padding: "10px 12px", marginBottom: 10 }}>
+                                {speakers.map(s => (
+                                  <div key={s.speaker} style={{ display: "flex", alignItems: "center", gap: 8, padding: "5px 0" }}>
+                                    <span style={{ width: 8, height: 8, borderRadius: "50%", background: speakerColor(s.speaker), flexShrink: 0 }} />
+                                    <input key={speakerLabel(s.speaker, speakerNames)} defaultValue={speakerNames[s.speaker] || ""} placeholder={`S${s.speaker}`}
+                                      onBlur={e => renameSpeaker(s.speaker, e.target.value)}
+                                      onKeyDown={e => e.key === "Enter" && e.target.blur()}
+                                      style={{ width: 90, background: "rgba(0,0,0,0.2)", border: "1px solid rgba(124,58,237,0.2)", borderRadius: 6, padding: "3px 8px", color: "#e2e0ff", fontSize: 11, fontFamily: "inherit" }} />
+                                    <div style={{ flex: 1 }}>
+                                      <div style={{ fontSize: 10, color: "#6b7280" }}>{formatDuration(s.talkTime)} · {t("common.words", { count: s.words })} · {t("common.sentences", { count: s.lines })}</div>
+                                      <div style={{ height: 3, background: "rgba(124,58,237,0.1)", borderRadius: 3, marginTop: 3 }}>
+                                        <div style={{ height: "100%", width: `${totalTalkTime ? (s.talkTime / totalTalkTime) * 100 : 0}%`, background: speakerColor(s.speaker), borderRadius: 3 }} />
+                                      </div>
+                                    </div>
+                                    {speakers.length > 1 && (
+                                      <select value="" onChange={e => e.target.value && mergeSpeaker(s.speaker, e.target.value)}
+                                        style={{ background: "rgba(0,0,0,0.2)", border: "1px solid rgba(124,58,237,0.2)", borderRadius: 6, padding: "3px 4px", color: "#6b7280", fontSize: 10, fontFamily: "inherit" }}>
+                                        <option value="">{t("transcript.mergeSpeaker")}</option>
+                                        {speakers.filter(o => o.speaker !== s.speaker).map(o => <option key={o.speaker} value={o.speaker}>{speakerLabel(o.speaker, speakerNames)}</option>)}
+                                      </select>
+                                    )}
                                   </div>
-                                  <button onClick={() => speakWord(item.word)} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 8, padding: "5px 8px", cursor: "pointer", fontSize: 14 }}>🔊</button>
-                                  <button onClick={() => removeWord(item.word)} style={{ background: "transparent", border: "none", color: "#374151", cursor: "pointer", fontSize: 16, padding: "0 2px" }}>✕</button>
+                                ))}
+                              </div>
+                            )}
+                            {transcript.map((line, i) => speakerFilter && line.speaker !== speakerFilter ? null : (
+                              <div key={i} ref={i === activeIndex ? activeLineRef : null}
+                                onClick={() => shadowing ? jumpToLine(i) : videoRef.current && (videoRef.current.currentTime = line.start / 1000)}
+                                style={{ padding: "8px 10px", borderRadius: 8, cursor: "pointer", marginBottom: 4, background: i === activeIndex ? "rgba(124,58,237,0.1)" : "transparent", borderInlineStart: `3px solid ${i === activeIndex ? "#7c3aed" : "transparent"}`, transition: "all 0.2s", display: "flex", gap: 10 }}>
+                                <div style={{ flexShrink: 0, paddingTop: 3, minWidth: 36 }}>
+                                  <div style={{ fontSize: 9, color: i === activeIndex ? "#a78bfa" : "#374151", fontWeight: 700 }}>
+                                    {String(Math.floor(line.start / 60000)).padStart(2, "0")}:{String(Math.floor((line.start % 60000) / 1000)).padStart(2, "0")}
+                                  </div>
+                                  {line.speaker && <div style={{ fontSize: 8, color: speakerColor(line.speaker), marginTop: 2, maxWidth: 60, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{speakerLabel(line.speaker, speakerNames)}</div>}
                                 </div>
-                              ))}
-                            </div>
-                          </>
-                        )}
-                      </div>
-                    )}
+                                <div style={{ flex: 1 }}>
+                                  {editing ? (
+                                    <div onClick={e => e.stopPropagation()}>
+                                      <textarea key={line.text} ref={el => { lineEditors.current[i] = el; }} lang={sourceLang} dir="auto" defaultValue={line.text} rows={2}
+                                        onBlur={e => commitLineText(i, e.target.value)}
+                                        style={{ width: "100%", boxSizing: "border-box", resize: "vertical", background: "rgba(0,0,0,0.2)", border: "1px solid rgba(251,191,36,0.2)", borderRadius: 6, padding: "6px 8px", color: "#e2e0ff", fontSize: 13, lineHeight: 1.6, fontFamily: "inherit" }} />
+                                      <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 4, fontSize: 10, color: "#4b5563" }}>
+                                        {["start", "end"].map(field => (
+                                          <input key={`${field}:${line[field]}`} type="number" min={0} step={0.1} defaultValue={line[field] / 1000} title={t(`transcript.${field}`)}
+                                            onBlur={e => commitLineTime(i, field, e.target.value)}
+                                            onKeyDown={e => e.key === "Enter" && e.target.blur()}
+                                            style={{ width: 64, background: "rgba(0,0,0,0.2)", border: "1px solid rgba(124,58,237,0.2)", borderRadius: 6, padding: "2px 6px", color: "#a78bfa", fontSize: 10, fontFamily: "inherit" }} />
+                                        ))}
+                                        <div style={{ flex: 1 }} />
+                                        <button onMouseDown={e => e.preventDefault()} onClick={() => splitAtCaret(i)} title={t("transcript.splitTitle")}
+                                          style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "2px 8px", color: "#6b7280", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>{t("transcript.split")}</button>
+                                        {i < transcript.length - 1 && (
+                                          <button onClick={() => commitTranscript(mergeWithNext(transcript, i))} title={t("transcript.mergeTitle")}
+                                            style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "2px 8px", color: "#6b7280", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>{t("transcript.merge")}</button>
+                                        )}
+                                      </div>
+                                    </div>
+                                  ) : (
+                                    <p lang={sourceLang} dir={textDirection(sourceLang)} style={{ margin: 0, fontSize: 13, lineHeight: 1.8, color: i === activeIndex ? "#e2e0ff" : "#6b7280" }}>
+                                      {markHits(lineSegments[i], hitsByLine[i], currentHit).map((seg, wi) => seg.isWord ? (
+                                        <span key={wi} data-word={`${i}:${wi}`} className="transcript-word" role="button" aria-haspopup="dialog" aria-describedby="transcript-keys"
+                                          tabIndex={i === tabLine && wi === tabWord ? 0 : -1}
+                                          onClick={e => selectWord(seg, e, i)} onKeyDown={e => handleWordKey(e, i, wi)} onFocus={() => setWordFocus({ line: i, seg: wi })}
+                                          style={{ cursor: "pointer", borderRadius: 3, padding: "1px 2px", display: "inline-block", transition: "all 0.15s", ...(i === activeIndex && seg.start != null && seg.start === activeWordStart ? { background: "rgba(56,189,248,0.18)", color: "#e0f2fe" } : {}), ...(seg.hit && { background: HIT_BACKGROUNDS[seg.hit] }) }}>
+                                          {seg.text}
+                                        </span>
+                                      ) : <span key={wi} style={seg.hit ? { background: HIT_BACKGROUNDS[seg.hit] } : undefined}>{seg.text}</span>)}
+                                    </p>
+                                  )}
+                                  {bilingualTranscript && (
+                                    <p lang={targetLang} dir="auto" style={{ margin: "2px 0 0", fontSize: 12, lineHeight: 1.7, color: i === activeIndex ? "#a78bfa" : "#4b5563" }}>
+                                      {lineTranslation(line.text) ?? (Math.abs(i - activeIndex) <= 5 ? "…" : "")}
+                                    </p>
+                                  )}
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        )
+                      )}
 
-                    {/* QUIZ */}
-                    {activeTab === "quiz" && (
-                      <div style={{ height: 500, overflowY: "auto", padding: "20px 16px" }}>
-                        {wordBank.length < 2 ? (
-                          <div style={{ padding: 40, textAlign: "center", color: "#374151" }}>
-                            <div style={{ fontSize: 32, marginBottom: 10 }}>🧠</div>
-                            <div style={{ fontSize: 12 }}>احفظ كلمتين على الأقل لتبدأ</div>
+                      {/* WORD BANK */}
+                      {activeTab === "wordbank" && (
+                        <div style={{ height: 500, overflowY: "auto", padding: "14px", scrollbarWidth: "thin", scrollbarColor: "rgba(124,58,237,0.3) transparent" }}>
+                          <input ref={vocabInputRef} type="file" accept={IMPORT_ACCEPT} onChange={handleVocabImport} style={{ display: "none" }} />
+                          <SyncPanel account={account} state={syncState} onSignIn={signIn} onSignOut={signOut} onSync={syncNow} />
+                          {/* Decks */}
+                          <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 10 }}>
+                            <select value={deck.id} onChange={e => switchDeck(e.target.value)}
+                              style={{ flex: 1, minWidth: 0, background: "rgba(0,0,0,0.25)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "5px 8px", color: "#c4b5fd", fontSize: 12, fontFamily: "inherit" }}>
+                              {vocabulary.decks.map(d => (
+                                <option key={d.id} value={d.id}>{deckName(d, t("deck.default"))} ({vocabulary.words.filter(w => (w.deck ?? DEFAULT_DECK_ID) === d.id).length})</option>
+                              ))}
+                            </select>
+                            <button onClick={addDeck} title={t("deck.newTitle")} style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.3)", borderRadius: 6, padding: "4px 9px", color: "#a78bfa", fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>{t("deck.new")}</button>
+                            {deck.shared ? (
+                              <button onClick={() => refreshSharedDeck(deck).catch(err => alert(t("sync.subscribeFailed", { message: err.message })))} title={t("sync.refresh")} style={{ background: "transparent", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "4px 8px", color: "#38bdf8", fontSize: 11, cursor: "pointer" }}>⟳</button>
+                            ) : (
+                              <>
+                                <button onClick={renameDeck} title={t("deck.rename")} style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 6, padding: "4px 8px", color: "#6b7280", fontSize: 11, cursor: "pointer" }}>✎</button>
+                                <button onClick={shareActiveDeck} title={t("sync.shareTitle")} style={{ background: "transparent", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "4px 8px", color: "#38bdf8", fontSize: 11, cursor: "pointer" }}>🔗</button>
+                              </>
+                            )}
+                            {deck.id !== DEFAULT_DECK_ID && (
+                              <button onClick={deleteDeck} title={t("deck.delete")} style={{ background: "transparent", border: "1px solid rgba(251,113,133,0.3)", borderRadius: 6, padding: "4px 8px", color: "#fb7185", fontSize: 11, cursor: "pointer" }}>🗑</button>
+                            )}
                           </div>
-                        ) : (
-                          <>
-                            {/* Mode toggle */}
-                            <div style={{ display: "flex", gap: 8, marginBottom: 24, justifyContent: "center" }}>
-                              {[{ id: "flashcard", label: "🃏 بطاقات" }, { id: "quiz", label: "✏️ اختيار متعدد" }].map(m => (
-                                <button key={m.id} onClick={() => { setQuizMode(m.id); setQuizFlipped(false); setQuizAnswer(null); }}
-                                  style={{ background: quizMode === m.id ? "rgba(124,58,237,0.2)" : "transparent", border: `1px solid ${quizMode === m.id ? "rgba(124,58,237,0.5)" : "rgba(124,58,237,0.15)"}`, borderRadius: 20, padding: "6px 18px", color: quizMode === m.id ? "#c4b5fd" : "#4b5563", fontSize: 12, cursor: "pointer", fontFamily: "inherit" }}>
-                                  {m.label}
+                          {deck.shared && <div style={{ fontSize: 10, color: "#38bdf8", marginBottom: 10 }}>{t("sync.subscribed")}</div>}
+                          {(deckLanguages(deckWords).length > 1 || deckTags(deckWords).length > 0) && (
+                            <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginBottom: 12 }}>
+                              {[null, ...deckLanguages(deckWords)].map(code => (
+                                <button key={code ?? "all"} onClick={() => setDeckLang(code)}
+                                  style={{ background: deckLang === code ? "rgba(56,189,248,0.15)" : "transparent", border: `1px solid ${deckLang === code ? "rgba(56,189,248,0.4)" : "rgba(56,189,248,0.12)"}`, borderRadius: 12, padding: "2px 9px", color: deckLang === code ? "#38bdf8" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                                  {code ? LANGUAGES.find(l => l.code === code)?.label || code.toUpperCase() : t("deck.allLanguages")}
+                                </button>
+                              ))}
+                              {deckTags(deckWords).map(tag => (
+                                <button key={tag} onClick={() => setDeckTag(current => (current === tag ? null : tag))}
+                                  style={{ background: deckTag === tag ? "rgba(251,191,36,0.15)" : "transparent", border: `1px solid ${deckTag === tag ? "rgba(251,191,36,0.4)" : "rgba(251,191,36,0.12)"}`, borderRadius: 12, padding: "2px 9px", color: deckTag === tag ? "#fbbf24" : "#4b5563", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>
+                                  #{tag}
                                 </button>
                               ))}
                             </div>
-
-                            {/* FLASHCARD */}
-                            {quizMode === "flashcard" && quizWord && (
-                              <div style={{ textAlign: "center" }}>
-                                <div onClick={() => setQuizFlipped(!quizFlipped)}
-                                  style={{ background: quizFlipped ? "rgba(52,211,153,0.08)" : "rgba(124,58,237,0.08)", border: `1px solid ${quizFlipped ? "rgba(52,211,153,0.3)" : "rgba(124,58,237,0.25)"}`, borderRadius: 16, padding: "40px 24px", cursor: "pointer", transition: "all 0.3s", marginBottom: 20, minHeight: 160, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 10 }}>
-                                  <div style={{ fontSize: 10, color: "#4b5563", letterSpacing: "0.12em" }}>{quizFlipped ? "الترجمة" : "الكلمة — اضغط للكشف"}</div>
-                                  <div style={{ fontSize: 30, fontWeight: 800, color: quizFlipped ? "#34d399" : "#c4b5fd" }}>
-                                    {quizFlipped ? quizWord.translation : quizWord.word}
-                                  </div>
-                                  {!quizFlipped && (
-                                    <button onClick={e => { e.stopPropagation(); speakWord(quizWord.word); }}
-                                      style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 8, padding: "4px 14px", cursor: "pointer", fontSize: 14, color: "#38bdf8" }}>🔊</button>
+                          )}
+                          {wordBank.length === 0 ? (
+                            <div style={{ padding: 40, textAlign: "center", color: "#374151" }}>
+                              <div style={{ fontSize: 32, marginBottom: 10 }}>📚</div>
+                              <div style={{ fontSize: 12 }}>{t("words.empty")}</div>
+                              {!deck.shared && <button onClick={() => vocabInputRef.current?.click()} style={{ marginTop: 16, background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "5px 12px", color: "#38bdf8", fontSize: 11, cursor: "pointer", fontFamily: "inherit" }}>{t("words.import")}</button>}
+                            </div>
+                          ) : (
+                            <>
+                              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 14 }}>
+                                <span style={{ fontSize: 11, color: "#4b5563" }}>{t("words.count", { count: wordBank.length })}</span>
+                                <div style={{ display: "flex", gap: 6, flexWrap: "wrap", justifyContent: "flex-end" }}>
+                                  {Object.entries(EXPORT_FORMATS).map(([id, f]) => (
+                                    <button key={id} onClick={() => handleVocabExport(id)} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "4px 10px", color: "#38bdf8", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>⬇ {f.label}</button>
+                                  ))}
+                                  {!deck.shared && (
+                                    <>
+                                      <button onClick={() => vocabInputRef.current?.click()} style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.3)", borderRadius: 6, padding: "4px 10px", color: "#a78bfa", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>{t("words.import")}</button>
+                                      <button onClick={() => { if (confirm(t("words.clearConfirm"))) { const shown = new Set(wordBank.map(entryKey)); setWords(prev => prev.filter(w => !shown.has(entryKey(w)))); } }} style={{ background: "transparent", border: "1px solid rgba(251,113,133,0.3)", borderRadius: 6, padding: "4px 10px", color: "#fb7185", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>{t("words.clear")}</button>
+                                    </>
                                   )}
                                 </div>
-                                <div style={{ display: "flex", gap: 10, justifyContent: "center", alignItems: "center" }}>
-                                  <button onClick={() => { setQuizIndex(i => Math.max(i - 1, 0)); setQuizFlipped(false); }}
-                                    style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "8px 20px", color: "#a78bfa", cursor: "pointer", fontFamily: "inherit", fontSize: 12 }}>← السابق</button>
-                                  <span style={{ fontSize: 11, color: "#4b5563" }}>{(quizIndex % wordBank.length) + 1} / {wordBank.length}</span>
-                                  <button onClick={() => { setQuizIndex(i => i + 1); setQuizFlipped(false); }}
-                                    style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "8px 20px", color: "#a78bfa", cursor: "pointer", fontFamily: "inherit", fontSize: 12 }}>التالي →</button>
-                                </div>
                               </div>
-                            )}
+                              <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+                                {wordBank.map(item => (
+                                  <div key={entryKey(item)} style={{ background: "rgba(124,58,237,0.07)", border: "1px solid rgba(124,58,237,0.15)", borderRadius: 10, padding: "10px 12px", display: "flex", alignItems: item.sentence ? "flex-start" : "center", gap: 10 }}>
+                                    <div style={{ flex: 1 }}>
+                                      <div lang={item.sourceLang} dir="auto" style={{ fontSize: 14, color: "#e2e0ff", fontWeight: 700 }}>{item.word}</div>
+                                      <div style={{ fontSize: 12, color: "#a78bfa", marginTop: 2 }}>{item.translationPending && <span title={t("offline.pendingWord")}>⏳ </span>}<bdi lang={item.lang}>{item.translation}</bdi></div>
+                                      {item.tags?.length > 0 && (
+                                        <div style={{ display: "flex", flexWrap: "wrap", gap: 4, marginTop: 4 }}>
+                                          {item.tags.map(tag => <bdi key={tag} style={{ fontSize: 9, color: "#fbbf24", background: "rgba(251,191,36,0.08)", borderRadius: 8, padding: "1px 6px" }}>#{tag}</bdi>)}
+                                        </div>
+                                      )}
+                                      {item.sentence && <ContextSentence sentence={item.sentence} word={item.word} lang={item.sourceLang} style={{ marginTop: 6 }} />}
+                                      {item.sessionName && <div style={{ fontSize: 9, color: "#374151", marginTop: 4 }}>🎬 <bdi>{item.sessionName}</bdi></div>}
+                                      {item.pronunciation?.length > 0 && (
+                                        <div style={{ fontSize: 9, color: "#fbbf24", marginTop: 4 }}>
+                                          {t("words.pronunciation", { last: item.pronunciation.at(-1).score, best: Math.max(...item.pronunciation.map(p => p.score)), count: item.pronunciation.length })}
+                                        </div>
+                                      )}
+                                    </div>
+                                    {canPlayClip(item) && (
+                                      <button onClick={() => playClip(item.start, item.end)} title={t("words.playClip")} style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "5px 8px", cursor: "pointer", fontSize: 14 }}>▶️</button>
+                                    )}
+                                    <button onClick={() => speakWord(item.word, item.sourceLang)} aria-label={t("common.speak")} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 8, padding: "5px 8px", cursor: "pointer", fontSize: 14 }}>🔊</button>
+                                    {!deck.shared && <button onClick={() => tagWord(entryKey(item))} title={t("words.tags")} style={{ background: "transparent", border: "none", color: "#4b5563", cursor: "pointer", fontSize: 13, padding: "0 2px" }}>🏷</button>}
+                                    {!deck.shared && <button onClick={() => removeWord(entryKey(item))} aria-label={t("words.remove")} style={{ background: "transparent", border: "none", color: "#374151", cursor: "pointer", fontSize: 16, padding: "0 2px" }}>✕</button>}
+                                  </div>
+                                ))}
+                              </div>
+                            </>
+                          )}
+                        </div>
+                      )}
+
+                      {/* PROGRESS */}
+                      {activeTab === "progress" && (
+                        <div style={{ height: 500, overflowY: "auto", padding: "16px", scrollbarWidth: "thin", scrollbarColor: "rgba(124,58,237,0.3) transparent" }}>
+                          <ProgressDashboard log={activity} onExport={() => downloadFile(exportActivity(activity), "polyglot-activity.json", "application/json")} />
+                        </div>
+                      )}
+
+                      {/* QUIZ */}
+                      {activeTab === "quiz" && (
+                        <div style={{ height: 500, overflowY: "auto", padding: "20px 16px" }}>
+                          {/* Mode toggle */}
+                          <div role="group" aria-label={t("quiz.modes")} style={{ display: "flex", gap: 8, marginBottom: 16, justifyContent: "center", flexWrap: "wrap" }}>
+                            {[{ id: "flashcard", label: t("quiz.flashcards") }, { id: "quiz", label: t("quiz.multipleChoice") }, { id: "exercises", label: t("quiz.exercises") }].map(m => (
+                              <button key={m.id} onClick={() => { setQuizMode(m.id); setQuizFlipped(false); setQuizAnswer(null); setQuizHeld(null); }} aria-pressed={quizMode === m.id}
+                                style={{ background: quizMode === m.id ? "rgba(124,58,237,0.2)" : "transparent", border: `1px solid ${quizMode === m.id ? "rgba(124,58,237,0.5)" : "rgba(124,58,237,0.15)"}`, borderRadius: 20, padding: "6px 18px", color: quizMode === m.id ? "#c4b5fd" : "#4b5563", fontSize: 12, cursor: "pointer", fontFamily: "inherit" }}>
+                                {m.label}
+                              </button>
+                            ))}
+                          </div>
 
-                            {/* MULTIPLE CHOICE */}
-                            {quizMode === "quiz" && quizWord && (
-                              <div>
-                                <div style={{ textAlign: "center", marginBottom: 24 }}>
-                                  <div style={{ fontSize: 11, color: "#4b5563", marginBottom: 10 }}>ما معنى هذه الكلمة؟</div>
-                                  <div style={{ fontSize: 30, fontWeight: 800, color: "#c4b5fd", marginBottom: 8 }}>{quizWord.word}</div>
-                                  <button onClick={() => speakWord(quizWord.word)} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 8, padding: "4px 14px", cursor: "pointer", fontSize: 13, color: "#38bdf8" }}>🔊 نطق</button>
+                          {quizMode === "exercises" ? (
+                            transcript.length === 0 ? (
+                              <div style={{ padding: 40, textAlign: "center", color: "#374151" }}>
+                                <div style={{ fontSize: 32, marginBottom: 10 }}>🎬</div>
+                                <div style={{ fontSize: 12 }}>{t("quiz.noTranscript")}</div>
+                              </div>
+                            ) : (
+                              <TranscriptExercises key={sessionId} lines={transcript} lang={sourceLang} focus={exerciseFocus}
+                                canPlay={!!videoURL} onPlay={playClip} onSeek={seekToLine}
+                                onResult={r => logActivity({ type: "exercise", kind: r.type, score: r.score, sessionId })} />
+                            )
+                          ) : wordBank.length < 2 ? (
+                            <div style={{ padding: 40, textAlign: "center", color: "#374151" }}>
+                              <div style={{ fontSize: 32, marginBottom: 10 }}>🧠</div>
+                              <div style={{ fontSize: 12 }}>{t("quiz.needWords")}</div>
+                            </div>
+                          ) : (
+                            <>
+                              {/* Review counter */}
+                              <div style={{ textAlign: "center", fontSize: 11, color: "#4b5563", marginBottom: 20 }}>
+                                {t("quiz.dueToday", { count: dueToday })}
+                              </div>
+
+                              {!quizWord && (
+                                <div style={{ padding: 30, textAlign: "center", color: "#374151" }}>
+                                  <div style={{ fontSize: 32, marginBottom: 10 }}>🎉</div>
+                                  <div style={{ fontSize: 12 }}>{t("quiz.nothingDue")}</div>
+                                  {nextDue(wordBank) < Infinity && (
+                                    <div style={{ fontSize: 11, color: "#4b5563", marginTop: 6 }}>{t("quiz.nextReview", { date: new Date(nextDue(wordBank)).toLocaleString(uiLang) })}</div>
+                                  )}
                                 </div>
-                                <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-                                  {quizOptions.map((opt, i) => {
-                                    const isCorrect = opt.word === quizWord.word;
-                                    const isSelected = quizAnswer === i;
-                                    let bg = "rgba(124,58,237,0.07)", border = "rgba(124,58,237,0.18)", color = "#94a3b8";
-                                    if (quizAnswer !== null) {
-                                      if (isCorrect) { bg = "rgba(52,211,153,0.1)"; border = "rgba(52,211,153,0.4)"; color = "#34d399"; }
-                                      else if (isSelected) { bg = "rgba(251,113,133,0.1)"; border = "rgba(251,113,133,0.4)"; color = "#fb7185"; }
-                                    }
-                                    return (
-                                      <button key={i} onClick={() => { if (quizAnswer === null) setQuizAnswer(i); }}
-                                        style={{ background: bg, border: `1px solid ${border}`, borderRadius: 10, padding: "12px 16px", color, cursor: quizAnswer === null ? "pointer" : "default", fontFamily: "inherit", fontSize: 13, textAlign: "left", transition: "all 0.2s" }}>
-                                        {opt.translation}
-                                      </button>
-                                    );
-                                  })}
+                              )}
+
+                              {/* FLASHCARD */}
+                              {quizMode === "flashcard" && quizWord && (
+                                <div style={{ textAlign: "center" }}>
+                                  <div role="button" tabIndex={0} aria-pressed={quizFlipped} aria-keyshortcuts="Space" onClick={() => setQuizFlipped(!quizFlipped)}
+                                    onKeyDown={e => { if (e.key === "Enter" && e.target === e.currentTarget) setQuizFlipped(!quizFlipped); }}
+                                    style={{ background: quizFlipped ? "rgba(52,211,153,0.08)" : "rgba(124,58,237,0.08)", border: `1px solid ${quizFlipped ? "rgba(52,211,153,0.3)" : "rgba(124,58,237,0.25)"}`, borderRadius: 16, padding: "40px 24px", cursor: "pointer", transition: "all 0.3s", marginBottom: 20, minHeight: 160, display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 10 }}>
+                                    <div style={{ fontSize: 10, color: "#4b5563", letterSpacing: "0.12em" }}>{quizFlipped ? t("quiz.translation") : t("quiz.reveal")}</div>
+                                    <div lang={quizFlipped ? quizWord.lang : quizWord.sourceLang} dir="auto" style={{ fontSize: 30, fontWeight: 800, color: quizFlipped ? "#34d399" : "#c4b5fd" }}>
+                                      {quizFlipped ? quizWord.translation : quizWord.word}
+                                    </div>
+                                    {quizWord.sentence && <ContextSentence sentence={quizWord.sentence} word={quizWord.word} lang={quizWord.sourceLang} style={{ fontSize: 12, maxWidth: 360 }} />}
+                                    {canPlayClip(quizWord) && (
+                                      <button onClick={e => { e.stopPropagation(); playClip(quizWord.start, quizWord.end); }}
+                                        style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "4px 14px", cursor: "pointer", fontSize: 12, color: "#a78bfa", fontFamily: "inherit" }}>{t("quiz.clip")}</button>
+                                    )}
+                                    {!quizFlipped && (
+                                      <button onClick={e => { e.stopPropagation(); speakWord(quizWord.word, quizWord.sourceLang); }} aria-label={t("common.speak")}
+                                        style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 8, padding: "4px 14px", cursor: "pointer", fontSize: 14, color: "#38bdf8" }}>🔊</button>
+                                    )}
+                                  </div>
+                                  <PronunciationCheck key={quizWord.word} recognizer={recognizer} expected={quizWord.word} lang={quizWord.sourceLang || "en"}
+                                    onScore={r => recordPronunciation(quizKey, r)} style={{ alignItems: "center", marginBottom: 16 }} />
+                                  {quizFlipped && (
+                                    <div style={{ display: "flex", gap: 8, justifyContent: "center", marginBottom: 16 }}>
+                                      {GRADE_BUTTONS.map((g, i) => (
+                                        <button key={g.grade} onClick={() => reviewWord(quizKey, g.grade)} aria-keyshortcuts={String(i + 1)}
+                                          style={{ background: `${g.color}1a`, border: `1px solid ${g.color}66`, borderRadius: 8, padding: "7px 14px", color: g.color, cursor: "pointer", fontFamily: "inherit", fontSize: 12 }}>
+                                          {t(g.label)}
+                                        </button>
+                                      ))}
+                                    </div>
+                                  )}
+                                  <div style={{ display: "flex", gap: 10, justifyContent: "center", alignItems: "center" }}>
+                                    <button onClick={() => { setQuizIndex(i => Math.max(i - 1, 0)); setQuizFlipped(false); }}
+                                      style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "8px 20px", color: "#a78bfa", cursor: "pointer", fontFamily: "inherit", fontSize: 12 }}>{t("quiz.previous")}</button>
+                                    <span style={{ fontSize: 11, color: "#4b5563" }}>{(quizIndex % dueQueue.length) + 1} / {dueQueue.length}</span>
+                                    <button onClick={() => { setQuizIndex(i => i + 1); setQuizFlipped(false); }}
+                                      style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "8px 20px", color: "#a78bfa", cursor: "pointer", fontFamily: "inherit", fontSize: 12 }}>{t("quiz.next")}</button>
+                                  </div>
+                                  <div style={{ fontSize: 9, color: "#374151", marginTop: 12 }}>{t("quiz.flashcardKeys")}</div>
                                 </div>
-                                {quizAnswer !== null && (
-                                  <button onClick={() => { setQuizIndex(i => i + 1); setQuizAnswer(null); }}
-                                    style={{ marginTop: 16, width: "100%", background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 10, padding: "11px", color: "#fff", cursor: "pointer", fontFamily: "inherit", fontSize: 13, fontWeight: 700, boxShadow: "0 0 20px rgba(124,58,237,0.3)" }}>
-                                    السؤال التالي →
-                                  </button>
-                                )}
-                              </div>
-                            )}
-                          </>
-                        )}
-                      </div>
-                    )}
-                  </GlowCard>
+                              )}
+
+                              {/* MULTIPLE CHOICE */}
+                              {quizMode === "quiz" && quizWord && (
+                                <div>
+                                  <div style={{ textAlign: "center", marginBottom: 24 }}>
+                                    <div id="quiz-question" style={{ fontSize: 11, color: "#4b5563", marginBottom: 10 }}>{t("quiz.question")}</div>
+                                    <div lang={quizWord.sourceLang} dir="auto" style={{ fontSize: 30, fontWeight: 800, color: "#c4b5fd", marginBottom: 8 }}>{quizWord.word}</div>
+                                    <button onClick={() => speakWord(quizWord.word, quizWord.sourceLang)} style={{ background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 8, padding: "4px 14px", cursor: "pointer", fontSize: 13, color: "#38bdf8" }}>{t("common.speak")}</button>
+                                  </div>
+                                  <div role="group" aria-labelledby="quiz-question" style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                                    {quizOptions.map((opt, i) => {
+                                      const isCorrect = entryKey(opt) === quizKey;
+                                      const isSelected = quizAnswer === i;
+                                      let bg = "rgba(124,58,237,0.07)", border = "rgba(124,58,237,0.18)", color = "#94a3b8";
+                                      if (quizAnswer !== null) {
+                                        if (isCorrect) { bg = "rgba(52,211,153,0.1)"; border = "rgba(52,211,153,0.4)"; color = "#34d399"; }
+                                        else if (isSelected) { bg = "rgba(251,113,133,0.1)"; border = "rgba(251,113,133,0.4)"; color = "#fb7185"; }
+                                      }
+                                      return (
+                                        <button key={i} onClick={() => answerQuiz(i)} lang={opt.lang} dir="auto" aria-keyshortcuts={String(i + 1)}
+                                          aria-pressed={isSelected} aria-disabled={quizAnswer !== null}
+                                          style={{ background: bg, border: `1px solid ${border}`, borderRadius: 10, padding: "12px 16px", color, cursor: quizAnswer === null ? "pointer" : "default", fontFamily: "inherit", fontSize: 13, textAlign: "start", transition: "all 0.2s" }}>
+                                          <span aria-hidden="true" style={{ opacity: 0.5, marginInlineEnd: 10 }}>{i + 1}</span>
+                                          {opt.translation}
+                                        </button>
+                                      );
+                                    })}
+                                  </div>
+                                  {quizAnswer !== null && (
+                                    <button onClick={nextQuestion} autoFocus
+                                      style={{ marginTop: 16, width: "100%", background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 10, padding: "11px", color: "#fff", cursor: "pointer", fontFamily: "inherit", fontSize: 13, fontWeight: 700, boxShadow: "0 0 20px rgba(124,58,237,0.3)" }}>
+                                      {t("quiz.nextQuestion")}
+                                    </button>
+                                  )}
+                                  <div style={{ fontSize: 9, color: "#374151", marginTop: 12, textAlign: "center" }}>{t("quiz.choiceKeys")}</div>
+                                </div>
+                              )}
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </GlowCard>
+                  </div>
                 </div>
-              </div>
-            </>
-          )}
+              </>
+            )}
+          </div>
         </div>
-      </div>
 
-      {/* ── POPUP ── */}
-      {popup && (
-        <div onClick={e => e.stopPropagation()} style={{ position: "fixed", left: Math.min(Math.max(popup.x, 10), window.innerWidth - 250), top: Math.min(popup.y, window.innerHeight - 180), zIndex: 9999, background: "rgba(8,4,20,0.97)", border: "1px solid rgba(124,58,237,0.45)", borderRadius: 14, padding: "16px 18px", width: 240, boxShadow: "0 0 40px rgba(124,58,237,0.25), 0 20px 50px rgba(0,0,0,0.9)", backdropFilter: "blur(20px)", animation: "fadeUp 0.15s ease" }}>
-          <div style={{ fontSize: 18, fontWeight: 800, color: "#e2e0ff", marginBottom: 8 }}>{popup.word}</div>
-          <div style={{ height: 1, background: "linear-gradient(90deg,#7c3aed,transparent)", marginBottom: 12 }} />
-          {popup.translation === null ? (
-            <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-              <div style={{ width: 14, height: 14, borderRadius: "50%", border: "2px solid #7c3aed", borderTopColor: "transparent", animation: "spin 0.7s linear infinite" }} />
-              <span style={{ fontSize: 12, color: "#4b5563" }}>جاري الترجمة...</span>
+        <div role="status" style={SR_ONLY}>{announcement}</div>
+
+        {/* ── POPUP ── */}
+        {popup && (
+          <div ref={popupRef} role="dialog" aria-labelledby="word-popup-title" tabIndex={-1}
+            onClick={e => e.stopPropagation()} onKeyDown={handlePopupKey} style={{ outline: "none", position: "fixed", left: Math.min(Math.max(popup.x, 10), window.innerWidth - 250), top: Math.min(popup.y, window.innerHeight - (popup.showSentence ? 360 : 240)), zIndex: 9999, background: "rgba(8,4,20,0.97)", border: "1px solid rgba(124,58,237,0.45)", borderRadius: 14, padding: "16px 18px", width: 240, boxShadow: "0 0 40px rgba(124,58,237,0.25), 0 20px 50px rgba(0,0,0,0.9)", backdropFilter: "blur(20px)", animation: "fadeUp 0.15s ease" }}>
+            <div style={{ display: "flex", alignItems: "flex-start", gap: 8, marginBottom: 8 }}>
+              <div id="word-popup-title" lang={sourceLang} dir={textDirection(sourceLang)} style={{ flex: 1, fontSize: 18, fontWeight: 800, color: "#e2e0ff" }}>{popup.word}</div>
+              <button onClick={closePopup} aria-label={t("common.close")} style={{ background: "transparent", border: "none", color: "#4b5563", cursor: "pointer", fontSize: 14, padding: "0 2px" }}>✕</button>
             </div>
-          ) : (
-            <>
-              <div style={{ fontSize: 15, color: "#a78bfa", fontWeight: 700, marginBottom: 12 }}>{popup.translation}</div>
-              <div style={{ display: "flex", gap: 8 }}>
-                <button onClick={() => speakWord(popup.word)} style={{ flex: 1, background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.25)", borderRadius: 8, padding: "7px", cursor: "pointer", fontSize: 14, color: "#38bdf8" }}>🔊 نطق</button>
-                <button onClick={() => { saveWord(popup.word); setPopup(null); }}
-                  style={{ flex: 1, background: wordBank.find(w => w.word === popup.word.toLowerCase()) ? "rgba(52,211,153,0.1)" : "rgba(167,139,250,0.1)", border: `1px solid ${wordBank.find(w => w.word === popup.word.toLowerCase()) ? "rgba(52,211,153,0.35)" : "rgba(167,139,250,0.3)"}`, borderRadius: 8, padding: "7px", cursor: "pointer", fontSize: 11, color: wordBank.find(w => w.word === popup.word.toLowerCase()) ? "#34d399" : "#a78bfa", fontFamily: "inherit" }}>
-                  {wordBank.find(w => w.word === popup.word.toLowerCase()) ? "✓ محفوظة" : "+ احفظ"}
-                </button>
+            <div style={{ height: 1, background: "linear-gradient(90deg,#7c3aed,transparent)", marginBottom: 12 }} />
+            {popup.translation === null ? (
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <div style={{ width: 14, height: 14, borderRadius: "50%", border: "2px solid #7c3aed", borderTopColor: "transparent", animation: "spin 0.7s linear infinite" }} />
+                <span style={{ fontSize: 12, color: "#4b5563" }}>{t("popup.translating")}</span>
               </div>
-            </>
-          )}
-        </div>
-      )}
+            ) : (
+              <>
+                {popup.error
+                  ? <div style={{ fontSize: 12, color: "#fb7185", marginBottom: 12 }}>{t("popup.failed", { message: popup.error })}</div>
+                  : <div lang={targetLang} dir={textDirection(targetLang)} style={{ fontSize: 15, color: "#a78bfa", fontWeight: 700, marginBottom: 12 }}>{popup.translation}</div>}
+                <div style={{ display: "flex", gap: 8 }}>
+                  <button onClick={() => speakWord(popup.word, sourceLang)} style={{ flex: 1, background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.25)", borderRadius: 8, padding: "7px", cursor: "pointer", fontSize: 14, color: "#38bdf8" }}>{t("common.speak")}</button>
+                  <button onClick={() => { saveWord(popup.word, popup.lineIndex); closePopup(); }} aria-keyshortcuts="S"
+                    style={{ flex: 1, background: findSaved(popup.word) ? "rgba(52,211,153,0.1)" : "rgba(167,139,250,0.1)", border: `1px solid ${findSaved(popup.word) ? "rgba(52,211,153,0.35)" : "rgba(167,139,250,0.3)"}`, borderRadius: 8, padding: "7px", cursor: "pointer", fontSize: 11, color: findSaved(popup.word) ? "#34d399" : "#a78bfa", fontFamily: "inherit" }}>
+                    {findSaved(popup.word) ? t("popup.saved") : t("popup.save")}
+                  </button>
+                </div>
+                <PronunciationCheck key={popup.word} recognizer={recognizer} expected={popup.word} lang={sourceLang}
+                  onScore={r => findSaved(popup.word) && recordPronunciation(entryKey(findSaved(popup.word)), r)} style={{ marginTop: 8 }} />
+                {popup.lineIndex != null && transcript[popup.lineIndex] && (
+                  popup.showSentence ? (
+                    <div style={{ marginTop: 12, paddingTop: 10, borderTop: "1px solid rgba(124,58,237,0.2)" }}>
+                      <div lang={sourceLang} dir={textDirection(sourceLang)} style={{ fontSize: 11, color: "#94a3b8", lineHeight: 1.6, marginBottom: 6 }}>{transcript[popup.lineIndex].text}</div>
+                      <div lang={targetLang} dir={textDirection(targetLang)} style={{ fontSize: 12, color: popup.sentenceError ? "#fb7185" : "#a78bfa", lineHeight: 1.6 }}>
+                        {popup.sentenceError ? t("popup.failed", { message: popup.sentenceError }) : lineTranslation(transcript[popup.lineIndex].text) ?? t("popup.translating")}
+                      </div>
+                    </div>
+                  ) : (
+                    <button onClick={() => {
+                      setPopup(p => ({ ...p, showSentence: true }));
+                      translateSentence(transcript[popup.lineIndex].text).catch(err => setPopup(p => p && ({ ...p, sentenceError: err.message })));
+                    }}
+                      style={{ marginTop: 8, width: "100%", background: "transparent", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 8, padding: "6px", cursor: "pointer", fontSize: 11, color: "#a78bfa", fontFamily: "inherit" }}>
+                      {t("popup.translateSentence")}
+                    </button>
+                  )
+                )}
+              </>
+            )}
+          </div>
+        )}
 
-      <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Readex+Pro:wght@400;600;700;800&display=swap');
-        @keyframes fadeUp{from{opacity:0;transform:translateY(8px)}to{opacity:1;transform:translateY(0)}}
-        @keyframes spin{to{transform:rotate(360deg)}}
-        *{box-sizing:border-box;margin:0;padding:0}
-        ::-webkit-scrollbar{width:4px}
-        ::-webkit-scrollbar-track{background:transparent}
-        ::-webkit-scrollbar-thumb{background:rgba(124,58,237,0.3);border-radius:4px}
-        @media(max-width:900px){
-          div[style*="grid-template-columns: 1fr 1fr"]{grid-template-columns:1fr !important}
-        }
-      `}</style>
-    </div>
+        <style>{`
+          @import url('https://fonts.googleapis.com/css2?family=Readex+Pro:wght@400;600;700;800&display=swap');
+          @keyframes fadeUp{from{opacity:0;transform:translateY(8px)}to{opacity:1;transform:translateY(0)}}
+          @keyframes spin{to{transform:rotate(360deg)}}
+          @keyframes indeterminate{from{transform:translateX(-100%)}to{transform:translateX(340%)}}
+          *{box-sizing:border-box;margin:0;padding:0}
+          :focus-visible{outline:2px solid #38bdf8;outline-offset:2px}
+          .transcript-word:hover,.transcript-word:focus-visible{background:rgba(167,139,250,0.2) !important;color:#c4b5fd !important}
+          ::-webkit-scrollbar{width:4px}
+          ::-webkit-scrollbar-track{background:transparent}
+          ::-webkit-scrollbar-thumb{background:rgba(124,58,237,0.3);border-radius:4px}
+          @media(max-width:900px){
+            div[style*="grid-template-columns: 1fr 1fr"]{grid-template-columns:1fr !important}
+          }
+        `}</style>
+      </div>
+    </I18nContext>
   );
 }
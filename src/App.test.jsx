@@ -0,0 +1,213 @@
+// @vitest-environment jsdom
+import { File } from "node:buffer";
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import axe from "axe-core";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { newCard } from "./lib/scheduler.js";
+import App from "./App.jsx";
+
+// Renders the whole app in jsdom and drives it from the keyboard the way a
+// screen reader user would, checking each view with axe as it goes.
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+// jsdom has no object URLs, text tracks or media playback
+Object.assign(URL, { createObjectURL: () => "blob:test", revokeObjectURL: () => {} });
+Object.defineProperty(HTMLTrackElement.prototype, "track", { get() { return (this.textTrack ??= { mode: "disabled" }); } });
+Object.assign(HTMLMediaElement.prototype, { play: async () => {}, pause: () => {}, load: () => {} });
+
+const SUBTITLES = `WEBVTT
+
+00:00:01.000 --> 00:00:03.000
+Bonjour le monde
+
+00:00:04.000 --> 00:00:06.000
+Le chat dort
+`;
+
+// French words saved with Arabic translations, the app's default pair
+const WORDS = [["chat", "قطة"], ["chien", "كلب"], ["maison", "بيت"], ["pomme", "تفاحة"]];
+
+let container;
+let root;
+
+// Translations come back as "<word> (ar)"; everything else the app fetches fails
+function stubNetwork() {
+  vi.stubGlobal("fetch", vi.fn(async (url) => {
+    const q = new URL(url, location.href).searchParams.get("q");
+    if (!q) throw new TypeError("offline in tests");
+    return new Response(JSON.stringify({ responseStatus: 200, responseData: { translatedText: `${q} (ar)` } }), { headers: { "Content-Type": "application/json" } });
+  }));
+}
+
+function seedWordBank() {
+  const now = Date.now();
+  localStorage.setItem("polyglot_v3_vocabulary", JSON.stringify({
+    version: 3,
+    decks: [{ id: "default", name: "", createdAt: now }],
+    words: WORDS.map(([word, translation]) => ({ word, translation, lang: "ar", sourceLang: "fr", date: now, deck: "default", tags: [], ...newCard(now) })),
+  }));
+}
+
+// Every view but the upload screen needs a transcript, so load one from subtitles
+async function render() {
+  container = document.createElement("div");
+  document.body.append(container);
+  root = createRoot(container);
+  await act(async () => root.render(<App />));
+  await loadSubtitles();
+}
+
+async function settle() {
+  for (let i = 0; i < 5; i++) await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+}
+
+async function press(target, key) {
+  await act(async () => {
+    target.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true }));
+  });
+  await settle();
+}
+
+async function loadSubtitles() {
+  const input = container.querySelector("input[type=file]");
+  Object.defineProperty(input, "files", { value: [new File([SUBTITLES], "lesson.fr.vtt", { type: "text/vtt" })], configurable: true });
+  await act(async () => input.dispatchEvent(new Event("change", { bubbles: true })));
+  await settle();
+}
+
+async function openTab(name) {
+  const tab = [...container.querySelectorAll("[role=tab]")].find(t => t.textContent.includes(name));
+  await act(async () => tab.click());
+  await settle();
+  return tab;
+}
+
+const button = (text) => [...container.querySelectorAll("button")].find(b => b.textContent.includes(text));
+const transcriptWords = () => [...container.querySelectorAll("[data-word]")];
+const tabStops = (elements) => elements.filter(el => el.tabIndex === 0);
+const announced = () => container.querySelector("[role=status]").textContent;
+
+async function expectNoViolations() {
+  // jsdom can't compute colours
+  const { violations } = await axe.run(container, { rules: { "color-contrast": { enabled: false } } });
+  expect(violations.map(v => `${v.id}: ${v.nodes.map(n => n.target.join(" ")).join(", ")}`)).toEqual([]);
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  stubNetwork();
+  seedWordBank();
+});
+
+afterEach(async () => {
+  await act(async () => root.unmount());
+  container.remove();
+  vi.unstubAllGlobals();
+});
+
+describe("transcript", () => {
+  it("keeps one word in the tab order and moves it with the arrow keys", async () => {
+    await render();
+    const words = transcriptWords();
+    expect(words.map(w => w.textContent)).toEqual(["Bonjour", "le", "monde", "Le", "chat", "dort"]);
+    expect(tabStops(words)).toEqual([words[0]]);
+
+    words[0].focus();
+    await press(words[0], "ArrowRight");
+    expect(document.activeElement).toBe(words[1]);
+    expect(tabStops(transcriptWords())).toEqual([words[1]]);
+    await press(words[1], "ArrowDown");
+    expect(document.activeElement).toBe(words[3]);
+    await press(words[3], "End");
+    expect(document.activeElement).toBe(words[5]);
+    await press(words[5], "ArrowLeft");
+    expect(document.activeElement).toBe(words[4]);
+    await expectNoViolations();
+  });
+
+  it("opens the word popup with Enter and saves with S", async () => {
+    await render();
+    const monde = transcriptWords()[2];
+    monde.focus();
+    await press(monde, "Enter");
+    const dialog = container.querySelector("[role=dialog]");
+    expect(dialog).not.toBeNull();
+    expect(dialog.hasAttribute("aria-live")).toBe(false);
+    expect(document.activeElement).toBe(dialog);
+    await expectNoViolations();
+
+    await press(dialog, "Escape");
+    expect(container.querySelector("[role=dialog]")).toBeNull();
+    expect(document.activeElement).toBe(transcriptWords()[2]);
+
+    await press(transcriptWords()[2], "s");
+    expect(announced()).toContain("monde");
+    await openTab("Words");
+    expect(container.textContent).toContain("monde (ar)");
+  });
+
+  it("doesn't announce a save for a word that's already saved", async () => {
+    await render();
+    const chat = transcriptWords()[4];
+    chat.focus();
+    await press(chat, "S");
+    expect(announced()).toBe("");
+  });
+});
+
+describe("tabs", () => {
+  it("moves between tabs with the arrow keys", async () => {
+    await render();
+    const tabs = [...container.querySelectorAll("[role=tab]")];
+    expect(tabStops(tabs)).toEqual([tabs[0]]);
+    tabs[0].focus();
+    await press(tabs[0], "ArrowRight");
+    expect(document.activeElement).toBe(tabs[1]);
+    expect(tabs[1].getAttribute("aria-selected")).toBe("true");
+    await press(tabs[1], "End");
+    expect(document.activeElement).toBe(tabs.at(-1));
+    await press(tabs.at(-1), "ArrowRight");
+    expect(document.activeElement).toBe(tabs[0]);
+    await expectNoViolations();
+  });
+});
+
+describe("quiz", () => {
+  it("flips flashcards with Space and grades them with 1–4", async () => {
+    await render();
+    await openTab("Quiz");
+    const panel = container.querySelector("[role=tabpanel]");
+    panel.focus();
+    const first = panel.querySelector("[aria-pressed]").textContent;
+    await press(panel, " ");
+    expect(panel.querySelector("[role=button][aria-pressed]").getAttribute("aria-pressed")).toBe("true");
+    await expectNoViolations();
+    await press(panel, "3");
+    const card = panel.querySelector("[role=button][aria-pressed]");
+    expect(card.getAttribute("aria-pressed")).toBe("false");
+    expect(card.textContent).not.toBe(first);
+  });
+
+  it("answers multiple choice with 1–4 and moves on with Enter", async () => {
+    await render();
+    await openTab("Quiz");
+    await act(async () => button("Multiple choice").click());
+    await settle();
+    const panel = container.querySelector("[role=tabpanel]");
+    const options = () => [...panel.querySelectorAll("[aria-labelledby=quiz-question] button")];
+    expect(options()).toHaveLength(4);
+    const question = panel.querySelector("#quiz-question").nextElementSibling.textContent;
+    const right = options().findIndex(o => o.textContent.includes(Object.fromEntries(WORDS)[question]));
+    panel.focus();
+    await press(panel, String(right + 1));
+    expect(options()[right].getAttribute("aria-pressed")).toBe("true");
+    expect(announced()).toBe("Correct");
+    // Graded on answering, so the due count drops before moving on
+    expect(container.querySelector("#tab-quiz").textContent).toContain("(3)");
+    await expectNoViolations();
+    panel.focus();
+    await press(panel, "Enter");
+    expect(options().every(o => o.getAttribute("aria-pressed") === "false")).toBe(true);
+  });
+});
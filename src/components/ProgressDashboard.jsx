@@ -0,0 +1,123 @@
+import { useMemo } from "react";
+import { streaks, dailyStats, wordsByLanguage, hardestWords, watchTimeBySession, hasActivity } from "../lib/activity.js";
+import { useI18n } from "../lib/i18n/index.js";
+
+const scoreColor = (score) => (score >= 80 ? "#34d399" : score >= 50 ? "#fbbf24" : "#fb7185");
+
+const sectionTitle = { fontSize: 10, color: "#7c3aed", letterSpacing: "0.12em", fontWeight: 700, margin: "18px 0 10px" };
+
+function Stat({ value, label, color }) {
+  return (
+    <div style={{ flex: 1, background: `${color}0f`, border: `1px solid ${color}33`, borderRadius: 12, padding: "12px 8px", textAlign: "center" }}>
+      <div style={{ fontSize: 22, fontWeight: 800, color }}>{value}</div>
+      <div style={{ fontSize: 10, color: "#6b7280", marginTop: 2 }}>{label}</div>
+    </div>
+  );
+}
+
+// Bars for the last days; `value` picks the number, null leaves an empty slot.
+function DayBars({ days, value, max, color, format }) {
+  return (
+    <div style={{ display: "flex", alignItems: "flex-end", gap: 3, height: 70 }}>
+      {days.map(d => {
+        const v = value(d);
+        return (
+          <div key={d.day} title={`${d.day}: ${v == null ? "—" : format(v)}`} style={{ flex: 1, display: "flex", flexDirection: "column", alignItems: "center", gap: 3, height: "100%", justifyContent: "flex-end" }}>
+            <div style={{ width: "100%", height: `${v ? Math.max((v / max) * 100, 4) : 0}%`, background: typeof color === "function" ? color(v) : color, borderRadius: 3, opacity: 0.8 }} />
+            <div style={{ fontSize: 8, color: "#374151" }}>{Number(d.day.slice(-2))}</div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Streaks, accuracy over time, words per language, hardest words and watch time,
+// all derived from the local activity log.
+export default function ProgressDashboard({ log, onExport }) {
+  const { t } = useI18n();
+  const stats = useMemo(() => {
+    const days = dailyStats(log, 14);
+    return {
+      streak: streaks(log),
+      days,
+      languages: wordsByLanguage(log),
+      hardest: hardestWords(log),
+      sessions: watchTimeBySession(log).slice(0, 5),
+      maxMinutes: Math.max(...days.map(d => d.minutes), 1),
+    };
+  }, [log]);
+
+  if (!hasActivity(log)) {
+    return (
+      <div style={{ padding: 40, textAlign: "center", color: "#374151" }}>
+        <div style={{ fontSize: 32, marginBottom: 10 }}>📊</div>
+        <div style={{ fontSize: 12 }}>{t("progress.empty")}</div>
+      </div>
+    );
+  }
+
+  const { streak, days, languages, hardest, sessions, maxMinutes } = stats;
+  const today = days.at(-1);
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8 }}>
+        <Stat value={`🔥 ${streak.current}`} label={streak.activeToday ? t("progress.streak") : t("progress.streakPractice")} color="#fbbf24" />
+        <Stat value={streak.longest} label={t("progress.longest")} color="#a78bfa" />
+        <Stat value={today.minutes} label={t("progress.minutesToday")} color="#38bdf8" />
+      </div>
+
+      <div style={sectionTitle}>{t("progress.accuracy")}</div>
+      <DayBars days={days} value={d => d.accuracy} max={100} color={scoreColor} format={v => `${v}%`} />
+
+      <div style={sectionTitle}>{t("progress.watchMinutes")}</div>
+      <DayBars days={days} value={d => d.minutes || null} max={maxMinutes} color="#38bdf8" format={v => t("progress.minutes", { count: v })} />
+
+      {languages.length > 0 && (
+        <>
+          <div style={sectionTitle}>{t("progress.byLanguage")}</div>
+          {languages.map(l => (
+            <div key={l.lang} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 6 }}>
+              <span style={{ fontSize: 11, color: "#c4b5fd", width: 28, textTransform: "uppercase" }}>{l.lang}</span>
+              <div style={{ flex: 1, height: 6, background: "rgba(124,58,237,0.1)", borderRadius: 6 }}>
+                <div style={{ height: "100%", width: `${(l.count / languages[0].count) * 100}%`, background: "linear-gradient(90deg,#7c3aed,#38bdf8)", borderRadius: 6 }} />
+              </div>
+              <span style={{ fontSize: 11, color: "#6b7280", minWidth: 24 }}>{l.count}</span>
+            </div>
+          ))}
+        </>
+      )}
+
+      {hardest.length > 0 && (
+        <>
+          <div style={sectionTitle}>{t("progress.hardest")}</div>
+          {hardest.map(w => (
+            <div key={`${w.lang}|${w.word}`} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, padding: "4px 0", borderBottom: "1px solid rgba(124,58,237,0.06)" }}>
+              <span lang={w.lang} dir="auto" style={{ flex: 1, color: "#e2e0ff" }}>{w.word}</span>
+              <span style={{ fontSize: 10, color: "#4b5563" }}>{w.errors}/{w.attempts}</span>
+              <span style={{ fontSize: 11, color: "#fb7185", minWidth: 36 }}>{w.errorRate}%</span>
+            </div>
+          ))}
+        </>
+      )}
+
+      {sessions.length > 0 && (
+        <>
+          <div style={sectionTitle}>{t("progress.topSessions")}</div>
+          {sessions.map(s => (
+            <div key={s.sessionId} style={{ display: "flex", gap: 8, fontSize: 11, color: "#6b7280", padding: "3px 0" }}>
+              <span dir="auto" style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{s.name || s.sessionId}</span>
+              <span>{t("progress.minutes", { count: Math.round(s.ms / 60000) })}</span>
+            </div>
+          ))}
+        </>
+      )}
+
+      <button onClick={onExport}
+        style={{ marginTop: 20, width: "100%", background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.3)", borderRadius: 10, padding: "9px", color: "#a78bfa", fontSize: 12, cursor: "pointer", fontFamily: "inherit" }}>
+        {t("progress.export")}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useState, useRef, useEffect } from "react";
+import { scorePronunciation } from "../lib/pronunciation.js";
+import { speechLocale } from "../lib/text.js";
+import { useI18n } from "../lib/i18n/index.js";
+
+const STATUS_COLORS = { match: "#34d399", close: "#fbbf24", missed: "#fb7185" };
+
+const scoreColor = (score) => (score >= 80 ? "#34d399" : score >= 50 ? "#fbbf24" : "#fb7185");
+
+// Record button that listens, scores the attempt against `expected` and shows
+// the word-level result. `onScore` receives { score, words, heard }.
+export default function PronunciationCheck({ recognizer, expected, lang, onScore, style = {} }) {
+  const [state, setState] = useState("idle");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const session = useRef(null);
+  const mounted = useRef(true);
+  const { t } = useI18n();
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => { mounted.current = false; session.current?.cancel(); };
+  }, []);
+
+  if (!recognizer) return null;
+
+  const start = async (e) => {
+    e.stopPropagation();
+    if (state === "listening") { session.current?.stop(); return; }
+    setResult(null); setError("");
+    try {
+      session.current = await recognizer.start({ lang: speechLocale(lang) });
+      if (!mounted.current) { session.current.cancel(); return; }
+      setState("listening");
+      const { transcript } = await session.current.result;
+      session.current = null;
+      if (!mounted.current) return;
+      setState("idle");
+      // Silence isn't an attempt, so it isn't scored or recorded
+      if (!transcript) { setError(t("pronunciation.noSpeech")); return; }
+      const scored = { ...scorePronunciation(expected, transcript, lang), heard: transcript };
+      setResult(scored);
+      onScore?.(scored);
+    } catch (err) {
+      session.current = null;
+      if (!mounted.current) return;
+      setState("idle");
+      if (err.name !== "AbortError") setError(t("pronunciation.failed", { message: err.message }));
+    }
+  };
+
+  return (
+    <div onClick={e => e.stopPropagation()} style={{ display: "flex", flexDirection: "column", gap: 6, ...style }}>
+      <button onClick={start}
+        style={{ background: state === "listening" ? "rgba(251,113,133,0.15)" : "rgba(251,191,36,0.08)", border: `1px solid ${state === "listening" ? "rgba(251,113,133,0.5)" : "rgba(251,191,36,0.3)"}`, borderRadius: 8, padding: "6px 12px", cursor: "pointer", fontSize: 11, color: state === "listening" ? "#fb7185" : "#fbbf24", fontFamily: "inherit" }}>
+        {state === "listening" ? t("pronunciation.stop") : t("pronunciation.record")}
+      </button>
+      {error && <div style={{ fontSize: 10, color: "#fb7185" }}>{error}</div>}
+      {result && (
+        <div style={{ fontSize: 11, lineHeight: 1.7 }}>
+          <span style={{ fontWeight: 800, color: scoreColor(result.score), marginInlineEnd: 8 }}>{result.score}%</span>
+          <span lang={lang} dir="auto">
+            {result.words.map((w, i) => (
+              <span key={i} title={w.heard || ""} style={{ color: STATUS_COLORS[w.status], marginInlineEnd: 4 }}>{w.word}</span>
+            ))}
+          </span>
+          {result.heard && <div style={{ fontSize: 10, color: "#4b5563" }}>{t("pronunciation.heard", { text: result.heard })}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
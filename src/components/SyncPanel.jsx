@@ -0,0 +1,68 @@
+import { useState } from "react";
+import { useI18n } from "../lib/i18n/index.js";
+
+const inputStyle = { flex: 1, minWidth: 0, background: "rgba(0,0,0,0.25)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 6, padding: "5px 8px", color: "#e2e0ff", fontSize: 11, fontFamily: "inherit" };
+const buttonStyle = { background: "rgba(56,189,248,0.1)", border: "1px solid rgba(56,189,248,0.3)", borderRadius: 6, padding: "4px 10px", color: "#38bdf8", fontSize: 10, cursor: "pointer", fontFamily: "inherit" };
+
+// Sign-in form, or the signed-in account with its last sync. `onSignIn(mode,
+// username, password)` rejects with the server's message; `state` is
+// { status: "idle" | "syncing" | "error", error }.
+export default function SyncPanel({ account, state, onSignIn, onSignOut, onSync }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (mode) => {
+    setBusy(true); setError("");
+    try {
+      await onSignIn(mode, username, password);
+      setPassword(""); setOpen(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (account) {
+    return (
+      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginBottom: 10, fontSize: 10, color: "#4b5563" }}>
+        <span style={{ flex: 1 }}>
+          {t("sync.signedInAs", { name: account.username })} · {state.status === "syncing" ? t("sync.syncing")
+            : state.status === "error" ? <span style={{ color: "#fb7185" }}>{t("sync.failed", { message: state.error })}</span>
+            : account.syncedAt ? t("sync.lastSynced", { time: new Date(account.syncedAt).toLocaleTimeString() }) : t("sync.never")}
+        </span>
+        <button onClick={onSync} disabled={state.status === "syncing"} style={buttonStyle}>{t("sync.now")}</button>
+        <button onClick={onSignOut} style={{ ...buttonStyle, background: "transparent", color: "#6b7280", borderColor: "rgba(107,114,128,0.3)" }}>{t("sync.signOut")}</button>
+      </div>
+    );
+  }
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} style={{ ...buttonStyle, display: "block", width: "100%", marginBottom: 10, background: "transparent", borderStyle: "dashed" }}>
+        {t("sync.intro")}
+      </button>
+    );
+  }
+
+  return (
+    <form onSubmit={e => { e.preventDefault(); submit("login"); }}
+      style={{ background: "rgba(56,189,248,0.05)", border: "1px solid rgba(56,189,248,0.2)", borderRadius: 10, padding: 10, marginBottom: 10, display: "flex", flexDirection: "column", gap: 6 }}>
+      <div style={{ fontSize: 11, color: "#38bdf8", fontWeight: 700 }}>{t("sync.title")}</div>
+      <div style={{ display: "flex", gap: 6 }}>
+        <input value={username} onChange={e => setUsername(e.target.value)} placeholder={t("sync.username")} aria-label={t("sync.username")} autoComplete="username" dir="ltr" style={inputStyle} />
+        <input type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder={t("sync.password")} aria-label={t("sync.password")} autoComplete="current-password" dir="ltr" style={inputStyle} />
+      </div>
+      {error && <div role="alert" style={{ fontSize: 10, color: "#fb7185" }}>{error}</div>}
+      <div style={{ display: "flex", gap: 6, justifyContent: "flex-end" }}>
+        <button type="button" onClick={() => setOpen(false)} style={{ ...buttonStyle, background: "transparent", color: "#6b7280", borderColor: "rgba(107,114,128,0.3)" }}>{t("common.cancel")}</button>
+        <button type="button" onClick={() => submit("register")} disabled={busy} style={buttonStyle}>{t("sync.register")}</button>
+        <button type="submit" disabled={busy} style={{ ...buttonStyle, background: "rgba(56,189,248,0.2)" }}>{t("sync.signIn")}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,155 @@
+import { useState } from "react";
+import { generateExercises, checkDictation, checkScramble } from "../lib/exercises.js";
+import { useI18n } from "../lib/i18n/index.js";
+
+const STATUS_COLORS = { match: "#34d399", close: "#fbbf24", missed: "#fb7185" };
+
+const scoreColor = (score) => (score >= 80 ? "#34d399" : score >= 50 ? "#fbbf24" : "#fb7185");
+const clock = (ms) => `${String(Math.floor(ms / 60000)).padStart(2, "0")}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, "0")}`;
+
+const chip = (color) => ({ background: `${color}14`, border: `1px solid ${color}44`, borderRadius: 8, padding: "6px 12px", color, fontSize: 13, cursor: "pointer", fontFamily: "inherit" });
+const primary = { width: "100%", background: "linear-gradient(135deg,#7c3aed,#38bdf8)", border: "none", borderRadius: 10, padding: "11px", color: "#fff", cursor: "pointer", fontFamily: "inherit", fontSize: 13, fontWeight: 700 };
+
+// Cloze, dictation and word-order exercises generated from the transcript.
+// `onPlay(start, end)` plays a line's clip, `onSeek(line)` jumps the transcript to
+// it, and `onResult({ type, line, score })` reports each checked answer.
+export default function TranscriptExercises({ lines, lang, focus, canPlay, onPlay, onSeek, onResult }) {
+  const build = () => generateExercises(lines, lang, { focus, withAudio: canPlay });
+  const [exercises, setExercises] = useState(build);
+  const [index, setIndex] = useState(0);
+  const [scores, setScores] = useState([]);
+  const [choice, setChoice] = useState(null);
+  const [typed, setTyped] = useState("");
+  const [picked, setPicked] = useState([]);
+  const [result, setResult] = useState(null);
+  const { t } = useI18n();
+
+  const exercise = exercises[index];
+
+  const reset = (next) => { setChoice(null); setTyped(""); setPicked([]); setResult(null); setIndex(next); };
+  const restart = () => { setExercises(build()); setScores([]); reset(0); };
+
+  const finish = (checked) => {
+    setResult(checked);
+    setScores(s => { const out = [...s]; out[index] = checked.score; return out; });
+    onResult?.({ type: exercise.type, line: exercise.line, score: checked.score });
+  };
+
+  if (!exercises.length) {
+    return <div style={{ padding: 30, textAlign: "center", color: "#374151", fontSize: 12 }}>{t("exercises.tooShort")}</div>;
+  }
+
+  if (!exercise) {
+    const done = scores.filter(s => s != null);
+    const average = done.length ? Math.round(done.reduce((a, b) => a + b, 0) / done.length) : 0;
+    return (
+      <div style={{ textAlign: "center", padding: "20px 0" }}>
+        <div style={{ fontSize: 11, color: "#4b5563", marginBottom: 8 }}>{t("exercises.score")}</div>
+        <div style={{ fontSize: 40, fontWeight: 800, color: scoreColor(average), marginBottom: 16 }}>{average}%</div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 20 }}>
+          {exercises.map((ex, i) => (
+            <div key={i} style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 11, color: "#6b7280" }}>
+              <span style={{ flex: 1, textAlign: "start" }}>{t(`exercises.${ex.type}`)}</span>
+              <button onClick={() => onSeek(ex.line)} style={{ background: "transparent", border: "none", color: "#a78bfa", cursor: "pointer", fontSize: 11, fontFamily: "inherit" }}>⏱ {clock(ex.start)}</button>
+              <span style={{ color: scoreColor(scores[i] ?? 0), minWidth: 36 }}>{scores[i] ?? "—"}{scores[i] != null && "%"}</span>
+            </div>
+          ))}
+        </div>
+        <button onClick={restart} style={primary}>{t("exercises.restart")}</button>
+      </div>
+    );
+  }
+
+  const remaining = exercise.type === "scramble" ? exercise.tiles.filter(t => !picked.includes(t.id)) : [];
+
+  return (
+    <div>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 16 }}>
+        <span style={{ fontSize: 12, color: "#c4b5fd", fontWeight: 700, flex: 1 }}>{t(`exercises.${exercise.type}`)}</span>
+        <button onClick={() => onSeek(exercise.line)} title={t("exercises.goToLine")}
+          style={{ background: "transparent", border: "1px solid rgba(124,58,237,0.2)", borderRadius: 6, padding: "2px 8px", color: "#a78bfa", fontSize: 10, cursor: "pointer", fontFamily: "inherit" }}>⏱ {clock(exercise.start)}</button>
+        {canPlay && (
+          <button onClick={() => onPlay(exercise.start, exercise.end)}
+            style={{ background: "rgba(124,58,237,0.1)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 6, padding: "2px 10px", color: "#a78bfa", fontSize: 11, cursor: "pointer" }}>▶️</button>
+        )}
+        <span style={{ fontSize: 11, color: "#4b5563" }}>{index + 1} / {exercises.length}</span>
+      </div>
+
+      {exercise.type === "cloze" && (
+        <>
+          <p lang={lang} dir="auto" style={{ fontSize: 15, lineHeight: 1.9, color: "#e2e0ff", margin: "0 0 18px" }}>
+            {exercise.before}
+            <span style={{ display: "inline-block", minWidth: 70, borderBottom: `2px solid ${result ? scoreColor(result.score) : "#7c3aed"}`, textAlign: "center", color: result ? scoreColor(result.score) : "transparent" }}>
+              {result ? exercise.answer : "_"}
+            </span>
+            {exercise.after}
+          </p>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8 }}>
+            {exercise.options.map(opt => {
+              const color = !result ? "#94a3b8" : opt === exercise.answer ? "#34d399" : opt === choice ? "#fb7185" : "#4b5563";
+              return (
+                <button key={opt} lang={lang} disabled={!!result}
+                  onClick={() => { setChoice(opt); finish({ score: opt === exercise.answer ? 100 : 0 }); }}
+                  style={{ ...chip(color), cursor: result ? "default" : "pointer" }}>
+                  {opt}
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {exercise.type === "dictation" && (
+        <>
+          <div style={{ fontSize: 11, color: "#4b5563", marginBottom: 8 }}>{t("exercises.listen")}</div>
+          <textarea value={typed} onChange={e => setTyped(e.target.value)} disabled={!!result} lang={lang} dir="auto" rows={3}
+            style={{ width: "100%", boxSizing: "border-box", resize: "vertical", background: "rgba(0,0,0,0.2)", border: "1px solid rgba(124,58,237,0.25)", borderRadius: 10, padding: "10px 12px", color: "#e2e0ff", fontSize: 14, lineHeight: 1.6, fontFamily: "inherit", marginBottom: 12 }} />
+          {result ? (
+            <div lang={lang} dir="auto" style={{ fontSize: 14, lineHeight: 1.9, marginBottom: 6 }}>
+              {result.words.map((w, i) => (
+                <span key={i} style={{ color: STATUS_COLORS[w.status], marginInlineEnd: 6, textDecoration: w.status === "missed" ? "underline dotted" : "none" }}
+                  title={w.status === "close" ? w.heard : undefined}>{w.word}</span>
+              ))}
+              <span style={{ fontSize: 12, fontWeight: 700, color: scoreColor(result.score) }}> {result.score}%</span>
+            </div>
+          ) : (
+            <button onClick={() => finish(checkDictation(exercise, typed, lang))} disabled={!typed.trim()} style={{ ...primary, opacity: typed.trim() ? 1 : 0.5 }}>{t("exercises.check")}</button>
+          )}
+        </>
+      )}
+
+      {exercise.type === "scramble" && (
+        <>
+          <div lang={lang} dir="auto" style={{ minHeight: 44, display: "flex", flexWrap: "wrap", gap: 6, padding: 8, border: "1px dashed rgba(124,58,237,0.3)", borderRadius: 10, marginBottom: 12 }}>
+            {picked.map((id, i) => {
+              const color = result ? (result.correct[i] ? "#34d399" : "#fb7185") : "#c4b5fd";
+              return (
+                <button key={id} disabled={!!result} onClick={() => setPicked(p => p.filter(x => x !== id))} style={chip(color)}>
+                  {exercise.tiles.find(t => t.id === id).text}
+                </button>
+              );
+            })}
+          </div>
+          <div lang={lang} dir="auto" style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 14 }}>
+            {remaining.map(t => (
+              <button key={t.id} onClick={() => setPicked(p => [...p, t.id])} style={chip("#94a3b8")}>{t.text}</button>
+            ))}
+          </div>
+          {result ? (
+            <div lang={lang} dir="auto" style={{ fontSize: 13, color: "#6b7280", marginBottom: 6 }}>
+              {exercise.text} <span style={{ fontWeight: 700, color: scoreColor(result.score) }}>{result.score}%</span>
+            </div>
+          ) : (
+            <button onClick={() => finish(checkScramble(exercise, picked))} disabled={remaining.length > 0} style={{ ...primary, opacity: remaining.length ? 0.5 : 1 }}>{t("exercises.check")}</button>
+          )}
+        </>
+      )}
+
+      {result && (
+        <button onClick={() => reset(index + 1)} style={{ ...primary, marginTop: 16 }}>
+          {index + 1 < exercises.length ? t("exercises.next") : t("exercises.showScore")}
+        </button>
+      )}
+    </div>
+  );
+}
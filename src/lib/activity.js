@@ -0,0 +1,137 @@
+// Local learning-activity log and the statistics the dashboard derives from it.
+// Events are { type, at, ... }:
+//   save     { word, lang }                    a word added to the word bank
+//   review   { word, lang, grade, correct }    a flashcard graded
+//   quiz     { word, lang, correct }           a multiple-choice answer
+//   exercise { kind, score, sessionId }        a transcript exercise checked (score 0–100)
+//   watch    { sessionId, sessionName, ms }    playback time, flushed in chunks
+//
+// The log is { events, archive }: the latest MAX_EVENTS events, plus per-day,
+// per-word and per-session totals of the older ones, so trimming never changes a
+// statistic.
+
+const STORAGE_KEY = "polyglot_activity";
+const MAX_EVENTS = 5000;
+const DAY = 24 * 60 * 60 * 1000;
+
+const emptyArchive = () => ({ days: {}, words: {}, sessions: {} });
+
+export const emptyActivity = () => ({ events: [], archive: emptyArchive() });
+
+// Adds `events` to a copy of the totals in `archive`.
+function fold(archive, events) {
+  const { days, words, sessions } = structuredClone(archive);
+  for (const e of events) {
+    const day = days[dayKey(e.at)] ??= { events: 0, answers: 0, credit: 0, saved: 0, watchMs: 0 };
+    day.events++;
+    if (isAnswer(e)) { day.answers++; day.credit += answerCredit(e); }
+    if (e.type === "save" || e.type === "review" || e.type === "quiz") {
+      const word = words[`${e.lang}|${e.word}`] ??= { word: e.word, lang: e.lang, saved: false, attempts: 0, errors: 0 };
+      if (e.type === "save") { day.saved++; word.saved = true; }
+      else { word.attempts++; if (!e.correct) word.errors++; }
+    }
+    if (e.type === "watch") {
+      day.watchMs += e.ms;
+      const session = sessions[e.sessionId] ??= { sessionId: e.sessionId, name: e.sessionName, ms: 0 };
+      session.ms += e.ms;
+      if (e.sessionName) session.name = e.sessionName;
+    }
+  }
+  return { days, words, sessions };
+}
+
+const totals = (log) => fold(log.archive, log.events);
+
+// Moves events beyond MAX_EVENTS into the archive.
+function trim(log) {
+  if (log.events.length <= MAX_EVENTS) return log;
+  const cut = log.events.length - MAX_EVENTS;
+  return { events: log.events.slice(cut), archive: fold(log.archive, log.events.slice(0, cut)) };
+}
+
+// Logs saved as a bare array predate the archive.
+export function loadActivity() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (Array.isArray(stored)) return trim({ events: stored, archive: emptyArchive() });
+    if (Array.isArray(stored?.events)) return trim({ events: stored.events, archive: { ...emptyArchive(), ...stored.archive } });
+  } catch { /* start empty */ }
+  return emptyActivity();
+}
+
+export function saveActivity(log) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(log));
+}
+
+export function appendActivity(log, event) {
+  return trim({ ...log, events: [...log.events, { at: Date.now(), ...event }] });
+}
+
+export const hasActivity = (log) => log.events.length > 0 || Object.keys(log.archive.days).length > 0;
+
+// Local-time calendar day, e.g. "2026-03-14".
+export function dayKey(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// Calendar arithmetic rather than `now - i * DAY`, which drifts across DST changes.
+const daysAgo = (now, i) => { const d = new Date(now); d.setDate(d.getDate() - i); return d.getTime(); };
+
+const isAnswer = (e) => e.type === "review" || e.type === "quiz" || e.type === "exercise";
+const answerCredit = (e) => (e.type === "exercise" ? e.score / 100 : e.correct ? 1 : 0);
+
+// Current and longest run of consecutive days with any activity. Today not being
+// done yet doesn't break the current streak.
+export function streaks(log, now = Date.now()) {
+  const days = new Set(Object.keys(totals(log).days));
+  let longest = 0, run = 0, prev = null;
+  [...days].sort().forEach(key => {
+    const t = new Date(`${key}T12:00:00`).getTime();
+    run = prev != null && Math.round((t - prev) / DAY) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    prev = t;
+  });
+  let current = 0;
+  let offset = days.has(dayKey(now)) ? 0 : 1;
+  while (days.has(dayKey(daysAgo(now, offset)))) { current++; offset++; }
+  return { current, longest, activeToday: days.has(dayKey(now)) };
+}
+
+// One entry per day for the last `days` days: answers, accuracy (0–100 or null),
+// words saved and minutes watched.
+export function dailyStats(log, days = 14, now = Date.now()) {
+  const recorded = totals(log).days;
+  const result = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const day = dayKey(daysAgo(now, i));
+    const { answers = 0, credit = 0, saved = 0, watchMs = 0 } = recorded[day] || {};
+    result.push({ day, answers, credit, saved, watchMs, accuracy: answers ? Math.round((credit / answers) * 100) : null, minutes: Math.round(watchMs / 60000) });
+  }
+  return result;
+}
+
+// Words saved per source language, counting each word once.
+export function wordsByLanguage(log) {
+  const counts = {};
+  Object.values(totals(log).words).filter(w => w.saved).forEach(w => { counts[w.lang] = (counts[w.lang] || 0) + 1; });
+  return Object.entries(counts).map(([lang, count]) => ({ lang, count })).sort((a, b) => b.count - a.count);
+}
+
+// Words by error rate across reviews and quiz answers, with at least `minAttempts`.
+export function hardestWords(log, { minAttempts = 2, limit = 10 } = {}) {
+  return Object.values(totals(log).words)
+    .filter(s => s.attempts >= minAttempts && s.errors > 0)
+    .map(({ word, lang, attempts, errors }) => ({ word, lang, attempts, errors, errorRate: Math.round((errors / attempts) * 100) }))
+    .sort((a, b) => b.errorRate - a.errorRate || b.attempts - a.attempts)
+    .slice(0, limit);
+}
+
+// Minutes watched per session, most watched first.
+export function watchTimeBySession(log) {
+  return Object.values(totals(log).sessions).sort((a, b) => b.ms - a.ms);
+}
+
+export function exportActivity(log) {
+  return JSON.stringify({ version: 2, exportedAt: new Date().toISOString(), events: log.events, archive: log.archive }, null, 2);
+}
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { appendActivity, emptyActivity, loadActivity, streaks, dailyStats, wordsByLanguage, hardestWords, watchTimeBySession, hasActivity } from "./activity.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-03-20T12:00:00").getTime();
+
+// Twelve days of mixed activity, oldest first; more events than the log keeps.
+function history() {
+  const events = [];
+  for (let i = 0; i < 6000; i++) {
+    const at = NOW - 12 * DAY + Math.floor((i / 6000) * 12 * DAY);
+    const word = `w${i % 40}`;
+    const kind = i % 5;
+    if (kind === 0) events.push({ type: "save", word, lang: i % 3 ? "fr" : "es", at });
+    else if (kind === 1) events.push({ type: "review", word, lang: "fr", grade: 4, correct: i % 7 !== 0, at });
+    else if (kind === 2) events.push({ type: "quiz", word, lang: "fr", correct: i % 4 !== 0, at });
+    else if (kind === 3) events.push({ type: "exercise", kind: "cloze", score: 50, sessionId: "s1", at });
+    else events.push({ type: "watch", sessionId: `s${i % 3}`, sessionName: `Video ${i % 3}`, ms: 30_000, at });
+  }
+  return events;
+}
+
+const stats = (log) => ({
+  streaks: streaks(log, NOW),
+  daily: dailyStats(log, 14, NOW),
+  languages: wordsByLanguage(log),
+  hardest: hardestWords(log),
+  sessions: watchTimeBySession(log),
+});
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("activity log", () => {
+  it("keeps every statistic intact when old events are trimmed", () => {
+    const events = history();
+    const trimmed = events.reduce(appendActivity, emptyActivity());
+    expect(trimmed.events.length).toBeLessThan(events.length);
+    expect(stats(trimmed)).toEqual(stats({ events, archive: { days: {}, words: {}, sessions: {} } }));
+  });
+
+  it("migrates logs stored as a bare array", () => {
+    const events = [{ type: "save", word: "chat", lang: "fr", at: NOW }];
+    vi.stubGlobal("localStorage", { getItem: () => JSON.stringify(events) });
+    const log = loadActivity();
+    expect(log.events).toEqual(events);
+    expect(hasActivity(log)).toBe(true);
+    expect(wordsByLanguage(log)).toEqual([{ lang: "fr", count: 1 }]);
+  });
+
+  it("starts empty", () => {
+    vi.stubGlobal("localStorage", { getItem: () => null });
+    expect(hasActivity(loadActivity())).toBe(false);
+  });
+});
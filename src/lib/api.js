@@ -0,0 +1,116 @@
+import { loadAccount } from "./sync/index.js";
+
+// Client for the polyglot server (server/), which holds the AssemblyAI key. When the
+// server runs with TRANSCRIPTION_ACCESS=accounts these routes need the sync account's token.
+
+const API_URL = (import.meta.env.VITE_API_URL || "/api").replace(/\/$/, "");
+
+const authHeaders = () => {
+  const token = loadAccount()?.token;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+async function request(path, init = {}) {
+  const res = await fetch(`${API_URL}${path}`, { ...init, headers: { ...authHeaders(), ...init.headers } });
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+  return body;
+}
+
+// Raised when AssemblyAI reports the job itself failed, as opposed to a network error.
+export class TranscriptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TranscriptionError";
+  }
+}
+
+export const abortError = () => new DOMException("Cancelled", "AbortError");
+
+// XHR rather than fetch so upload progress is observable; onProgress gets 0–1.
+export function postWithProgress(url, body, { headers = {}, signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", url);
+    for (const [name, value] of Object.entries(headers)) xhr.setRequestHeader(name, value);
+    xhr.upload.onprogress = (e) => { if (e.lengthComputable) onProgress?.(e.loaded / e.total); };
+    xhr.onload = () => {
+      let body = {};
+      try { body = JSON.parse(xhr.responseText); } catch { /* non-JSON error page */ }
+      if (xhr.status >= 200 && xhr.status < 300) resolve(body);
+      else reject(new Error(body.error || `HTTP ${xhr.status}`));
+    };
+    xhr.onerror = () => reject(new Error("Network error during upload"));
+    xhr.onabort = () => reject(abortError());
+    signal?.addEventListener("abort", () => xhr.abort(), { once: true });
+    xhr.send(body);
+  });
+}
+
+export function uploadMedia(file, options = {}) {
+  return postWithProgress(`${API_URL}/upload`, file, {
+    ...options,
+    headers: { ...authHeaders(), "Content-Type": file.type || "application/octet-stream" },
+  });
+}
+
+// The server downloads the media itself; used for pasted and resolved URLs.
+export function uploadRemoteMedia(url, { signal } = {}) {
+  return request("/upload/remote", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url }),
+    signal,
+  });
+}
+
+// Resolves a pasted link to { title, mediaUrl, direct, captions: { lang, auto, text } | null };
+// `lang` is the caption language to fall back on when the video's own is unknown.
+export function resolveMedia(url, { lang, signal } = {}) {
+  return request("/resolve", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ url, lang }),
+    signal,
+  });
+}
+
+export function createTranscript(params, { signal } = {}) {
+  return request("/transcripts", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(params),
+    signal,
+  });
+}
+
+export function getTranscript(id, { signal } = {}) {
+  return request(`/transcripts/${encodeURIComponent(id)}`, { signal });
+}
+
+export function getSentences(id, { signal } = {}) {
+  return request(`/transcripts/${encodeURIComponent(id)}/sentences`, { signal });
+}
+
+export function deleteTranscript(id) {
+  return request(`/transcripts/${encodeURIComponent(id)}`, { method: "DELETE" });
+}
+
+// Removes its abort listener when the timer fires, so polling doesn't pile them up on one signal
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => { clearTimeout(t); reject(abortError()); };
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Polls until the job completes, reporting each status ("queued", "processing", …).
+export async function waitForTranscript(id, { interval = 3000, signal, onStatus } = {}) {
+  for (;;) {
+    const transcript = await getTranscript(id, { signal });
+    onStatus?.(transcript.status);
+    if (transcript.status === "completed") return transcript;
+    if (transcript.status === "error") throw new TranscriptionError(transcript.error || "Transcription failed");
+    await sleep(interval, signal);
+  }
+}
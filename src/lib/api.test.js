@@ -0,0 +1,41 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { waitForTranscript } from "./api.js";
+
+afterEach(() => vi.unstubAllGlobals());
+
+// Answers each poll with the next status in `statuses`.
+const stubStatuses = (statuses) => vi.stubGlobal("fetch", vi.fn(async () => new Response(JSON.stringify({ id: "t1", status: statuses.shift() }))));
+
+describe("waitForTranscript", () => {
+  it("doesn't leave an abort listener behind for each poll", async () => {
+    stubStatuses(["queued", "processing", "processing", "completed"]);
+    const { signal } = new AbortController();
+    let listeners = 0;
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, fn, opts) => { if (type === "abort") listeners++; add(type, fn, opts); };
+    signal.removeEventListener = (type, fn, opts) => { if (type === "abort") listeners--; remove(type, fn, opts); };
+    const seen = [];
+    const transcript = await waitForTranscript("t1", { interval: 1, signal, onStatus: s => seen.push(s) });
+    expect(transcript.status).toBe("completed");
+    expect(seen).toEqual(["queued", "processing", "processing", "completed"]);
+    expect(listeners).toBe(0);
+  });
+
+  it("stops polling when aborted", async () => {
+    stubStatuses(["queued", "queued"]);
+    const controller = new AbortController();
+    const pending = waitForTranscript("t1", { interval: 10_000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
+
+describe("requests", () => {
+  it("send the sync account's token", async () => {
+    vi.stubGlobal("localStorage", { getItem: () => JSON.stringify({ username: "ada", token: "tok" }) });
+    stubStatuses(["completed"]);
+    await waitForTranscript("t1", { interval: 1 });
+    expect(new Headers(fetch.mock.calls[0][1].headers).get("authorization")).toBe("Bearer tok");
+  });
+});
@@ -0,0 +1,39 @@
+// The app's IndexedDB database: saved sessions, the translation cache and the queue
+// of lookups made while offline. Each store is keyed by the property listed here.
+
+const DB_NAME = "polyglot";
+const DB_VERSION = 2;
+const STORES = { sessions: "id", translations: "key", lookupQueue: "key" };
+
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [name, keyPath] of Object.entries(STORES)) {
+          if (db.objectStoreNames.contains(name)) continue;
+          const store = db.createObjectStore(name, { keyPath });
+          if (name === "sessions") store.createIndex("updatedAt", "updatedAt");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+// Runs `fn(objectStore)` in a transaction and resolves to its request's result once committed.
+export async function run(storeName, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
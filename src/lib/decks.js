@@ -0,0 +1,56 @@
+import { mergeWordBanks } from "./vocab/index.js";
+
+// Named decks of word bank entries. Entries carry `deck` (a deck id) and `tags`;
+// everything is stored together under one localStorage key.
+
+const STORAGE_KEY = "polyglot_v3_vocabulary";
+// The flat list from before decks existed. It is read once and left in place.
+const LEGACY_KEY = "polyglot_v2_wordbank";
+
+export const DEFAULT_DECK_ID = "default";
+// What migrateWordBank used to name the default deck, whatever the interface language.
+const LEGACY_DEFAULT_NAME = "المجموعة الرئيسية";
+
+export function createDeck(name, now = Date.now()) {
+  return { id: `deck-${now.toString(36)}`, name, createdAt: now };
+}
+
+// Puts a pre-deck word bank into a single default deck, de-duplicated by word and
+// language. The deck stays unnamed so it shows under the interface language's name.
+export function migrateWordBank(entries, { name = "", now = Date.now() } = {}) {
+  const tagged = entries.map(e => ({ ...e, deck: DEFAULT_DECK_ID, tags: e.tags || [] }));
+  return {
+    version: 3,
+    decks: [{ id: DEFAULT_DECK_ID, name, createdAt: now }],
+    words: mergeWordBanks([], tagged).entries,
+  };
+}
+
+// Decks nobody has named show as `fallback`, normally t("deck.default").
+export const deckName = (deck, fallback) => (deck.name && deck.name !== LEGACY_DEFAULT_NAME ? deck.name : fallback);
+
+export function loadVocabulary() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    if (stored?.decks?.length) return stored;
+  } catch { /* fall back to migrating */ }
+  let legacy = [];
+  try { legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || "[]"); } catch { /* start empty */ }
+  return migrateWordBank(Array.isArray(legacy) ? legacy : []);
+}
+
+export function saveVocabulary(vocabulary) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(vocabulary));
+}
+
+export function removeDeck(vocabulary, id) {
+  if (id === DEFAULT_DECK_ID) return vocabulary;
+  return { ...vocabulary, decks: vocabulary.decks.filter(d => d.id !== id), words: vocabulary.words.filter(w => w.deck !== id) };
+}
+
+export const deckLanguages = (words) => [...new Set(words.map(w => w.lang).filter(Boolean))].sort();
+
+export const deckTags = (words) => [...new Set(words.flatMap(w => w.tags || []))].sort();
+
+// "a, b  c" → ["a", "b", "c"]
+export const parseTags = (text) => [...new Set(text.split(/[,،\s]+/).map(t => t.trim()).filter(Boolean))];
@@ -0,0 +1,93 @@
+import { segmentWords, cleanWord, isLookupWord } from "./text.js";
+import { scorePronunciation } from "./pronunciation.js";
+
+// Comprehension exercises built from transcript lines. Every exercise keeps the
+// index and `start`/`end` of its line so the UI can play or jump back to it.
+
+// Fisher–Yates; `sort(() => Math.random() - 0.5)` is biased towards the input order.
+export function shuffle(items, random = Math.random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+const wordSegments = (text, lang) => segmentWords(text, lang).map((s, i) => ({ ...s, i })).filter(s => s.isWord);
+const charLength = (w) => [...w].length;
+
+// Blanks one word, preferring words in `focus` (the learner's keywords), else the
+// longest. Distractors are other transcript words of similar length.
+export function makeCloze(line, index, lang, { focus = new Set(), pool = [], random = Math.random } = {}) {
+  const segments = segmentWords(line.text, lang);
+  const candidates = wordSegments(line.text, lang).filter(s => isLookupWord(cleanWord(s.text, lang)));
+  if (!candidates.length) return null;
+  const focused = candidates.filter(s => focus.has(cleanWord(s.text, lang)));
+  const target = focused.length
+    ? focused[Math.floor(random() * focused.length)]
+    : candidates.reduce((a, b) => (charLength(b.text) > charLength(a.text) ? b : a));
+  const answer = cleanWord(target.text, lang);
+  const distractors = shuffle([...new Set(pool)].filter(w => w !== answer && Math.abs(charLength(w) - charLength(answer)) <= 3), random).slice(0, 3);
+  if (distractors.length < 2) return null;
+  return {
+    type: "cloze", line: index, start: line.start, end: line.end,
+    before: segments.slice(0, target.i).map(s => s.text).join(""),
+    after: segments.slice(target.i + 1).map(s => s.text).join(""),
+    answer,
+    options: shuffle([answer, ...distractors], random),
+  };
+}
+
+export function makeDictation(line, index) {
+  if (!(line.end > line.start)) return null;
+  return { type: "dictation", line: index, start: line.start, end: line.end, text: line.text };
+}
+
+// Tiles keep their original position as `id`.
+export function makeScramble(line, index, lang, { random = Math.random } = {}) {
+  const tiles = wordSegments(line.text, lang).map((s, id) => ({ id, text: s.text }));
+  if (tiles.length < 3 || tiles.length > 10) return null;
+  let order = shuffle(tiles, random);
+  for (let tries = 0; tries < 5 && order.every((t, i) => t.id === i); tries++) order = shuffle(tiles, random);
+  return { type: "scramble", line: index, start: line.start, end: line.end, text: line.text, tiles: order };
+}
+
+// { score: 0–100, words } — the same word alignment used for pronunciation.
+export function checkDictation(exercise, typed, lang) {
+  return scorePronunciation(exercise.text, typed, lang);
+}
+
+// Compares text rather than ids, so repeated words ("the … the") count either way round.
+export function checkScramble(exercise, ids) {
+  const text = (id) => exercise.tiles.find(t => t.id === id).text.toLowerCase();
+  const correct = ids.map((id, i) => text(id) === text(i));
+  return { score: Math.round((correct.filter(Boolean).length / exercise.tiles.length) * 100), correct };
+}
+
+const EXERCISE_TYPES = ["cloze", "dictation", "scramble"];
+
+// Picks lines of a workable length spread across the whole transcript and cycles
+// through the exercise types. Dictation needs audio, so it is only used `withAudio`.
+export function generateExercises(lines, lang, { count = 9, focus = new Set(), withAudio = false, random = Math.random } = {}) {
+  const pool = lines.flatMap(l => wordSegments(l.text, lang).map(s => cleanWord(s.text, lang))).filter(isLookupWord);
+  const usable = lines
+    .map((line, index) => ({ line, index, n: wordSegments(line.text, lang).length }))
+    .filter(c => c.n >= 4 && c.n <= 20);
+  if (!usable.length) return [];
+
+  const stride = Math.max(usable.length / count, 1);
+  const picked = Array.from({ length: Math.min(count, usable.length) }, (_, k) => usable[Math.floor(k * stride)]);
+  const types = EXERCISE_TYPES.filter(t => withAudio || t !== "dictation");
+
+  return picked.map(({ line, index }, k) => {
+    const order = [...types.slice(k % types.length), ...types.slice(0, k % types.length)];
+    for (const type of order) {
+      const exercise = type === "cloze" ? makeCloze(line, index, lang, { focus, pool, random })
+        : type === "dictation" ? makeDictation(line, index)
+        : makeScramble(line, index, lang, { random });
+      if (exercise) return exercise;
+    }
+    return null;
+  }).filter(Boolean);
+}
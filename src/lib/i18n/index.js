@@ -0,0 +1,56 @@
+import { createContext, useContext } from "react";
+import { normalizeLang } from "../text.js";
+import ar from "./messages/ar.js";
+import en from "./messages/en.js";
+import fr from "./messages/fr.js";
+
+// Languages of the interface itself, independent of the transcript's source
+// language and of `targetLang`. Add a catalog to messages/ and list it here.
+export const UI_LANGUAGES = [
+  { code: "ar", label: "العربية", dir: "rtl" },
+  { code: "en", label: "English", dir: "ltr" },
+  { code: "fr", label: "Français", dir: "ltr" },
+];
+
+const CATALOGS = { ar, en, fr };
+const FALLBACK = "en";
+const STORAGE_KEY = "polyglot_ui_lang";
+
+const RTL_LANGS = new Set(["ar", "fa", "he", "ur", "ps", "yi", "dv", "ckb"]);
+
+// Direction of content written in `lang` (transcript lines, translations, saved words).
+export const textDirection = (lang) => (RTL_LANGS.has(normalizeLang(lang)) ? "rtl" : "ltr");
+
+// The saved choice, else the first supported browser language, else Arabic.
+export function initialUiLanguage() {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (CATALOGS[saved]) return saved;
+  const preferred = (navigator.languages || [navigator.language]).map(normalizeLang).find(code => CATALOGS[code]);
+  return preferred || "ar";
+}
+
+export const saveUiLanguage = (code) => localStorage.setItem(STORAGE_KEY, code);
+
+// Interpolated strings are wrapped in Unicode isolates (FSI … PDI) so a Latin word
+// inside an Arabic sentence, or the reverse, can't reorder the text around it.
+const isolate = (value) => (typeof value === "string" ? `\u2068${value}\u2069` : String(value));
+
+/**
+ * `t(key, params)` looks the key up in the language's catalog, falling back to
+ * English and then to the key itself. `{name}` placeholders are filled from
+ * `params`; a message may be an object of plural forms chosen by `params.count`.
+ */
+export function createI18n(lang) {
+  const catalog = CATALOGS[lang] || CATALOGS[FALLBACK];
+  const plural = new Intl.PluralRules(lang);
+  const t = (key, params = {}) => {
+    let message = catalog[key] ?? CATALOGS[FALLBACK][key] ?? key;
+    if (typeof message === "object") message = message[plural.select(params.count ?? 0)] ?? message.other;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? isolate(params[name]) : match));
+  };
+  return { lang, dir: UI_LANGUAGES.find(l => l.code === lang)?.dir || "ltr", t };
+}
+
+export const I18nContext = createContext(createI18n(FALLBACK));
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,207 @@
+// Arabic UI strings.
+
+export default {
+  "common.cancel": "إلغاء",
+  "common.speak": "🔊 نطق",
+  "common.sentences": "{count} جملة",
+  "common.words": "{count} كلمة",
+  "common.error": "حدث خطأ: {message}",
+  "common.close": "إغلاق",
+
+  "header.translateTo": "الترجمة إلى",
+  "header.uiLanguage": "لغة الواجهة",
+  "header.library": "🗂️ المكتبة",
+
+  "offline.badge": "📴 بدون اتصال",
+  "offline.pendingCount": "{count} كلمة بانتظار الترجمة",
+  "offline.pendingWord": "بانتظار الاتصال",
+  "offline.queued": "لا يوجد اتصال، ستُترجم عند عودته",
+  "offline.noConnection": "لا يوجد اتصال",
+
+  "stage.upload": "رفع الملف",
+  "stage.queued": "في قائمة الانتظار",
+  "stage.processing": "تحليل الصوت",
+  "stage.finalizing": "تجهيز النص",
+
+  "status.readingSubtitles": "جاري قراءة ملف الترجمة...",
+  "status.uploading": "جاري رفع الملف...",
+  "status.readingLink": "جاري قراءة الرابط...",
+  "status.longFiles": "قد يستغرق التحليل بضع دقائق للملفات الطويلة",
+  "status.retry": "حاول مرة ثانية",
+
+  "upload.title": "ارفع فيديو أو ملف صوت",
+  "upload.choose": "اختر ملف",
+  "upload.linkPlaceholder": "أو الصق رابط فيديو أو ملف صوت",
+  "upload.open": "🔗 فتح",
+  "upload.linkPrompt": "رابط الفيديو أو الصوت",
+  "upload.linkTitle": "فتح رابط",
+  "upload.pending": "تحليل غير مكتمل",
+  "upload.resume": "متابعة",
+  "upload.discard": "تجاهل",
+
+  "library.title": "🗂️ مكتبة الجلسات",
+  "library.empty": "لا توجد جلسات محفوظة بعد",
+  "library.renamePrompt": "اسم الجلسة",
+  "library.deleteConfirm": "حذف \"{name}\"؟",
+  "library.rename": "إعادة التسمية",
+  "library.delete": "حذف الجلسة",
+
+  "toolbar.newVideo": "📁 فيديو جديد",
+  "toolbar.importSubtitles": "📄 استيراد ترجمة",
+
+  "player.reuploadHint": "ارفع نفس الملف لتشغيل الفيديو — سيُستخدم النص المحفوظ",
+  "player.bilingualCaptions": "CC ثنائي اللغة",
+
+  "shadow.title": "🔁 تدريب المحاكاة",
+  "shadow.progress": "الجملة {index}/{total} · التكرار {play}/{loops}",
+  "shadow.yourTurn": " · دورك! 🎙️",
+  "shadow.repeats": "التكرار",
+  "shadow.speed": "السرعة",
+  "shadow.pauseAfter": "توقف بعد كل جملة لأكررها",
+  "shadow.previous": "← السابقة",
+  "shadow.replay": "↺ إعادة",
+  "shadow.next": "التالية →",
+  "shadow.keys": "← / → الجملة السابقة/التالية · R إعادة · Space تشغيل/إيقاف",
+
+  "keywords.title": "🔑 أهم الكلمات",
+  "keywords.level": "مستواك",
+  "keywords.new": "🆕 كلمات جديدة في هذا الفيديو ({count})",
+  "keywords.formsSeparator": "، ",
+  "summary.title": "🤖 ملخص الذكاء الاصطناعي",
+
+  "tabs.transcript": "📝 النص",
+  "tabs.words": "📚 الكلمات",
+  "tabs.quiz": "🧠 اختبار",
+  "tabs.progress": "📊 التقدم",
+  "tabs.label": "لوحات الدراسة",
+
+  "transcript.empty": "النص سيظهر هنا بعد التحليل",
+  "transcript.search": "🔍 بحث في النص",
+  "transcript.noResults": "لا نتائج",
+  "transcript.editTitle": "تصحيح النص",
+  "transcript.edit": "✏️ تصحيح",
+  "transcript.undo": "تراجع (Ctrl+Z)",
+  "transcript.redo": "إعادة (Ctrl+Y)",
+  "transcript.allSpeakers": "الكل",
+  "transcript.manageSpeakers": "إدارة المتحدثين",
+  "transcript.translateLines": "🌐 ترجمة الجمل",
+  "transcript.mergeSpeaker": "دمج مع…",
+  "transcript.start": "البداية (ثانية)",
+  "transcript.end": "النهاية (ثانية)",
+  "transcript.splitTitle": "تقسيم عند المؤشر",
+  "transcript.split": "✂ تقسيم",
+  "transcript.mergeTitle": "دمج مع السطر التالي",
+  "transcript.merge": "⤓ دمج",
+  "transcript.keys": "← → التنقل بين الكلمات · ↑ ↓ بين الجمل · Enter ترجمة · S حفظ",
+  "transcript.previousHit": "النتيجة السابقة",
+  "transcript.nextHit": "النتيجة التالية",
+
+  "deck.default": "المجموعة الرئيسية",
+  "deck.newPrompt": "اسم المجموعة الجديدة",
+  "deck.renamePrompt": "اسم المجموعة",
+  "deck.deleteConfirm": "حذف مجموعة \"{name}\" وكل كلماتها؟",
+  "deck.new": "+ مجموعة",
+  "deck.newTitle": "مجموعة جديدة",
+  "deck.rename": "إعادة التسمية",
+  "deck.delete": "حذف المجموعة",
+  "deck.allLanguages": "كل اللغات",
+
+  "words.empty": "اضغط على أي كلمة في النص لحفظها هنا",
+  "words.import": "⬆ استيراد",
+  "words.count": "{count} كلمة محفوظة",
+  "words.clear": "حذف الكل",
+  "words.clearConfirm": "حذف كل الكلمات المعروضة؟",
+  "words.tagsPrompt": "الوسوم (مفصولة بفواصل)",
+  "words.tags": "وسوم",
+  "words.playClip": "تشغيل المقطع",
+  "words.pronunciation": "🎙️ {last}% · أفضل {best}% · {count} محاولة",
+  "words.exportFailed": "تعذر التصدير: {message}",
+  "words.importFailed": "تعذر الاستيراد: {message}",
+  "words.imported": "تم استيراد {added} كلمة جديدة وتحديث {updated}",
+  "words.remove": "حذف الكلمة",
+  "words.saved": "تم حفظ «{word}»",
+
+  "quiz.flashcards": "🃏 بطاقات",
+  "quiz.multipleChoice": "✏️ اختيار متعدد",
+  "quiz.exercises": "🎬 تمارين الفيديو",
+  "quiz.noTranscript": "افتح فيديو لتوليد تمارين من نصه",
+  "quiz.needWords": "احفظ كلمتين على الأقل لتبدأ",
+  "quiz.dueToday": "📅 {count} مراجعة مستحقة اليوم",
+  "quiz.nothingDue": "لا توجد مراجعات مستحقة الآن",
+  "quiz.nextReview": "المراجعة القادمة: {date}",
+  "quiz.translation": "الترجمة",
+  "quiz.reveal": "الكلمة — اضغط للكشف",
+  "quiz.clip": "▶️ المقطع",
+  "quiz.again": "مرة أخرى",
+  "quiz.hard": "صعب",
+  "quiz.good": "جيد",
+  "quiz.easy": "سهل",
+  "quiz.previous": "← السابق",
+  "quiz.next": "التالي →",
+  "quiz.question": "ما معنى هذه الكلمة؟",
+  "quiz.nextQuestion": "السؤال التالي →",
+  "quiz.modes": "نوع الاختبار",
+  "quiz.flashcardKeys": "Space قلب البطاقة · 1–4 تقييم",
+  "quiz.choiceKeys": "1–4 اختيار الإجابة · Enter السؤال التالي",
+  "quiz.correct": "إجابة صحيحة",
+  "quiz.incorrect": "إجابة خاطئة، الصحيح: {answer}",
+
+  "popup.translating": "جاري الترجمة...",
+  "popup.failed": "تعذرت الترجمة: {message}",
+  "popup.saved": "✓ محفوظة",
+  "popup.save": "+ احفظ",
+  "popup.translateSentence": "🌐 ترجم الجملة",
+
+  "pronunciation.record": "🎙️ سجّل نطقك",
+  "pronunciation.stop": "⏹ إيقاف التسجيل",
+  "pronunciation.failed": "تعذر التسجيل: {message}",
+  "pronunciation.heard": "سمعت: «{text}»",
+  "pronunciation.noSpeech": "لم يُسمع شيء، حاول مجددًا بالقرب من الميكروفون",
+
+  "exercises.cloze": "📝 أكمل الفراغ",
+  "exercises.dictation": "🎧 إملاء",
+  "exercises.scramble": "🔀 رتّب الكلمات",
+  "exercises.tooShort": "النص قصير جدًا لتوليد تمارين",
+  "exercises.score": "النتيجة",
+  "exercises.restart": "🔄 تمارين جديدة",
+  "exercises.goToLine": "اذهب إلى السطر في النص",
+  "exercises.listen": "استمع إلى المقطع واكتب ما تسمعه",
+  "exercises.check": "تحقق",
+  "exercises.next": "التمرين التالي →",
+  "exercises.showScore": "عرض النتيجة",
+
+  "progress.empty": "سيظهر تقدمك هنا بعد أول كلمة أو اختبار",
+  "progress.streak": "أيام متتالية",
+  "progress.streakPractice": "أيام متتالية — تدرّب اليوم",
+  "progress.longest": "أطول سلسلة",
+  "progress.minutesToday": "دقائق اليوم",
+  "progress.accuracy": "🎯 الدقة خلال ١٤ يومًا",
+  "progress.watchMinutes": "⏱ دقائق المشاهدة",
+  "progress.minutes": "{count} د",
+  "progress.byLanguage": "🌍 الكلمات حسب اللغة",
+  "progress.hardest": "😓 أصعب الكلمات",
+  "progress.topSessions": "🎬 أكثر الجلسات مشاهدة",
+  "progress.export": "⬇️ تصدير السجل (JSON)",
+
+  "sync.title": "☁️ المزامنة",
+  "sync.intro": "☁️ سجّل الدخول لمزامنة كلماتك بين أجهزتك",
+  "sync.username": "اسم المستخدم",
+  "sync.password": "كلمة المرور",
+  "sync.signIn": "تسجيل الدخول",
+  "sync.register": "إنشاء حساب",
+  "sync.signOut": "تسجيل الخروج",
+  "sync.signedInAs": "☁️ {name}",
+  "sync.now": "زامن الآن",
+  "sync.syncing": "جاري المزامنة...",
+  "sync.lastSynced": "آخر مزامنة {time}",
+  "sync.never": "لم تتم المزامنة بعد",
+  "sync.failed": "تعذرت المزامنة: {message}",
+  "sync.shareTitle": "مشاركة رابط للقراءة فقط لهذه المجموعة",
+  "sync.shareNeedsAccount": "سجّل الدخول للمزامنة قبل مشاركة مجموعة",
+  "sync.shareLink": "يمكن لأي شخص لديه هذا الرابط الاشتراك في المجموعة",
+  "sync.shareFailed": "تعذرت المشاركة: {message}",
+  "sync.subscribed": "🔗 مجموعة مشتركة · للقراءة فقط · الكلمات التي تحفظها تذهب إلى المجموعة الرئيسية",
+  "sync.refresh": "البحث عن تحديثات",
+  "sync.subscribeConfirm": "الاشتراك في المجموعة المشتركة \"{name}\" ({count} كلمة)؟",
+  "sync.subscribeFailed": "تعذر فتح المجموعة المشتركة: {message}",
+};
@@ -0,0 +1,207 @@
+// English UI strings; also the fallback for keys missing from other catalogs.
+
+export default {
+  "common.cancel": "Cancel",
+  "common.speak": "🔊 Listen",
+  "common.sentences": { one: "{count} sentence", other: "{count} sentences" },
+  "common.words": { one: "{count} word", other: "{count} words" },
+  "common.error": "Something went wrong: {message}",
+  "common.close": "Close",
+
+  "header.translateTo": "Translate to",
+  "header.uiLanguage": "Interface language",
+  "header.library": "🗂️ Library",
+
+  "offline.badge": "📴 Offline",
+  "offline.pendingCount": { one: "{count} word waiting for translation", other: "{count} words waiting for translation" },
+  "offline.pendingWord": "Waiting for a connection",
+  "offline.queued": "Offline — it will be translated once you're back online",
+  "offline.noConnection": "Offline",
+
+  "stage.upload": "Uploading",
+  "stage.queued": "Queued",
+  "stage.processing": "Analyzing audio",
+  "stage.finalizing": "Preparing transcript",
+
+  "status.readingSubtitles": "Reading subtitle file...",
+  "status.uploading": "Uploading file...",
+  "status.readingLink": "Opening link...",
+  "status.longFiles": "Long files can take a few minutes",
+  "status.retry": "Try again",
+
+  "upload.title": "Upload a video or audio file",
+  "upload.choose": "Choose file",
+  "upload.linkPlaceholder": "or paste a video or audio link",
+  "upload.open": "🔗 Open",
+  "upload.linkPrompt": "Video or audio link",
+  "upload.linkTitle": "Open link",
+  "upload.pending": "Unfinished transcription",
+  "upload.resume": "Resume",
+  "upload.discard": "Discard",
+
+  "library.title": "🗂️ Session library",
+  "library.empty": "No saved sessions yet",
+  "library.renamePrompt": "Session name",
+  "library.deleteConfirm": "Delete \"{name}\"?",
+  "library.rename": "Rename",
+  "library.delete": "Delete session",
+
+  "toolbar.newVideo": "📁 New video",
+  "toolbar.importSubtitles": "📄 Import subtitles",
+
+  "player.reuploadHint": "Upload the same file to play the video — the saved transcript will be used",
+  "player.bilingualCaptions": "Bilingual CC",
+
+  "shadow.title": "🔁 Shadowing",
+  "shadow.progress": "Sentence {index}/{total} · Repeat {play}/{loops}",
+  "shadow.yourTurn": " · Your turn! 🎙️",
+  "shadow.repeats": "Repeats",
+  "shadow.speed": "Speed",
+  "shadow.pauseAfter": "Pause after each sentence so I can repeat it",
+  "shadow.previous": "← Previous",
+  "shadow.replay": "↺ Replay",
+  "shadow.next": "Next →",
+  "shadow.keys": "← / → previous/next sentence · R replay · Space play/pause",
+
+  "keywords.title": "🔑 Key words",
+  "keywords.level": "Your level",
+  "keywords.new": "🆕 New words in this video ({count})",
+  "keywords.formsSeparator": ", ",
+  "summary.title": "🤖 AI summary",
+
+  "tabs.transcript": "📝 Transcript",
+  "tabs.words": "📚 Words",
+  "tabs.quiz": "🧠 Quiz",
+  "tabs.progress": "📊 Progress",
+  "tabs.label": "Study panels",
+
+  "transcript.empty": "The transcript will appear here once it's ready",
+  "transcript.search": "🔍 Search transcript",
+  "transcript.noResults": "No results",
+  "transcript.editTitle": "Correct the transcript",
+  "transcript.edit": "✏️ Edit",
+  "transcript.undo": "Undo (Ctrl+Z)",
+  "transcript.redo": "Redo (Ctrl+Y)",
+  "transcript.allSpeakers": "All",
+  "transcript.manageSpeakers": "Manage speakers",
+  "transcript.translateLines": "🌐 Translate lines",
+  "transcript.mergeSpeaker": "Merge into…",
+  "transcript.start": "Start (seconds)",
+  "transcript.end": "End (seconds)",
+  "transcript.splitTitle": "Split at cursor",
+  "transcript.split": "✂ Split",
+  "transcript.mergeTitle": "Merge with next line",
+  "transcript.merge": "⤓ Merge",
+  "transcript.keys": "← → move between words · ↑ ↓ between lines · Enter translate · S save",
+  "transcript.previousHit": "Previous match",
+  "transcript.nextHit": "Next match",
+
+  "deck.default": "Main deck",
+  "deck.newPrompt": "Name of the new deck",
+  "deck.renamePrompt": "Deck name",
+  "deck.deleteConfirm": "Delete the deck \"{name}\" and all its words?",
+  "deck.new": "+ Deck",
+  "deck.newTitle": "New deck",
+  "deck.rename": "Rename",
+  "deck.delete": "Delete deck",
+  "deck.allLanguages": "All languages",
+
+  "words.empty": "Click any word in the transcript to save it here",
+  "words.import": "⬆ Import",
+  "words.count": { one: "{count} saved word", other: "{count} saved words" },
+  "words.clear": "Delete all",
+  "words.clearConfirm": "Delete all the words shown?",
+  "words.tagsPrompt": "Tags (comma-separated)",
+  "words.tags": "Tags",
+  "words.playClip": "Play clip",
+  "words.pronunciation": { one: "🎙️ {last}% · best {best}% · {count} attempt", other: "🎙️ {last}% · best {best}% · {count} attempts" },
+  "words.exportFailed": "Export failed: {message}",
+  "words.importFailed": "Import failed: {message}",
+  "words.imported": "Imported {added} new words and updated {updated}",
+  "words.remove": "Remove word",
+  "words.saved": "Saved “{word}”",
+
+  "quiz.flashcards": "🃏 Flashcards",
+  "quiz.multipleChoice": "✏️ Multiple choice",
+  "quiz.exercises": "🎬 Video exercises",
+  "quiz.noTranscript": "Open a video to generate exercises from its transcript",
+  "quiz.needWords": "Save at least two words to start",
+  "quiz.dueToday": { one: "📅 {count} review due today", other: "📅 {count} reviews due today" },
+  "quiz.nothingDue": "Nothing to review right now",
+  "quiz.nextReview": "Next review: {date}",
+  "quiz.translation": "Translation",
+  "quiz.reveal": "Word — tap to reveal",
+  "quiz.clip": "▶️ Clip",
+  "quiz.again": "Again",
+  "quiz.hard": "Hard",
+  "quiz.good": "Good",
+  "quiz.easy": "Easy",
+  "quiz.previous": "← Previous",
+  "quiz.next": "Next →",
+  "quiz.question": "What does this word mean?",
+  "quiz.nextQuestion": "Next question →",
+  "quiz.modes": "Quiz type",
+  "quiz.flashcardKeys": "Space flip the card · 1–4 grade",
+  "quiz.choiceKeys": "1–4 choose an answer · Enter next question",
+  "quiz.correct": "Correct",
+  "quiz.incorrect": "Wrong — the answer is {answer}",
+
+  "popup.translating": "Translating...",
+  "popup.failed": "Translation failed: {message}",
+  "popup.saved": "✓ Saved",
+  "popup.save": "+ Save",
+  "popup.translateSentence": "🌐 Translate sentence",
+
+  "pronunciation.record": "🎙️ Record yourself",
+  "pronunciation.stop": "⏹ Stop recording",
+  "pronunciation.failed": "Recording failed: {message}",
+  "pronunciation.heard": "Heard: “{text}”",
+  "pronunciation.noSpeech": "Nothing heard — try again closer to the microphone",
+
+  "exercises.cloze": "📝 Fill the gap",
+  "exercises.dictation": "🎧 Dictation",
+  "exercises.scramble": "🔀 Word order",
+  "exercises.tooShort": "The transcript is too short for exercises",
+  "exercises.score": "Score",
+  "exercises.restart": "🔄 New exercises",
+  "exercises.goToLine": "Go to this line in the transcript",
+  "exercises.listen": "Listen to the clip and type what you hear",
+  "exercises.check": "Check",
+  "exercises.next": "Next exercise →",
+  "exercises.showScore": "Show score",
+
+  "progress.empty": "Your progress will show up here after your first word or quiz",
+  "progress.streak": "day streak",
+  "progress.streakPractice": "day streak — practice today",
+  "progress.longest": "longest streak",
+  "progress.minutesToday": "minutes today",
+  "progress.accuracy": "🎯 Accuracy, last 14 days",
+  "progress.watchMinutes": "⏱ Minutes watched",
+  "progress.minutes": "{count} min",
+  "progress.byLanguage": "🌍 Words by language",
+  "progress.hardest": "😓 Hardest words",
+  "progress.topSessions": "🎬 Most watched sessions",
+  "progress.export": "⬇️ Export log (JSON)",
+
+  "sync.title": "☁️ Sync",
+  "sync.intro": "☁️ Sign in to sync your words across devices",
+  "sync.username": "Username",
+  "sync.password": "Password",
+  "sync.signIn": "Sign in",
+  "sync.register": "Create account",
+  "sync.signOut": "Sign out",
+  "sync.signedInAs": "☁️ {name}",
+  "sync.now": "Sync now",
+  "sync.syncing": "Syncing...",
+  "sync.lastSynced": "synced at {time}",
+  "sync.never": "not synced yet",
+  "sync.failed": "Sync failed: {message}",
+  "sync.shareTitle": "Share a read-only link to this deck",
+  "sync.shareNeedsAccount": "Sign in to sync before sharing a deck",
+  "sync.shareLink": "Anyone with this link can subscribe to the deck",
+  "sync.shareFailed": "Sharing failed: {message}",
+  "sync.subscribed": "🔗 Shared deck · read-only · words you save go to the main deck",
+  "sync.refresh": "Check for updates",
+  "sync.subscribeConfirm": { one: "Subscribe to the shared deck \"{name}\" ({count} word)?", other: "Subscribe to the shared deck \"{name}\" ({count} words)?" },
+  "sync.subscribeFailed": "Couldn't open the shared deck: {message}",
+};
@@ -0,0 +1,207 @@
+// French UI strings.
+
+export default {
+  "common.cancel": "Annuler",
+  "common.speak": "🔊 Écouter",
+  "common.sentences": { one: "{count} phrase", other: "{count} phrases" },
+  "common.words": { one: "{count} mot", other: "{count} mots" },
+  "common.error": "Une erreur est survenue : {message}",
+  "common.close": "Fermer",
+
+  "header.translateTo": "Traduire en",
+  "header.uiLanguage": "Langue de l'interface",
+  "header.library": "🗂️ Bibliothèque",
+
+  "offline.badge": "📴 Hors ligne",
+  "offline.pendingCount": { one: "{count} mot en attente de traduction", other: "{count} mots en attente de traduction" },
+  "offline.pendingWord": "En attente de connexion",
+  "offline.queued": "Hors ligne — la traduction se fera au retour de la connexion",
+  "offline.noConnection": "Hors ligne",
+
+  "stage.upload": "Envoi du fichier",
+  "stage.queued": "En file d'attente",
+  "stage.processing": "Analyse de l'audio",
+  "stage.finalizing": "Préparation du texte",
+
+  "status.readingSubtitles": "Lecture du fichier de sous-titres...",
+  "status.uploading": "Envoi du fichier...",
+  "status.readingLink": "Ouverture du lien...",
+  "status.longFiles": "L'analyse peut prendre quelques minutes pour les longs fichiers",
+  "status.retry": "Réessayer",
+
+  "upload.title": "Importez une vidéo ou un fichier audio",
+  "upload.choose": "Choisir un fichier",
+  "upload.linkPlaceholder": "ou collez un lien vidéo ou audio",
+  "upload.open": "🔗 Ouvrir",
+  "upload.linkPrompt": "Lien vidéo ou audio",
+  "upload.linkTitle": "Ouvrir un lien",
+  "upload.pending": "Transcription inachevée",
+  "upload.resume": "Reprendre",
+  "upload.discard": "Abandonner",
+
+  "library.title": "🗂️ Bibliothèque de sessions",
+  "library.empty": "Aucune session enregistrée pour l'instant",
+  "library.renamePrompt": "Nom de la session",
+  "library.deleteConfirm": "Supprimer « {name} » ?",
+  "library.rename": "Renommer",
+  "library.delete": "Supprimer la session",
+
+  "toolbar.newVideo": "📁 Nouvelle vidéo",
+  "toolbar.importSubtitles": "📄 Importer des sous-titres",
+
+  "player.reuploadHint": "Importez le même fichier pour lire la vidéo — le texte enregistré sera réutilisé",
+  "player.bilingualCaptions": "CC bilingues",
+
+  "shadow.title": "🔁 Shadowing",
+  "shadow.progress": "Phrase {index}/{total} · Répétition {play}/{loops}",
+  "shadow.yourTurn": " · À vous ! 🎙️",
+  "shadow.repeats": "Répétitions",
+  "shadow.speed": "Vitesse",
+  "shadow.pauseAfter": "Faire une pause après chaque phrase pour la répéter",
+  "shadow.previous": "← Précédente",
+  "shadow.replay": "↺ Rejouer",
+  "shadow.next": "Suivante →",
+  "shadow.keys": "← / → phrase précédente/suivante · R rejouer · Espace lecture/pause",
+
+  "keywords.title": "🔑 Mots clés",
+  "keywords.level": "Votre niveau",
+  "keywords.new": "🆕 Nouveaux mots dans cette vidéo ({count})",
+  "keywords.formsSeparator": ", ",
+  "summary.title": "🤖 Résumé IA",
+
+  "tabs.transcript": "📝 Texte",
+  "tabs.words": "📚 Mots",
+  "tabs.quiz": "🧠 Quiz",
+  "tabs.progress": "📊 Progrès",
+  "tabs.label": "Panneaux d'étude",
+
+  "transcript.empty": "Le texte apparaîtra ici après l'analyse",
+  "transcript.search": "🔍 Rechercher dans le texte",
+  "transcript.noResults": "Aucun résultat",
+  "transcript.editTitle": "Corriger le texte",
+  "transcript.edit": "✏️ Corriger",
+  "transcript.undo": "Annuler (Ctrl+Z)",
+  "transcript.redo": "Rétablir (Ctrl+Y)",
+  "transcript.allSpeakers": "Tous",
+  "transcript.manageSpeakers": "Gérer les intervenants",
+  "transcript.translateLines": "🌐 Traduire les phrases",
+  "transcript.mergeSpeaker": "Fusionner avec…",
+  "transcript.start": "Début (secondes)",
+  "transcript.end": "Fin (secondes)",
+  "transcript.splitTitle": "Couper au curseur",
+  "transcript.split": "✂ Couper",
+  "transcript.mergeTitle": "Fusionner avec la ligne suivante",
+  "transcript.merge": "⤓ Fusionner",
+  "transcript.keys": "← → mot par mot · ↑ ↓ phrase par phrase · Entrée traduire · S enregistrer",
+  "transcript.previousHit": "Résultat précédent",
+  "transcript.nextHit": "Résultat suivant",
+
+  "deck.default": "Paquet principal",
+  "deck.newPrompt": "Nom du nouveau paquet",
+  "deck.renamePrompt": "Nom du paquet",
+  "deck.deleteConfirm": "Supprimer le paquet « {name} » et tous ses mots ?",
+  "deck.new": "+ Paquet",
+  "deck.newTitle": "Nouveau paquet",
+  "deck.rename": "Renommer",
+  "deck.delete": "Supprimer le paquet",
+  "deck.allLanguages": "Toutes les langues",
+
+  "words.empty": "Cliquez sur un mot du texte pour l'enregistrer ici",
+  "words.import": "⬆ Importer",
+  "words.count": { one: "{count} mot enregistré", other: "{count} mots enregistrés" },
+  "words.clear": "Tout supprimer",
+  "words.clearConfirm": "Supprimer tous les mots affichés ?",
+  "words.tagsPrompt": "Étiquettes (séparées par des virgules)",
+  "words.tags": "Étiquettes",
+  "words.playClip": "Lire l'extrait",
+  "words.pronunciation": { one: "🎙️ {last} % · meilleur {best} % · {count} essai", other: "🎙️ {last} % · meilleur {best} % · {count} essais" },
+  "words.exportFailed": "Échec de l'export : {message}",
+  "words.importFailed": "Échec de l'import : {message}",
+  "words.imported": "{added} nouveaux mots importés, {updated} mis à jour",
+  "words.remove": "Supprimer le mot",
+  "words.saved": "« {word} » enregistré",
+
+  "quiz.flashcards": "🃏 Cartes",
+  "quiz.multipleChoice": "✏️ QCM",
+  "quiz.exercises": "🎬 Exercices vidéo",
+  "quiz.noTranscript": "Ouvrez une vidéo pour générer des exercices à partir de son texte",
+  "quiz.needWords": "Enregistrez au moins deux mots pour commencer",
+  "quiz.dueToday": { one: "📅 {count} révision prévue aujourd'hui", other: "📅 {count} révisions prévues aujourd'hui" },
+  "quiz.nothingDue": "Rien à réviser pour l'instant",
+  "quiz.nextReview": "Prochaine révision : {date}",
+  "quiz.translation": "Traduction",
+  "quiz.reveal": "Mot — touchez pour révéler",
+  "quiz.clip": "▶️ Extrait",
+  "quiz.again": "À revoir",
+  "quiz.hard": "Difficile",
+  "quiz.good": "Bien",
+  "quiz.easy": "Facile",
+  "quiz.previous": "← Précédent",
+  "quiz.next": "Suivant →",
+  "quiz.question": "Que signifie ce mot ?",
+  "quiz.nextQuestion": "Question suivante →",
+  "quiz.modes": "Type de quiz",
+  "quiz.flashcardKeys": "Espace retourner la carte · 1–4 noter",
+  "quiz.choiceKeys": "1–4 choisir une réponse · Entrée question suivante",
+  "quiz.correct": "Bonne réponse",
+  "quiz.incorrect": "Mauvaise réponse — c'était {answer}",
+
+  "popup.translating": "Traduction...",
+  "popup.failed": "Échec de la traduction : {message}",
+  "popup.saved": "✓ Enregistré",
+  "popup.save": "+ Enregistrer",
+  "popup.translateSentence": "🌐 Traduire la phrase",
+
+  "pronunciation.record": "🎙️ Enregistrez-vous",
+  "pronunciation.stop": "⏹ Arrêter l'enregistrement",
+  "pronunciation.failed": "Échec de l'enregistrement : {message}",
+  "pronunciation.heard": "Entendu : « {text} »",
+  "pronunciation.noSpeech": "Rien entendu — réessayez plus près du micro",
+
+  "exercises.cloze": "📝 Texte à trous",
+  "exercises.dictation": "🎧 Dictée",
+  "exercises.scramble": "🔀 Remettre dans l'ordre",
+  "exercises.tooShort": "Le texte est trop court pour créer des exercices",
+  "exercises.score": "Résultat",
+  "exercises.restart": "🔄 Nouveaux exercices",
+  "exercises.goToLine": "Aller à cette ligne du texte",
+  "exercises.listen": "Écoutez l'extrait et écrivez ce que vous entendez",
+  "exercises.check": "Vérifier",
+  "exercises.next": "Exercice suivant →",
+  "exercises.showScore": "Voir le résultat",
+
+  "progress.empty": "Vos progrès apparaîtront ici après votre premier mot ou quiz",
+  "progress.streak": "jours d'affilée",
+  "progress.streakPractice": "jours d'affilée — entraînez-vous aujourd'hui",
+  "progress.longest": "meilleure série",
+  "progress.minutesToday": "minutes aujourd'hui",
+  "progress.accuracy": "🎯 Précision sur 14 jours",
+  "progress.watchMinutes": "⏱ Minutes regardées",
+  "progress.minutes": "{count} min",
+  "progress.byLanguage": "🌍 Mots par langue",
+  "progress.hardest": "😓 Mots les plus difficiles",
+  "progress.topSessions": "🎬 Sessions les plus regardées",
+  "progress.export": "⬇️ Exporter le journal (JSON)",
+
+  "sync.title": "☁️ Synchronisation",
+  "sync.intro": "☁️ Connectez-vous pour synchroniser vos mots entre appareils",
+  "sync.username": "Nom d'utilisateur",
+  "sync.password": "Mot de passe",
+  "sync.signIn": "Se connecter",
+  "sync.register": "Créer un compte",
+  "sync.signOut": "Se déconnecter",
+  "sync.signedInAs": "☁️ {name}",
+  "sync.now": "Synchroniser",
+  "sync.syncing": "Synchronisation...",
+  "sync.lastSynced": "synchronisé à {time}",
+  "sync.never": "pas encore synchronisé",
+  "sync.failed": "Échec de la synchronisation : {message}",
+  "sync.shareTitle": "Partager un lien en lecture seule vers ce paquet",
+  "sync.shareNeedsAccount": "Connectez-vous à la synchronisation pour partager un paquet",
+  "sync.shareLink": "Toute personne disposant de ce lien peut s'abonner au paquet",
+  "sync.shareFailed": "Échec du partage : {message}",
+  "sync.subscribed": "🔗 Paquet partagé · lecture seule · les mots enregistrés vont dans le paquet principal",
+  "sync.refresh": "Rechercher des mises à jour",
+  "sync.subscribeConfirm": { one: "S'abonner au paquet partagé « {name} » ({count} mot) ?", other: "S'abonner au paquet partagé « {name} » ({count} mots) ?" },
+  "sync.subscribeFailed": "Impossible d'ouvrir le paquet partagé : {message}",
+};
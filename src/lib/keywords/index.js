@@ -0,0 +1,103 @@
+import { words, cleanWord, isDenseScript, normalizeLang } from "../text.js";
+import { lemmatize } from "./lemmatize.js";
+
+// Keyword engine: counts lemmas across the transcript and places each on the
+// CEFR scale using a bundled frequency list, so keywords can be picked at the
+// learner's level rather than by raw count.
+
+export const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+// Lists are lazy-loaded chunks of { A1: "word word …", … } in frequency order.
+const LISTS = {
+  en: () => import("./lists/en.js"),
+};
+
+const STOP_WORDS = {
+  en: new Set(["the","a","an","is","it","in","on","at","to","of","and","or","but","was","are","be","this","that","with","for","as","by","from","have","has","had","not","we","they","he","she","you","i","my","our","his","her","its","do","did","will","would","can","could","should","been","were","so","if","up","out","about","what","which","who","when","how","all","some","one","more","also","into","just","like","get","got","than","then","now","here","there","their","your","very","even","only","back","after","use","two","well","way","new","want","because","any","these","give","day","most","us","me","him","them","those","yeah","okay","oh","um","uh"]),
+};
+
+const loaded = {};
+
+// Resolves to a Map of lemma → { level, rank }, or null for languages without a list.
+export async function loadFrequencyList(lang) {
+  const code = normalizeLang(lang);
+  if (!LISTS[code]) return null;
+  if (!loaded[code]) {
+    loaded[code] = LISTS[code]().then(({ default: groups }) => {
+      const map = new Map();
+      CEFR_LEVELS.forEach(level => {
+        (groups[level] || "").split(/\s+/).filter(Boolean).forEach(w => {
+          if (!map.has(w)) map.set(w, { level, rank: map.size + 1 });
+        });
+      });
+      return map;
+    });
+  }
+  return loaded[code];
+}
+
+// Every lemma in the transcript with its count, surface forms and level.
+// Without a list, level is null. Words that only ever appear capitalised and
+// aren't in the list are treated as names and skipped.
+export function analyzeVocabulary(lines, lang = "en", list = null) {
+  const code = normalizeLang(lang);
+  const stop = STOP_WORDS[code];
+  const entries = new Map();
+  lines.forEach(line => {
+    words(line.text, code).forEach(raw => {
+      const clean = cleanWord(raw, code);
+      const len = [...clean].length;
+      if (!clean || /\p{N}/u.test(clean) || (isDenseScript(clean) ? len < 2 : len < 3) || stop?.has(clean)) return;
+      const lemma = lemmatize(clean, code, list);
+      if (stop?.has(lemma)) return;
+      const entry = entries.get(lemma) || { lemma, count: 0, forms: new Set(), capitalized: true };
+      entry.count += 1;
+      entry.forms.add(clean);
+      if (!/^\p{Lu}/u.test(raw.trim())) entry.capitalized = false;
+      entries.set(lemma, entry);
+    });
+  });
+  return [...entries.values()]
+    .filter(e => !(list && e.capitalized && !list.has(e.lemma)))
+    .map(({ lemma, count, forms }) => {
+      const known = list?.get(lemma);
+      return { lemma, count, forms, level: list ? known?.level ?? "C2" : null, rank: known?.rank ?? Infinity };
+    });
+}
+
+const levelIndex = (level) => CEFR_LEVELS.indexOf(level);
+
+// Words right at the learner's edge: their own level and the one above, with the
+// level above weighted up. Falls back to count and length when there is no list.
+export function edgeKeywords(vocab, level = "B1", count = 6) {
+  if (!vocab.some(v => v.level)) {
+    return vocab
+      .filter(v => isDenseScript(v.lemma) || [...v.lemma].length > 4)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, count)
+      .map(v => v.lemma);
+  }
+  const learner = levelIndex(level);
+  const score = (v) => {
+    const gap = levelIndex(v.level) - learner;
+    const weight = gap === 1 ? 1.5 : gap === 0 ? 1 : gap > 1 ? 0.6 : 0.2;
+    return v.count * weight;
+  };
+  return [...vocab]
+    .filter(v => levelIndex(v.level) >= learner)
+    .sort((a, b) => score(b) - score(a) || a.rank - b.rank)
+    .slice(0, count)
+    .map(v => v.lemma);
+}
+
+// Words above the learner's level that aren't in `known`, easiest level first.
+export function newWords(vocab, level = "B1", known = new Set()) {
+  const learner = levelIndex(level);
+  return vocab
+    .filter(v => v.level && levelIndex(v.level) > learner && !known.has(v.lemma) && ![...v.forms].some(f => known.has(f)))
+    .sort((a, b) => levelIndex(a.level) - levelIndex(b.level) || b.count - a.count || a.rank - b.rank);
+}
+
+export function extractKeywords(lines, lang = "en", { list = null, level = "B1", count = 6 } = {}) {
+  return edgeKeywords(analyzeVocabulary(lines, lang, list), level, count);
+}
@@ -0,0 +1,54 @@
+// Rule-based lemmatization. English gets suffix rules checked against the
+// frequency list; other languages are returned unchanged.
+
+const EN_IRREGULAR = {
+  am: "be", is: "be", are: "be", was: "be", were: "be", been: "be", being: "be",
+  has: "have", had: "have", having: "have", does: "do", did: "do", done: "do",
+  went: "go", gone: "go", goes: "go", ran: "run", came: "come", became: "become", took: "take", taken: "take",
+  gave: "give", given: "give", made: "make", said: "say", got: "get", gotten: "get", knew: "know", known: "know",
+  thought: "think", told: "tell", found: "find", felt: "feel", left: "leave", kept: "keep", brought: "bring",
+  began: "begin", begun: "begin", wrote: "write", written: "write", spoke: "speak", spoken: "speak",
+  bought: "buy", caught: "catch", taught: "teach", sought: "seek", fought: "fight", built: "build",
+  sent: "send", spent: "spend", meant: "mean", met: "meet", paid: "pay", sold: "sell", stood: "stand",
+  understood: "understand", held: "hold", heard: "hear", lost: "lose", won: "win", led: "lead",
+  chose: "choose", chosen: "choose", drove: "drive", driven: "drive", ate: "eat", eaten: "eat",
+  fell: "fall", fallen: "fall", flew: "fly", flown: "fly", grew: "grow", grown: "grow", threw: "throw",
+  thrown: "throw", broke: "break", broken: "break", forgot: "forget", forgotten: "forget", wore: "wear",
+  worn: "wear", drew: "draw", drawn: "draw", rode: "ride", ridden: "ride", rose: "rise", risen: "rise",
+  sang: "sing", sung: "sing", swam: "swim", slept: "sleep", woke: "wake", woken: "wake", hid: "hide",
+  hidden: "hide", shook: "shake", shaken: "shake", froze: "freeze", frozen: "freeze", fled: "flee",
+  children: "child", men: "man", women: "woman", feet: "foot", teeth: "tooth", mice: "mouse",
+  better: "good", best: "good", worse: "bad", worst: "bad", further: "far", farther: "far",
+  analyses: "analysis", crises: "crisis", phenomena: "phenomenon", criteria: "criterion", data: "data",
+};
+
+// Candidate base forms, most specific suffix rule first.
+function englishCandidates(w) {
+  const out = [];
+  const undouble = (stem) => (/([b-df-hj-np-tv-z])\1$/.test(stem) ? stem.slice(0, -1) : null);
+  const add = (...c) => out.push(...c.filter(Boolean));
+  if (w.endsWith("ies") || w.endsWith("ied")) add(w.slice(0, -3) + "y");
+  if (w.endsWith("ier")) add(w.slice(0, -3) + "y");
+  if (w.endsWith("iest")) add(w.slice(0, -4) + "y");
+  if (w.endsWith("ves")) add(w.slice(0, -3) + "f", w.slice(0, -3) + "fe");
+  if (w.endsWith("ing")) { const s = w.slice(0, -3); add(s, s + "e", undouble(s)); }
+  if (w.endsWith("ed")) { const s = w.slice(0, -2); add(s, w.slice(0, -1), undouble(s)); }
+  if (w.endsWith("est")) { const s = w.slice(0, -3); add(s, s + "e", undouble(s)); }
+  if (w.endsWith("er")) { const s = w.slice(0, -2); add(s, w.slice(0, -1), undouble(s)); }
+  if (w.endsWith("es")) add(w.slice(0, -2));
+  if (w.endsWith("s") && !/(ss|us|is)$/.test(w)) add(w.slice(0, -1));
+  return out.filter(c => c.length >= 2);
+}
+
+// `known` is a Map/Set of lemmas. A word already in it is its own lemma, so
+// "teacher" stays "teacher" rather than becoming "teach".
+export function lemmatize(word, lang = "en", known = null) {
+  if (lang !== "en") return word;
+  if (EN_IRREGULAR[word]) return EN_IRREGULAR[word];
+  if (known?.has(word)) return word;
+  const candidates = englishCandidates(word);
+  const hit = known && candidates.find(c => known.has(c));
+  if (hit) return hit;
+  // Unknown word: only trust the plural rule
+  return word.length > 4 && word.endsWith("s") && !/(ss|us|is)$/.test(word) ? word.slice(0, -1) : word;
+}
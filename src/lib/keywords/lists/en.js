@@ -0,0 +1,274 @@
+// English lemmas grouped by CEFR level, each group roughly in descending
+// frequency order. Compiled from general-English frequency rankings and
+// learner-vocabulary level guides; words not listed count as C2.
+
+export default {
+  A1: `
+the be to of and a in that have i it for not on with he as you do at this but his by from they we say her she or
+an will my one all would there their what so up out if about who get which go me when make can like time no just
+him know take people into year your good some could them see other than then now look only come its over think also
+back after use two how our work first well way even new want because any these give day most us very
+man woman child boy girl baby family mother father brother sister son daughter friend name home house room door window
+table chair bed kitchen bathroom garden street city country school class teacher student book page pen word
+number three four five six seven eight nine ten hundred thousand money price shop buy sell pay cost cheap
+food eat drink water milk tea coffee bread egg meat fish chicken apple banana fruit vegetable rice cake breakfast lunch dinner
+morning afternoon evening night today tomorrow yesterday week month weekend hour minute monday sunday january
+big small long short old young hot cold happy sad nice bad great beautiful easy hard fast slow right wrong
+red blue green yellow black white color dog cat animal bird tree flower sun rain weather
+car bus train plane bike ticket road station airport hotel holiday trip travel visit
+play watch read write listen speak talk ask answer help love live open close start stop sit stand walk run
+sleep wake wash cook clean swim dance sing draw learn study understand remember forget need try call meet wait
+phone computer email music film song game sport football tennis party birthday present picture photo
+head face eye ear nose mouth hand foot leg arm hair body doctor hospital ill sick
+job office worker question problem place thing life world part
+here where why yes please thank sorry hello goodbye okay again always never often sometimes usually
+every many much more less few lot little really too still soon later
+under near next between behind before around through down off without
+  `,
+  A2: `
+become leave feel put mean keep let begin seem show hear turn move believe hold bring happen provide lose include continue set
+change lead follow create spend grow offer appear build stay fall cut reach kill remain suggest raise pass decide
+return explain hope develop carry break receive agree support hit produce cover catch choose cause point plan
+area group fact company system program government
+story business issue side kind service power
+line end member law community team idea kid information parent others level
+health person art war history result reason research guy moment air force education
+age policy process market sense nation college interest death experience effect control
+field development role effort rate heart drug leader light voice wife police mind report decision view relationship
+town difference value building action model season society tax director position player record paper space ground
+form event official matter center couple site project activity star court american oil situation industry figure
+image data practice piece land product wall patient news test movie north technology
+step type attention source organization evidence population range meeting
+clothes shirt shoe dress jacket hat bag umbrella passport map museum beach mountain river sea island lake forest farm village
+camera radio television internet website message letter card gift fridge cup plate glass bottle knife spoon fork
+cheese butter sugar salt soup salad sandwich pizza chocolate orange potato tomato onion
+cloud snow wind storm warm cool dry wet sunny cloudy spring summer autumn winter
+angry bored tired hungry thirsty afraid excited worried busy free ready sure famous favorite favourite important interesting boring
+dangerous difficult expensive friendly funny healthy heavy lucky modern noisy quiet rich poor strong weak
+careful dirty empty full quick simple special strange terrible wonderful different same possible
+probably perhaps maybe almost already quite enough early late together alone abroad outside inside
+during against among across above below along until since though although while
+however instead else ever yet own such both either neither each whose whom
+hurry invite join prefer prepare relax rest shout smile laugh cry fly drive ride climb jump kick throw
+borrow lend share send post check fill fix miss order worry wear win enjoy hate
+accident ambulance appointment arrival bank bridge cafe castle church cinema concert competition
+corner crowd danger dentist diary dictionary exam exercise festival guest hobby homework journey
+kilometre kilometer metre meter neighbour neighbor nurse passenger pilot queue restaurant
+sale science sign shower stomach supermarket swimming temperature tooth uniform university
+  `,
+  B1: `
+achieve admit afford announce apply argue arrange attack attend avoid complain compare connect consider contain
+deal defend deliver depend describe destroy discover discuss divide doubt earn encourage escape exist expect
+express fail fight forgive gain guess hide identify imagine improve increase influence intend involve
+judge manage measure mention notice obtain occur organize organise permit persuade predict
+prevent promise protect prove publish realize realise recognize recognise recommend reduce refuse regret
+relate rely remind remove repair repeat replace reply represent request require respect respond
+risk save search select separate serve settle shake solve store succeed suffer supply surround survive
+swallow tend threaten treat trust vote warn wonder
+ability advantage advice agreement amount anger anxiety appearance approach argument arrangement
+atmosphere attitude audience average background balance behaviour behavior benefit bill blood border
+budget career challenge character choice climate comfort comment communication
+condition confidence conflict connection consequence contact content context contract contrast
+conversation courage crime crisis culture custom damage debate debt degree demand department
+depression desire detail device diet direction disadvantage disaster discussion disease distance
+document duty economy edge election element emergency emotion employment energy engine environment
+equipment error exchange excuse exhibition existence expectation expense experiment expert
+explanation factor failure faith fashion fear feature fee feeling fiction finance flight focus fuel
+function fund future generation goal growth guide habit harm heat honour honor humour humor
+identity illness impact impression income independence injury insurance intelligence
+interview invention investigation journalist knowledge labour labor lack language lawyer length
+limit loss luck machine majority management manager material meaning medicine memory
+method mistake mixture mood motion neighbourhood neighborhood network newspaper noise note object
+opinion opportunity option origin pain partner passion pattern payment peace percentage performance
+period permission personality pleasure poem pollution possibility pressure pride principle priority
+prison profit progress proof property proposal protection purpose quality quantity rank reaction
+reality recipe region relation reputation resource response responsibility revolution reward
+safety salary sample scene schedule scheme section security sentence series shape shortage skill
+solution speech speed spirit standard statement status strategy strength stress structure style
+success suggestion surface survey symbol talent target task technique tension theme theory threat
+tool topic tour tradition traffic trend trouble truth union variety victim violence volume wealth
+weapon width youth
+accurate actual additional alive amazing ancient annual anxious apparent appropriate aware
+basic brave brief brilliant calm capable central certain cheerful clear comfortable common complete
+complex confident confused conscious constant correct creative critical cultural curious current
+decent deep definite delicate dependent desperate direct distant domestic dramatic efficient
+electric electronic emotional entire equal essential evil exact excellent extra extreme fair
+familiar fantastic fascinating final financial firm flat flexible foreign formal former fresh
+frightened general generous gentle genuine global grateful guilty helpful honest huge ideal
+identical illegal immediate independent individual industrial initial innocent intelligent
+internal international legal likely local logical loose lovely loyal major mental mild minor
+moral narrow national native natural negative nervous normal obvious opposite ordinary
+original painful peaceful permanent personal physical pleasant polite popular positive
+powerful practical precise pregnant previous primary private professional proper proud public
+pure rare raw reasonable recent regular relevant reliable religious remarkable responsible
+rough rude safe scared secure senior sensible serious severe sharp silly similar sincere slight
+smooth social solid spare specific spiritual stable steady strict stupid successful sudden
+suitable superior sweet technical temporary tiny total traditional typical ugly unique unusual
+upset urban useful usual valuable various violent visible vital wealthy whole wide wild
+actually anyway apparently certainly clearly completely currently definitely directly easily
+entirely especially eventually exactly extremely fairly finally fortunately generally gradually
+hardly highly immediately increasingly indeed mainly mostly naturally nearly necessarily normally
+obviously otherwise particularly possibly previously rarely recently seriously similarly slightly
+suddenly surely totally truly unfortunately whatever wherever whereas
+despite unless whether towards toward beyond within throughout therefore thus moreover furthermore
+nevertheless nonetheless upon besides regarding concerning via per
+  `,
+  B2: `
+abandon absorb accelerate accommodate accompany accumulate accuse acknowledge acquire adapt adjust
+advocate allocate alter amend analyse analyze anticipate appoint appreciate approve assemble assert
+assess assign assist assume assure attain attribute authorize authorise bargain bind boost breed
+cancel capture cease cite clarify classify collapse combine commission commit compel
+compensate compete compile comply comprise conceal concede conceive concentrate conclude conduct
+confess confine confirm confront conquer consent conserve consist constitute construct consult
+consume contemplate contend contribute convert convey convict convince cooperate coordinate cope
+correspond crash criticise criticize cultivate declare decline dedicate deduce define delay delete
+demonstrate deny deprive derive deserve designate detect determine devote diagnose dictate differ
+diminish disclose discourage dismiss display dispose disrupt dissolve distinguish distort
+distribute disturb dominate donate drag draft drain dump elect eliminate embrace emerge emphasize
+emphasise employ enable enclose endure enforce engage enhance enrol enroll ensure enterprise
+equip erase establish estimate evaluate evolve exaggerate exceed exclude execute exhibit expand
+exploit explore expose extend extract facilitate fade favour favor flee flourish forbid
+formulate foster found freeze frustrate fulfil fulfill generate grab grant guarantee halt
+handle harvest heal highlight hire host hunt ignore illustrate impose impress incorporate
+indicate induce infer inform inherit inhibit initiate inject inspect inspire install institute
+integrate interfere interpret interrupt invade invest investigate isolate justify launch
+legislate license locate maintain manipulate manufacture maximize maximise merge migrate minimize
+minimise modify monitor motivate navigate negotiate nominate obey oblige observe occupy offend
+operate oppose outline overcome overlook oversee owe participate perceive persist portray pose
+possess postpone precede preserve presume prevail proceed proclaim prohibit promote prompt
+pronounce propose prosecute provoke pursue qualify quote react rebel recall recover recruit
+refine reflect reform regain register regulate reinforce reject relieve relocate remedy render
+renew resemble reside resign resist resolve restore restrict resume retain retire reveal reverse
+revise revive rescue sacrifice satisfy scan seize shift simulate specify
+speculate stimulate strain strive submit subscribe substitute sue summarize summarise
+supervise suppress surrender suspect suspend sustain tackle terminate testify tolerate trace
+transfer transform transmit trigger undergo undermine undertake unify update uphold utilize
+verify violate withdraw withstand witness yield
+abuse academic acceptance access accountability accuracy acquisition adaptation adjustment
+administration adolescent adoption affection aftermath agenda aggression aid alliance
+allocation allowance alteration ambition amendment analogy analysis ancestor anniversary
+anticipation apology appetite applause appliance applicant appreciation approval architecture
+aspect aspiration assault assembly assertion assessment asset assignment assistance assumption
+asylum attachment attainment authority autonomy awareness backlash ban bankruptcy barrier
+behalf belief bias boundary breakthrough burden bureaucracy campaign candidate capability
+capacity capitalism casualty catastrophe category ceremony certainty chaos circumstance citizen
+civilization civilisation clarity coalition cognition coincidence collaboration
+commentary commerce commitment commodity compassion compensation competence
+complexity complication component compromise concentration concept conception concern
+conclusion confession configuration confrontation conscience consciousness consensus
+conservation consideration consistency constitution constraint construction
+consultation consumer consumption contamination contempt contender contention contribution
+controversy convention conviction corporation correlation corruption counterpart coverage
+credibility criterion critic criticism curriculum database deadline decade deficit definition
+delegation democracy demonstration density deposit depth deputy descendant designer destination
+detection deterioration determination dialogue dignity dilemma dimension diplomacy disability
+discipline disclosure discount discourse discrimination displacement disposal dispute
+distinction distribution diversity doctrine domain donation dose drought dynamic economist
+ecosystem editor efficiency elaboration elite embassy emission emphasis empire enforcement
+enthusiasm entity entrepreneur equality equation equivalent estate ethic ethics
+evaluation evolution exception exclusion execution expansion expenditure expertise exploitation
+exposure extension extent facility faculty fatigue federation fragment framework franchise
+frequency friction frontier fulfilment fulfillment funding gender genre glimpse governance grief
+guideline harassment heritage hierarchy hypothesis ideology illusion immigrant immigration
+implication incentive incidence incident inclination indication inequality infection inflation
+infrastructure inheritance initiative innovation input insight inspection inspiration installation
+instinct institution integration integrity intensity intention interaction interference
+intervention intuition inventory investment invitation isolation jurisdiction justice
+justification landscape legacy legislation legislature legitimacy liability liberty likelihood
+limitation literacy litigation lobby logic magnitude mandate manipulation manufacturer margin
+maturity mechanism medication membership merit metaphor migration milestone minimum ministry
+minority mobility modification momentum monopoly morality mortality motivation motive mutation
+narrative negotiation neglect norm notion nutrition objection objective obligation observation
+obstacle occupation offence offense opponent opposition orientation outbreak outcome output
+outlook oversight ownership paradigm parameter participant participation patent patience
+pension perception perspective petition phenomenon philosophy pioneer plea pledge portfolio
+portrayal precedent precision predecessor prediction preference prejudice premise prescription
+presence preservation prevalence prevention privilege proceeding proportion prosecution
+prospect prosperity protest provision psychology publication punishment pursuit questionnaire
+radiation rationale realm rebellion recession recipient recognition recommendation recovery
+recruitment referendum reflection refuge refugee regime regulation rehabilitation
+reinforcement rejection reliance removal renaissance repetition replacement
+representation representative reproduction reservation residence resident resignation
+resistance resolution restoration restriction retention retirement revenue reversal
+revision rhetoric rivalry routine sanction scandal scenario scepticism skepticism scholar
+scholarship scope scrutiny sector segment sensation sensitivity sentiment settlement shareholder
+shortcoming simulation sovereignty specialist specification spectrum speculation sphere
+sponsor stability stake stakeholder statistic stereotype stimulus subsidy substance successor
+sufficiency summit supervision surgeon surplus surveillance suspicion sustainability syndrome
+synthesis tactic tenant tendency terminology territory testimony texture threshold tolerance
+trait trajectory transaction transformation transition transparency trauma treaty tribunal
+tribute turnover undergraduate unemployment uncertainty upbringing utility validity variable
+variation venture verdict version veteran viability vision vocabulary voluntary vulnerability
+warrant welfare workforce
+  `,
+  C1: `
+abolish abstain accentuate adhere adjourn admonish adorn affiliate aggravate alienate alleviate
+allude amass ameliorate amplify annihilate appease append apprehend arbitrate articulate ascertain
+ascribe aspire attest augment avert beckon belittle bestow bolster brandish bypass capitulate
+castigate censure circumvent coerce coincide collude commemorate compound concur condone confer
+congregate consolidate constrain contravene corroborate counteract culminate curb
+curtail debunk decimate decipher deem defer deflect defy degrade deliberate delineate denounce
+deplete deplore deploy deride despise deter detract deviate devise discern discredit disparage
+dispel disseminate divert divulge dwindle elicit elucidate emanate embark embed embody emulate
+encompass encroach endorse engender enlighten entail entice entrench enumerate envisage eradicate
+erode escalate evoke exacerbate exasperate excavate exemplify exert exonerate expedite expel
+extol fabricate falter fathom feign ferment flaunt fluctuate forestall forfeit forge
+galvanize galvanise glean hamper harness herald hinder impair impede implement implore incite
+incur indulge infringe instigate instil instill intercept intervene intimidate inundate invoke
+jeopardize jeopardise juxtapose lament languish leverage linger loathe mediate mitigate
+mobilize mobilise mock necessitate negate nurture obliterate obscure obstruct outweigh overhaul
+override overrule overthrow overwhelm perpetrate perpetuate pertain plummet ponder precipitate
+preclude procure proliferate propagate prosper purport quell ratify reciprocate
+reconcile rectify refute reiterate relinquish reminisce renounce replenish reprimand repudiate
+rescind resent retaliate retract reverberate revoke scrutinize scrutinise shun skew smother
+soar solicit squander stifle stipulate subdue subside substantiate supersede supplement surpass
+tamper thrive thwart transcend undercut underpin undo unravel usurp vent vindicate waive wane
+withhold
+aberration acumen adversary adversity advent affinity affluence allegation allegiance ambiguity
+ambivalence anomaly antagonism antidote apathy apprehension aptitude arbitration archetype
+arrogance artefact artifact ascent assimilation atrocity attrition audacity austerity aversion
+backdrop benevolence blunder bondage bounty bravado brevity brink calibre caliber candour candor
+caveat censorship certitude charisma clemency cohesion collusion complacency complicity
+composure concession condolence conformity conjecture connotation consortium contingency
+conundrum cornerstone credence culprit cynicism dearth debris decadence decree deference
+deficiency degradation deliberation demise deprivation deterrent detriment deviation dexterity
+diligence discord discrepancy disdain disparity disposition dissent divergence dividend
+dogma dominion duality echelon edifice efficacy eloquence embargo empathy endeavour endeavor
+entourage epitome equilibrium espionage ethos euphoria exemption exodus expediency facade
+fallacy famine fervour fervor fiasco finesse foresight fortitude fraud futility gist gravity
+grievance hallmark hardship hegemony hindrance hostility humility hysteria impasse impetus
+inertia infancy influx ingenuity inhibition injunction insolvency insurgency
+intricacy intrigue irony jargon juncture kinship lapse latitude leeway
+leniency lethargy liaison longevity malice mantra manuscript meddling
+mediocrity memoir menace mentality misconception misgiving mishap moratorium morale nemesis
+nostalgia notoriety nuance oblivion onset onslaught optimism ordeal outrage panacea
+paradox paramount parity patronage penchant peril perseverance pitfall plight
+ploy precaution predicament premonition prerogative prestige pretext prowess proximity
+prudence quandary rapport ratification rebuttal recourse redundancy remorse remnant rendition
+repercussion reprisal resilience restraint retribution reverence rift rigour rigor sanctity
+sanctuary scarcity schism semblance serenity servitude setback solace solidarity
+spectre specter stamina stance stigma stipulation strife subversion succession supremacy
+surrogate tenacity tenet tenure travesty turmoil tyranny upheaval utopia vanity vendetta
+vengeance vicinity vigilance vindication volatility whim zeal
+abrupt abundant adamant adept adjacent adverse aesthetic affluent agile ambiguous amiable
+ample analogous antiquated apt arbitrary arduous astute audacious austere authentic avid
+benign bland blatant bleak blunt buoyant candid chronic clandestine coherent colossal
+compelling complacent comprehensive conducive conspicuous contentious conventional copious
+cordial covert credible cryptic culpable cumbersome cursory daunting deft
+derelict detrimental devout diligent discreet disparate dormant drastic dubious durable
+eccentric elusive eminent empirical erratic esoteric ethical exemplary explicit exquisite
+extraneous fervent feasible fickle flagrant fledgling formidable frail frivolous frugal
+futile gregarious grueling gruelling haphazard harrowing hectic hostile immaculate imminent
+impartial impeccable imperative implicit impromptu incessant incumbent indifferent indigenous
+inevitable inherent innate insatiable intrepid intricate intrinsic ironic irrevocable
+jovial judicious lavish legitimate lethal lucid lucrative ludicrous meagre meager meticulous
+mundane myriad nascent negligible nominal notorious novel nuanced obsolete ominous opaque
+overt palpable pensive pervasive pivotal plausible poignant pragmatic precarious
+predominant prevalent pristine prolific prominent prone prudent quaint radical rampant
+redundant relentless reluctant resilient robust rudimentary ruthless salient scant
+scrupulous secular serene shrewd skeptical sceptical sluggish sober sombre somber sporadic
+spurious staunch stringent subtle succinct superficial susceptible tacit tangible tedious
+tenuous trivial turbulent ubiquitous unanimous unprecedented vague viable vibrant vigilant
+volatile vulnerable wary whimsical zealous
+  `,
+};
@@ -0,0 +1,16 @@
+import { describe, expect, it } from "vitest";
+import groups from "./en.js";
+
+describe("English CEFR list", () => {
+  it("lists each lemma once, at a single level", () => {
+    const seen = new Map();
+    const repeats = [];
+    for (const [level, text] of Object.entries(groups)) {
+      for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (seen.has(word)) repeats.push(`${word} (${seen.get(word)}, ${level})`);
+        else seen.set(word, level);
+      }
+    }
+    expect(repeats).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+import { words, cleanWord } from "./text.js";
+
+const CLOSE = 0.6;
+
+function editDistance(a, b) {
+  const A = [...a], B = [...b];
+  let prev = Array.from({ length: B.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= A.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= B.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (A[i - 1] === B[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[B.length];
+}
+
+export function similarity(a, b) {
+  const len = Math.max([...a].length, [...b].length);
+  return len === 0 ? 1 : 1 - editDistance(a, b) / len;
+}
+
+const tokens = (text, lang) => words(text, lang).map(w => cleanWord(w, lang)).filter(Boolean);
+
+/**
+ * Aligns what was heard against what was expected, word by word, and returns
+ * { score: 0–100, words: [{ word, heard, status: "match" | "close" | "missed" }] }.
+ * Near misses ("close") earn partial credit by character similarity.
+ */
+export function scorePronunciation(expected, heard, lang = "en") {
+  const exp = tokens(expected, lang);
+  const got = tokens(heard || "", lang);
+  if (!exp.length) return { score: 0, words: [] };
+
+  // cost[i][j]: cheapest alignment of exp[0..i) with got[0..j); step[i][j] records how it was reached
+  const cost = Array.from({ length: exp.length + 1 }, () => []);
+  const step = Array.from({ length: exp.length + 1 }, () => []);
+  for (let i = 0; i <= exp.length; i++) {
+    for (let j = 0; j <= got.length; j++) {
+      if (i === 0 || j === 0) { cost[i][j] = i + j; step[i][j] = i === 0 ? "extra" : "skip"; continue; }
+      const sim = similarity(exp[i - 1], got[j - 1]);
+      const options = [
+        ["pair", cost[i - 1][j - 1] + (sim >= CLOSE ? 1 - sim : 1.5)],
+        ["skip", cost[i - 1][j] + 1],
+        ["extra", cost[i][j - 1] + 1],
+      ];
+      const [best, value] = options.reduce((a, b) => (b[1] < a[1] ? b : a));
+      cost[i][j] = value; step[i][j] = best;
+    }
+  }
+
+  const result = [];
+  let i = exp.length, j = got.length;
+  while (i > 0) {
+    const move = step[i][j];
+    if (move === "extra") { j--; continue; }
+    const sim = move === "pair" ? similarity(exp[i - 1], got[j - 1]) : 0;
+    result.unshift(sim >= CLOSE
+      ? { word: exp[i - 1], heard: got[j - 1], status: sim === 1 ? "match" : "close", credit: sim }
+      : { word: exp[i - 1], heard: null, status: "missed", credit: 0 });
+    i--;
+    if (move === "pair") j--;
+  }
+
+  const score = Math.round((result.reduce((sum, w) => sum + w.credit, 0) / exp.length) * 100);
+  return { score, words: result.map(w => ({ word: w.word, heard: w.heard, status: w.status })) };
+}
@@ -0,0 +1,47 @@
+// SM-2 style spaced-repetition scheduling for word bank entries.
+// Pure functions only: every call takes `now` so the caller controls time.
+
+export const GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+
+const DAY = 24 * 60 * 60 * 1000;
+const RELEARN_DELAY = 10 * 60 * 1000;
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+export function newCard(now = Date.now()) {
+  return { ease: START_EASE, interval: 0, reps: 0, lapses: 0, due: now };
+}
+
+// Returns a copy of `card` rescheduled after answering with `grade` (1–5).
+export function review(card, grade, now = Date.now()) {
+  const q = Math.min(Math.max(grade, 0), 5);
+  const ease = Math.max(MIN_EASE, (card.ease ?? START_EASE) + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+
+  if (q < 3) {
+    return { ...card, ease, reps: 0, interval: 0, lapses: (card.lapses || 0) + 1, due: now + RELEARN_DELAY, lastReview: now };
+  }
+
+  const reps = (card.reps || 0) + 1;
+  let interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(Math.max(card.interval || 1, 1) * ease);
+  if (q === GRADES.easy) interval = Math.round(interval * 1.3);
+  return { ...card, ease, reps, interval, due: now + interval * DAY, lastReview: now };
+}
+
+// Entries saved before scheduling existed have no `due` and count as due.
+export function isDue(card, now = Date.now()) {
+  return (card.due ?? 0) <= now;
+}
+
+export function dueCards(cards, now = Date.now()) {
+  return cards.filter(c => isDue(c, now)).sort((a, b) => (a.due ?? 0) - (b.due ?? 0));
+}
+
+export function dueTodayCount(cards, now = Date.now()) {
+  const endOfDay = new Date(now);
+  endOfDay.setHours(23, 59, 59, 999);
+  return cards.filter(c => isDue(c, endOfDay.getTime())).length;
+}
+
+export function nextDue(cards) {
+  return cards.reduce((min, c) => (c.due != null && c.due < min ? c.due : min), Infinity);
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import { GRADES, newCard, review, isDue, dueCards, dueTodayCount, nextDue } from "./scheduler.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-03-20T12:00:00").getTime();
+
+// Answers `card` with each grade in turn, a day apart.
+const answer = (card, grades) => grades.reduce((c, grade, i) => review(c, grade, NOW + i * DAY), card);
+
+describe("review", () => {
+  it("grows the interval 1, 6, then by the ease on good answers", () => {
+    const first = review(newCard(NOW), GRADES.good, NOW);
+    expect(first).toMatchObject({ reps: 1, interval: 1, ease: 2.5, due: NOW + DAY, lastReview: NOW });
+    const second = review(first, GRADES.good, NOW);
+    expect(second).toMatchObject({ reps: 2, interval: 6 });
+    const third = review(second, GRADES.good, NOW);
+    expect(third).toMatchObject({ reps: 3, interval: 15, due: NOW + 15 * DAY });
+  });
+
+  it("adjusts the ease and interval for each passing grade", () => {
+    const card = { ...newCard(NOW), reps: 2, interval: 6 };
+    const hard = review(card, GRADES.hard, NOW);
+    const good = review(card, GRADES.good, NOW);
+    const easy = review(card, GRADES.easy, NOW);
+    expect(hard.ease).toBeCloseTo(2.36);
+    expect(good.ease).toBeCloseTo(2.5);
+    expect(easy.ease).toBeCloseTo(2.6);
+    expect([hard.interval, good.interval, easy.interval]).toEqual([14, 15, 21]);
+    expect(easy.interval).toBeGreaterThan(good.interval);
+  });
+
+  it("resets a lapsed card to relearn in ten minutes", () => {
+    const learned = answer(newCard(NOW), [GRADES.good, GRADES.good, GRADES.good]);
+    const lapsed = review(learned, GRADES.again, NOW);
+    expect(lapsed).toMatchObject({ reps: 0, interval: 0, lapses: 1, due: NOW + 10 * 60 * 1000 });
+    expect(lapsed.ease).toBeCloseTo(learned.ease - 0.54);
+    expect(review(lapsed, GRADES.good, NOW)).toMatchObject({ reps: 1, interval: 1, lapses: 1 });
+  });
+
+  it("never lets the ease drop below 1.3", () => {
+    const card = answer(newCard(NOW), Array(10).fill(GRADES.again));
+    expect(card.ease).toBe(1.3);
+    expect(card.lapses).toBe(10);
+    expect(review(card, GRADES.hard, NOW).ease).toBe(1.3);
+  });
+
+  it("clamps grades to 0–5 and leaves the input card alone", () => {
+    const card = newCard(NOW);
+    expect(review(card, 9, NOW)).toEqual(review(card, GRADES.easy, NOW));
+    expect(card).toEqual(newCard(NOW));
+  });
+});
+
+describe("due cards", () => {
+  const cards = [
+    { word: "later", due: NOW + 2 * DAY },
+    { word: "tonight", due: new Date("2026-03-20T22:00:00").getTime() },
+    { word: "overdue", due: NOW - DAY },
+    { word: "legacy" },
+    { word: "now", due: NOW },
+  ];
+
+  it("treats cards without a due date as due", () => {
+    expect(isDue({}, NOW)).toBe(true);
+    expect(dueCards(cards, NOW).map(c => c.word)).toEqual(["legacy", "overdue", "now"]);
+  });
+
+  it("counts everything due before midnight", () => {
+    expect(dueTodayCount(cards, NOW)).toBe(4);
+    expect(dueTodayCount(cards, new Date("2026-03-21T00:00:00").getTime())).toBe(4);
+    expect(dueTodayCount([], NOW)).toBe(0);
+  });
+
+  it("finds the soonest due date", () => {
+    expect(nextDue(cards)).toBe(NOW - DAY);
+    expect(nextDue([])).toBe(Infinity);
+  });
+});
@@ -0,0 +1,63 @@
+import { run } from "./db.js";
+
+// IndexedDB-backed library of transcribed sessions, keyed by media content hash.
+
+const STORE = "sessions";
+
+const HASH_CHUNK = 8 * 1024 * 1024;
+
+// SHA-256 of the file; files over 3 chunks are sampled (head, middle, tail + size)
+// so hashing a long video doesn't load it all into memory.
+export async function hashFile(file) {
+  let data;
+  if (file.size <= HASH_CHUNK * 3) {
+    data = await file.arrayBuffer();
+  } else {
+    const mid = Math.floor(file.size / 2 - HASH_CHUNK / 2);
+    const parts = [file.slice(0, HASH_CHUNK), file.slice(mid, mid + HASH_CHUNK), file.slice(file.size - HASH_CHUNK), String(file.size)];
+    data = await new Blob(parts).arrayBuffer();
+  }
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function getSession(id) {
+  return run(STORE, "readonly", store => store.get(id));
+}
+
+export async function listSessions() {
+  const all = await run(STORE, "readonly", store => store.getAll());
+  return all.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+const toRecord = (session, now = Date.now()) => ({ createdAt: now, ...session, name: session.name || session.fileName, updatedAt: now });
+
+export async function saveSession(session) {
+  const record = toRecord(session);
+  await run(STORE, "readwrite", store => store.put(record));
+  return record;
+}
+
+// Reads and writes in one transaction so concurrent updates can't overwrite each other.
+export async function updateSession(id, changes) {
+  let record = null;
+  await run(STORE, "readwrite", store => {
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      record = toRecord({ ...req.result, ...changes });
+      store.put(record);
+    };
+    return req;
+  });
+  if (!record) throw new Error(`Session ${id} not found`);
+  return record;
+}
+
+export function renameSession(id, name) {
+  return updateSession(id, { name });
+}
+
+export function deleteSession(id) {
+  return run(STORE, "readwrite", store => store.delete(id));
+}
@@ -0,0 +1,39 @@
+import { words } from "./text.js";
+
+const SPEAKER_COLORS = ["#a78bfa", "#38bdf8", "#fb7185", "#34d399", "#fbbf24", "#c084fc"];
+
+// Hashes the whole label so "A" and "AB" don't share a colour.
+export function speakerColor(speaker) {
+  if (!speaker) return "#a78bfa";
+  let h = 0;
+  for (const ch of String(speaker)) h = (h * 31 + ch.codePointAt(0)) >>> 0;
+  return SPEAKER_COLORS[h % SPEAKER_COLORS.length];
+}
+
+// `names` maps diarization labels ("A", "B", …) to the names the learner gave them.
+export function speakerLabel(speaker, names = {}) {
+  return names[speaker] || `S${speaker}`;
+}
+
+// Talk time (ms), line and word counts per speaker, in order of first appearance.
+export function speakerStats(lines, lang = "en") {
+  const stats = new Map();
+  for (const line of lines) {
+    if (!line.speaker) continue;
+    const s = stats.get(line.speaker) || { speaker: line.speaker, talkTime: 0, lines: 0, words: 0 };
+    s.talkTime += Math.max(line.end - line.start, 0);
+    s.lines += 1;
+    s.words += words(line.text, lang).length;
+    stats.set(line.speaker, s);
+  }
+  return [...stats.values()];
+}
+
+// Relabels every line and timed word of speaker `from` as `into`.
+export function mergeSpeakers(lines, from, into) {
+  return lines.map(line => line.speaker !== from && !line.words?.some(w => w.speaker === from) ? line : {
+    ...line,
+    speaker: line.speaker === from ? into : line.speaker,
+    ...(line.words && { words: line.words.map(w => (w.speaker === from ? { ...w, speaker: into } : w)) }),
+  });
+}
@@ -0,0 +1,21 @@
+import { createWebSpeechRecognizer } from "./webspeech.js";
+import { createLocalRecognizer } from "./local.js";
+
+// A recognizer is { name, available(), start({ lang }) => Promise<{ result, stop, cancel }> }
+// where `result` resolves to { transcript } once listening ends ("" when nothing was
+// heard) and rejects with an AbortError after `cancel()`.
+export const RECOGNIZERS = {
+  webspeech: () => createWebSpeechRecognizer(),
+  local: (env) => createLocalRecognizer({ url: env.VITE_LOCAL_ASR_URL }),
+};
+
+// Uses the configured recognizer, falling back to whichever one works in this browser.
+export function createRecognizer(env = {}) {
+  const preferred = env.VITE_SPEECH_RECOGNIZER || "webspeech";
+  const order = [preferred, ...Object.keys(RECOGNIZERS).filter(n => n !== preferred)];
+  for (const name of order) {
+    const recognizer = RECOGNIZERS[name]?.(env);
+    if (recognizer?.available()) return recognizer;
+  }
+  return null;
+}
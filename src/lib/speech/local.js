@@ -0,0 +1,37 @@
+// Records with MediaRecorder and posts the clip to a Whisper-compatible HTTP
+// endpoint (whisper.cpp server /inference, faster-whisper /v1/audio/transcriptions).
+export function createLocalRecognizer({ url, maxDurationMs = 15000 } = {}) {
+  return {
+    name: "local",
+    available: () => !!url && typeof MediaRecorder !== "undefined" && !!navigator.mediaDevices?.getUserMedia,
+    async start({ lang }) {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const recorder = new MediaRecorder(stream);
+      const chunks = [];
+      let cancelled = false;
+      const controller = new AbortController();
+      recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+
+      const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+      const timer = setTimeout(() => recorder.state !== "inactive" && recorder.stop(), maxDurationMs);
+      recorder.start();
+
+      const result = stopped.then(async () => {
+        clearTimeout(timer);
+        stream.getTracks().forEach(t => t.stop());
+        if (cancelled) throw new DOMException("Cancelled", "AbortError");
+        const body = new FormData();
+        body.append("file", new Blob(chunks, { type: recorder.mimeType }), "recording.webm");
+        body.append("language", lang.split("-")[0]);
+        body.append("response_format", "json");
+        const res = await fetch(url, { method: "POST", body, signal: controller.signal });
+        if (!res.ok) throw new Error(`Recognizer HTTP ${res.status}`);
+        const data = await res.json();
+        return { transcript: (data.text || "").trim() };
+      });
+
+      const stop = () => { if (recorder.state !== "inactive") recorder.stop(); };
+      return { result, stop, cancel: () => { cancelled = true; controller.abort(); stop(); } };
+    },
+  };
+}
@@ -0,0 +1,28 @@
+// Browser speech recognition (Chrome/Edge/Safari); listens to the microphone itself.
+export function createWebSpeechRecognizer() {
+  const Recognition = typeof window !== "undefined" && (window.SpeechRecognition || window.webkitSpeechRecognition);
+  return {
+    name: "webspeech",
+    available: () => !!Recognition,
+    async start({ lang }) {
+      const rec = new Recognition();
+      rec.lang = lang;
+      rec.interimResults = false;
+      rec.maxAlternatives = 1;
+      const heard = [];
+      const result = new Promise((resolve, reject) => {
+        rec.onresult = (e) => {
+          for (let i = e.resultIndex; i < e.results.length; i++) if (e.results[i].isFinal) heard.push(e.results[i][0].transcript);
+        };
+        rec.onerror = (e) => {
+          if (e.error === "aborted") reject(new DOMException("Cancelled", "AbortError"));
+          else if (e.error === "no-speech") resolve({ transcript: "" });
+          else reject(new Error(e.error));
+        };
+        rec.onend = () => resolve({ transcript: heard.join(" ").trim() });
+      });
+      rec.start();
+      return { result, stop: () => rec.stop(), cancel: () => rec.abort() };
+    },
+  };
+}
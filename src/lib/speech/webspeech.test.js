@@ -0,0 +1,48 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createWebSpeechRecognizer } from "./webspeech.js";
+
+// Stand-in for the browser's SpeechRecognition; tests drive its events directly.
+class FakeRecognition {
+  static last = null;
+  constructor() { FakeRecognition.last = this; }
+  start() {}
+  stop() { this.onend?.(); }
+  abort() { this.onerror?.({ error: "aborted" }); this.onend?.(); }
+}
+
+const result = (transcript) => ({ resultIndex: 0, results: [Object.assign([{ transcript }], { isFinal: true })] });
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe("web speech recognizer", () => {
+  const listen = async () => {
+    vi.stubGlobal("window", { SpeechRecognition: FakeRecognition });
+    return createWebSpeechRecognizer().start({ lang: "fr-FR" });
+  };
+
+  it("resolves with what was heard", async () => {
+    const session = await listen();
+    FakeRecognition.last.onresult(result("bonjour"));
+    session.stop();
+    await expect(session.result).resolves.toEqual({ transcript: "bonjour" });
+  });
+
+  it("resolves empty when nothing was said", async () => {
+    const session = await listen();
+    FakeRecognition.last.onerror({ error: "no-speech" });
+    await expect(session.result).resolves.toEqual({ transcript: "" });
+  });
+
+  it("rejects with an AbortError when cancelled", async () => {
+    const session = await listen();
+    FakeRecognition.last.onresult(result("bon"));
+    session.cancel();
+    await expect(session.result).rejects.toMatchObject({ name: "AbortError" });
+  });
+
+  it("rejects on recognition errors", async () => {
+    const session = await listen();
+    FakeRecognition.last.onerror({ error: "not-allowed" });
+    await expect(session.result).rejects.toThrow("not-allowed");
+  });
+});
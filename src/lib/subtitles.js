@@ -0,0 +1,120 @@
+// SRT / WebVTT conversion for transcript lines ({ start, end, text, speaker }, ms).
+
+const TIME = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+const CUE_TIMING = new RegExp(`${TIME.source}\\s*-->\\s*${TIME.source}`);
+
+export function formatTimestamp(ms, separator = ".") {
+  const t = Math.max(0, Math.round(ms));
+  const h = Math.floor(t / 3600000);
+  const m = Math.floor((t % 3600000) / 60000);
+  const s = Math.floor((t % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(t % 1000, 3)}`;
+}
+
+function toMs(h, m, s, frac) {
+  return ((Number(h || 0) * 60 + Number(m)) * 60 + Number(s)) * 1000 + Number(frac.padEnd(3, "0"));
+}
+
+function cueText(line, translation) {
+  return translation ? `${line.text}\n${translation}` : line.text;
+}
+
+// WebVTT cue text is markup: a bare "<" starts a tag, "&" an entity, and "-->" ends the cue
+const escapeVTT = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">" };
+const unescapeVTT = (text) => text.replace(/&(amp|lt|gt);/g, (_, name) => ENTITIES[name]);
+
+// `translations` is an optional array aligned with `lines` for bilingual output.
+export function toSRT(lines, translations = []) {
+  return lines.map((line, i) =>
+    `${i + 1}\n${formatTimestamp(line.start, ",")} --> ${formatTimestamp(line.end, ",")}\n${cueText(line, translations[i])}`
+  ).join("\n\n") + "\n";
+}
+
+export function toVTT(lines, translations = [], { lang } = {}) {
+  const header = lang ? `WEBVTT\nLanguage: ${lang}` : "WEBVTT";
+  const cues = lines.map((line, i) => {
+    const voice = line.speaker ? `<v ${escapeVTT(String(line.speaker))}>` : "";
+    return `${formatTimestamp(line.start)} --> ${formatTimestamp(line.end)}\n${voice}${escapeVTT(cueText(line, translations[i]))}`;
+  });
+  return [header, ...cues].join("\n\n") + "\n";
+}
+
+function stripMarkup(text) {
+  return unescapeVTT(text.replace(/<[^>]+>/g, "").replace(/\{\\[^}]*\}/g, "")).trim();
+}
+
+function parseBlocks(text) {
+  const lines = [];
+  for (const block of text.replace(/\r\n?/g, "\n").split(/\n{2,}/)) {
+    const rows = block.split("\n").filter(r => r.trim());
+    const timingRow = rows.findIndex(r => CUE_TIMING.test(r));
+    if (timingRow === -1) continue;
+    const m = rows[timingRow].match(CUE_TIMING);
+    const body = rows.slice(timingRow + 1).join(" ");
+    const voice = body.match(/<v(?:\.[^\s>]+)?\s+([^>]+)>/);
+    const cueTextValue = stripMarkup(body);
+    if (!cueTextValue) continue;
+    lines.push({
+      start: toMs(m[1], m[2], m[3], m[4]),
+      end: toMs(m[5], m[6], m[7], m[8]),
+      text: cueTextValue,
+      speaker: voice ? unescapeVTT(voice[1].trim()) : null,
+    });
+  }
+  return lines.sort((a, b) => a.start - b.start);
+}
+
+export function parseSRT(text) {
+  return parseBlocks(text);
+}
+
+export function parseVTT(text) {
+  const body = text.replace(/^\uFEFF/, "");
+  if (!/^WEBVTT/.test(body)) throw new Error("Not a WebVTT file");
+  return parseBlocks(body.replace(/^WEBVTT[^\n]*\n/, "").replace(/(^|\n)(NOTE|STYLE|REGION)\b[\s\S]*?(?=\n\n|$)/g, "$1"));
+}
+
+export function isSubtitleFile(name) {
+  return /\.(srt|vtt)$/i.test(name);
+}
+
+// Guesses the cue language from a VTT "Language:" header or a "movie.fr.srt" name.
+export function subtitleLanguage(text, fileName = "") {
+  const header = text.match(/^Language:\s*([\w-]+)/m);
+  if (header) return header[1];
+  const suffix = fileName.match(/\.([a-z]{2,3}(?:[-_][A-Za-z]{2,4})?)\.(srt|vtt)$/i);
+  return suffix ? suffix[1] : null;
+}
+
+// Words at the end of `previous` that `text` starts by repeating.
+function dropRepeatedLead(previous, text) {
+  const a = previous.split(" ");
+  const b = text.split(" ");
+  for (let n = Math.min(a.length, b.length); n > 0; n--) {
+    if (a.slice(-n).join(" ") === b.slice(0, n).join(" ")) return b.slice(n).join(" ");
+  }
+  return text;
+}
+
+// Automatic captions (YouTube's in particular) roll: each cue repeats the line before
+// it, and a few-millisecond cue marks every scroll. Keeps only the new words of each cue.
+export function collapseRollingCaptions(lines) {
+  const out = [];
+  for (const line of lines) {
+    if (line.end - line.start < 50) continue;
+    const previous = out.at(-1);
+    const text = previous ? dropRepeatedLead(previous.text, line.text) : line.text;
+    if (text) out.push({ ...line, text });
+    else if (previous) previous.end = Math.max(previous.end, line.end);
+  }
+  return out;
+}
+
+export function parseSubtitles(text, fileName = "") {
+  const lines = /\.vtt$/i.test(fileName) || /^\uFEFF?WEBVTT/.test(text) ? parseVTT(text) : parseSRT(text);
+  if (!lines.length) throw new Error("No subtitle cues found");
+  return lines;
+}
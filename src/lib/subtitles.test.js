@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { parseSubtitles, toSRT, toVTT } from "./subtitles.js";
+
+const LINES = [
+  { start: 1000, end: 2500, text: "Bonjour le monde", speaker: null },
+  { start: 3000, end: 4000, text: "a < b && c --> d", speaker: "A&B <x>" },
+];
+
+describe("toVTT", () => {
+  it("escapes markup in cue text and voice names", () => {
+    const vtt = toVTT(LINES);
+    expect(vtt).toContain("<v A&amp;B &lt;x&gt;>a &lt; b &amp;&amp; c --&gt; d");
+    // The only arrows left are the cue timings
+    expect(vtt.match(/-->/g)).toHaveLength(2);
+  });
+
+  it("round-trips through the parser", () => {
+    expect(parseSubtitles(toVTT(LINES, [], { lang: "fr" }), "out.vtt")).toEqual(LINES);
+  });
+});
+
+describe("toSRT", () => {
+  it("writes numbered cues with comma timestamps and optional translations", () => {
+    expect(toSRT(LINES.slice(0, 1), ["Hello world"])).toBe("1\n00:00:01,000 --> 00:00:02,500\nBonjour le monde\nHello world\n");
+  });
+});
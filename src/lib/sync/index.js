@@ -0,0 +1,79 @@
+import { newCard } from "../scheduler.js";
+import { entryKey } from "../vocab/index.js";
+
+export { mergeVocabulary, trackChanges, changedSince } from "../../../shared/vocabulary.js";
+
+// Client for the sync routes of the polyglot server: accounts, word bank sync and
+// read-only shared decks. The signed-in account ({ username, token, syncedAt }) is
+// kept in localStorage.
+
+const API_URL = (import.meta.env.VITE_API_URL || "/api").replace(/\/$/, "");
+const ACCOUNT_KEY = "polyglot_sync_account";
+// Entry fields that belong to the learner rather than the deck's owner.
+const LEARNER_FIELDS = [...Object.keys(newCard()), "lastReview", "pronunciation"];
+
+// `status` is the HTTP status, or 0 when the server couldn't be reached.
+export class SyncError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "SyncError";
+    this.status = status;
+  }
+}
+
+async function request(path, { token, body, method = body ? "POST" : "GET" } = {}) {
+  const res = await fetch(`${API_URL}${path}`, {
+    method,
+    headers: { ...(body && { "Content-Type": "application/json" }), ...(token && { Authorization: `Bearer ${token}` }) },
+    body: body && JSON.stringify(body),
+  }).catch(() => null);
+  if (!res) throw new SyncError("Server unreachable", 0);
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new SyncError(data.error || `HTTP ${res.status}`, res.status);
+  return data;
+}
+
+export function loadAccount() {
+  try { return JSON.parse(localStorage.getItem(ACCOUNT_KEY) || "null"); } catch { return null; }
+}
+
+export function saveAccount(account) {
+  if (account) localStorage.setItem(ACCOUNT_KEY, JSON.stringify(account));
+  else localStorage.removeItem(ACCOUNT_KEY);
+}
+
+// Both resolve to { username, token }.
+export const register = (username, password) => request("/auth/register", { body: { username, password } });
+export const login = (username, password) => request("/auth/login", { body: { username, password } });
+export const logout = ({ token }) => request("/auth/logout", { token, method: "POST" });
+
+// Sends the whole vocabulary and resolves to the server's merged copy.
+export const syncVocabulary = ({ token }, { decks, words, deleted }) => request("/sync", { token, body: { decks, words, deleted } });
+
+export const shareDeck = ({ token }, deckId) => request("/shares", { token, body: { deck: deckId } });
+
+// Resolves to { id, name, words, updatedAt }; no account needed.
+export const fetchSharedDeck = (id) => request(`/shares/${encodeURIComponent(id)}`);
+
+export const shareLink = (id) => `${location.origin}${location.pathname}?deck=${encodeURIComponent(id)}`;
+
+export const sharedDeckFromUrl = () => new URLSearchParams(location.search).get("deck");
+
+// Replaces a subscribed deck's words and name with the owner's current ones, keeping
+// this learner's review progress on words that are still in it. Words whose content
+// didn't change are returned as-is so trackChanges leaves them alone.
+export function applySharedDeck(vocabulary, deckId, shared) {
+  const mine = new Map(vocabulary.words.filter(w => w.deck === deckId).map(w => [entryKey(w), w]));
+  const words = shared.words.map(entry => {
+    const word = { ...entry, deck: deckId };
+    const current = mine.get(entryKey(word));
+    if (!current) return { ...newCard(), ...word };
+    if (Object.keys(word).every(k => JSON.stringify(word[k]) === JSON.stringify(current[k]))) return current;
+    return { ...word, ...Object.fromEntries(LEARNER_FIELDS.filter(k => k in current).map(k => [k, current[k]])) };
+  });
+  return {
+    ...vocabulary,
+    decks: vocabulary.decks.map(d => (d.id === deckId && d.name !== shared.name ? { ...d, name: shared.name } : d)),
+    words: [...vocabulary.words.filter(w => w.deck !== deckId), ...words],
+  };
+}
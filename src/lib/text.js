@@ -0,0 +1,54 @@
+// Unicode-aware tokenization shared by the transcript, keywords, translation and TTS.
+
+const SPEECH_LOCALES = {
+  en: "en-US", fr: "fr-FR", es: "es-ES", de: "de-DE", it: "it-IT", pt: "pt-PT", nl: "nl-NL",
+  ja: "ja-JP", zh: "zh-CN", ko: "ko-KR", ar: "ar-SA", tr: "tr-TR", ru: "ru-RU", hi: "hi-IN",
+};
+
+// Scripts written without spaces, where a single character can be a whole word.
+const DENSE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+// AssemblyAI reports codes such as "en_us" or "fr"; keep the base language.
+export function normalizeLang(code) {
+  return (code || "en").toLowerCase().split(/[_-]/)[0];
+}
+
+export function speechLocale(lang) {
+  const base = normalizeLang(lang);
+  return SPEECH_LOCALES[base] || base;
+}
+
+const segmenters = {};
+function getSegmenter(lang) {
+  if (typeof Intl === "undefined" || !Intl.Segmenter) return null;
+  return (segmenters[lang] ||= new Intl.Segmenter(lang, { granularity: "word" }));
+}
+
+// Splits text into { text, isWord } pieces that concatenate back to the input.
+export function segmentWords(text, lang = "en") {
+  const segmenter = getSegmenter(normalizeLang(lang));
+  if (!segmenter) {
+    return text.split(/(\s+)/).filter(Boolean).map(t => ({ text: t, isWord: /[\p{L}\p{N}]/u.test(t) }));
+  }
+  return [...segmenter.segment(text)].map(s => ({ text: s.segment, isWord: !!s.isWordLike }));
+}
+
+export function words(text, lang = "en") {
+  return segmentWords(text, lang).filter(s => s.isWord).map(s => s.text);
+}
+
+// Strips surrounding punctuation and lower-cases with the source language's rules.
+export function cleanWord(word, lang = "en") {
+  const stripped = word.replace(/^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu, "");
+  return stripped.toLocaleLowerCase(normalizeLang(lang));
+}
+
+export function isDenseScript(word) {
+  return DENSE_SCRIPT.test(word);
+}
+
+// Whether a cleaned word is worth looking up: two letters, or one CJK/Thai character.
+export function isLookupWord(word) {
+  if (!word || /^\p{N}+$/u.test(word)) return false;
+  return [...word].length >= 2 || isDenseScript(word);
+}
@@ -0,0 +1,63 @@
+import { isDenseScript, normalizeLang } from "./text.js";
+import { wordSpans } from "./wordTiming.js";
+
+// Pure edits on transcript lines ({ start, end, text, speaker, words? }, ms).
+// Each returns a new array so the caller can keep the old one for undo.
+
+export function editLine(lines, index, changes) {
+  const line = { ...lines[index], ...changes };
+  if (line.end < line.start) line.end = line.start;
+  return lines.map((l, i) => (i === index ? line : l));
+}
+
+// Splits a line at character `offset`. Timed words go to the side they fall on and
+// set the cut point; without them the time is divided in proportion to the text.
+export function splitLine(lines, index, offset, lang = "en") {
+  const line = lines[index];
+  const left = line.text.slice(0, offset).trim();
+  const right = line.text.slice(offset).trim();
+  if (!left || !right) return lines;
+
+  const spans = line.words?.length ? wordSpans(line.text, line.words, lang) : [];
+  const leftWords = spans.filter(s => s.from < offset).map(s => line.words[s.index]);
+  const rightWords = spans.filter(s => s.from >= offset).map(s => line.words[s.index]);
+  const cut = rightWords[0]?.start ?? Math.round(line.start + (line.end - line.start) * (offset / line.text.length));
+
+  const first = { ...line, text: left, end: leftWords.at(-1)?.end ?? cut };
+  const second = { ...line, text: right, start: cut };
+  if (line.words) {
+    first.words = leftWords;
+    second.words = rightWords;
+  }
+  return [...lines.slice(0, index), first, second, ...lines.slice(index + 1)];
+}
+
+// Joins a line with the one after it; the first line's speaker wins.
+export function mergeWithNext(lines, index) {
+  const a = lines[index];
+  const b = lines[index + 1];
+  if (!b) return lines;
+  const dense = isDenseScript(a.text.slice(-1)) && isDenseScript(b.text[0] || "");
+  const merged = {
+    ...a,
+    text: a.text + (dense ? "" : " ") + b.text,
+    end: Math.max(a.end, b.end),
+    ...((a.words || b.words) && { words: [...(a.words || []), ...(b.words || [])] }),
+  };
+  return [...lines.slice(0, index), merged, ...lines.slice(index + 2)];
+}
+
+// Case-insensitive matches of `query`, as { line, from, to } character ranges.
+export function searchTranscript(lines, query, lang = "en") {
+  const locale = normalizeLang(lang);
+  const needle = query.trim().toLocaleLowerCase(locale);
+  if (!needle) return [];
+  const hits = [];
+  lines.forEach((line, i) => {
+    const hay = line.text.toLocaleLowerCase(locale);
+    for (let at = hay.indexOf(needle); at >= 0; at = hay.indexOf(needle, at + needle.length)) {
+      hits.push({ line: i, from: at, to: at + needle.length });
+    }
+  });
+  return hits;
+}
@@ -0,0 +1,60 @@
+import { uploadMedia, uploadRemoteMedia, createTranscript, waitForTranscript, getSentences, deleteTranscript } from "../api.js";
+import { splitBySpeaker } from "../wordTiming.js";
+
+const JOB_PARAMS = {
+  speech_models: ["universal-2"],
+  language_detection: true,
+  speaker_labels: true,
+  summarization: true,
+  summary_model: "informative",
+  summary_type: "bullets",
+};
+
+const toLine = (s) => ({
+  start: s.start, end: s.end, text: s.text, speaker: null,
+  words: (s.words || []).map(w => ({ text: w.text, start: w.start, end: w.end, speaker: w.speaker ?? null })),
+});
+
+const summaryBullets = (summary) => summary
+  ? summary.split("\n").map(l => l.replace(/^[-•*]\s*/, "").trim()).filter(Boolean).slice(0, 5)
+  : [];
+
+// Goes through the polyglot server (server/), so the job survives a page reload and can be resumed.
+export function createAssemblyAIEngine() {
+  const collect = async (id, { signal, onStage } = {}) => {
+    onStage?.("queued");
+    const result = await waitForTranscript(id, { signal, onStatus: s => onStage?.(s === "queued" ? "queued" : "processing") });
+    onStage?.("finalizing");
+    const { sentences } = await getSentences(result.id, { signal });
+    // Media with no speech comes back with no sentences and a null or empty text
+    const lines = sentences.length > 0
+      ? sentences.flatMap(s => splitBySpeaker(toLine(s)))
+      : result.text ? [{ start: 0, end: 0, text: result.text, speaker: null }] : [];
+    return { lang: result.language_code, lines, summary: summaryBullets(result.summary) };
+  };
+
+  const start = async (audio_url, { signal, onStage, onJob }) => {
+    const job = await createTranscript({ audio_url, ...JOB_PARAMS }, { signal });
+    onJob?.(job.id);
+    return collect(job.id, { signal, onStage });
+  };
+
+  return {
+    name: "assemblyai",
+    stages: ["upload", "queued", "processing", "finalizing"],
+    available: () => true,
+    async transcribe(file, { signal, onStage, onProgress, onJob } = {}) {
+      onStage?.("upload");
+      const { upload_url } = await uploadMedia(file, { signal, onProgress });
+      return start(upload_url, { signal, onStage, onJob });
+    },
+    // Resolved URLs are often tied to the server's IP, so the server fetches them rather than AssemblyAI
+    async transcribeUrl(url, { signal, onStage, onJob } = {}) {
+      onStage?.("upload");
+      const { upload_url } = await uploadRemoteMedia(url, { signal });
+      return start(upload_url, { signal, onStage, onJob });
+    },
+    resume: collect,
+    cancel: (id) => deleteTranscript(id),
+  };
+}
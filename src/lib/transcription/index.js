@@ -0,0 +1,17 @@
+import { createAssemblyAIEngine } from "./assemblyai.js";
+import { createWhisperEngine } from "./whisper.js";
+
+// An engine is { name, stages, available(), transcribe(file, opts), transcribeUrl(url, opts),
+// resume?(jobId, opts), cancel?(jobId) }. transcribe/transcribeUrl/resume resolve to { lang, lines: [{ start, end, text, speaker }], summary: [bullet] };
+// opts is { signal, onStage(stage), onProgress(0–1), onJob(jobId) }. Only engines that
+// run server-side jobs call onJob and implement resume/cancel.
+export const ENGINES = {
+  assemblyai: () => createAssemblyAIEngine(),
+  whisper: (env) => createWhisperEngine({ url: env.VITE_WHISPER_URL, model: env.VITE_WHISPER_MODEL, language: env.VITE_WHISPER_LANGUAGE }),
+};
+
+export function createEngine(env = {}, name = env.VITE_TRANSCRIPTION_ENGINE || "assemblyai") {
+  const engine = ENGINES[name]?.(env);
+  if (!engine) throw new Error(`Unknown transcription engine: ${name}`);
+  return engine;
+}
@@ -0,0 +1,16 @@
+import { words, cleanWord } from "../text.js";
+
+// Extractive summary for engines that only return text: the lines whose words
+// recur most across the transcript, kept in their original order.
+export function extractiveSummary(lines, lang = "en", count = 5) {
+  const tokens = lines.map(l => words(l.text, lang).map(w => cleanWord(w, lang)).filter(w => [...w].length > 3));
+  const freq = {};
+  tokens.flat().forEach(w => { freq[w] = (freq[w] || 0) + 1; });
+  return lines
+    .map((line, i) => ({ i, text: line.text.trim(), score: tokens[i].reduce((sum, w) => sum + freq[w] - 1, 0) / Math.sqrt(tokens[i].length || 1) }))
+    .filter(l => tokens[l.i].length >= 4)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, count)
+    .sort((a, b) => a.i - b.i)
+    .map(l => l.text);
+}
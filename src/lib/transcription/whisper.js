@@ -0,0 +1,74 @@
+import { postWithProgress } from "../api.js";
+import { extractiveSummary } from "./summary.js";
+
+// OpenAI-style servers report the language by name rather than code.
+const LANGUAGE_NAMES = {
+  english: "en", arabic: "ar", french: "fr", spanish: "es", german: "de", japanese: "ja",
+  turkish: "tr", italian: "it", chinese: "zh", portuguese: "pt", russian: "ru", korean: "ko", dutch: "nl",
+};
+
+const languageCode = (lang) => {
+  const l = (lang || "").toLowerCase();
+  return LANGUAGE_NAMES[l] || l || "en";
+};
+
+const ms = (seconds) => Math.round(seconds * 1000);
+
+// Word timings come per segment (whisper.cpp, faster-whisper) or as one
+// top-level list (OpenAI); either way they are in seconds.
+function timedWordsOf(segment, allWords) {
+  const timed = segment.words || allWords?.filter(w => w.start >= segment.start && w.start < segment.end) || [];
+  return timed
+    .map(w => ({ text: (w.word ?? w.text ?? "").trim(), start: ms(w.start), end: ms(w.end) }))
+    .filter(w => w.text);
+}
+
+// Posts the whole file to a Whisper-compatible HTTP endpoint: whisper.cpp server
+// (/inference) or faster-whisper / OpenAI-style servers (/v1/audio/transcriptions).
+// The request stays open until transcription ends, so there is no job to resume.
+// Whisper has no diarization, so every line's speaker is null.
+export function createWhisperEngine({ url, model = "whisper-1", language } = {}) {
+  return {
+    name: "whisper",
+    stages: ["upload", "processing", "finalizing"],
+    available: () => !!url,
+    async transcribe(file, { signal, onStage, onProgress } = {}) {
+      const body = new FormData();
+      body.append("file", file, file.name);
+      body.append("model", model);
+      body.append("response_format", "verbose_json");
+      body.append("timestamp_granularities[]", "segment");
+      body.append("timestamp_granularities[]", "word");
+      if (language) body.append("language", language);
+
+      onStage?.("upload");
+      const data = await postWithProgress(url, body, {
+        signal,
+        onProgress: (p) => {
+          onProgress?.(p);
+          if (p >= 1) onStage?.("processing");
+        },
+      });
+
+      onStage?.("finalizing");
+      const lang = languageCode(data.language || data.detected_language || language);
+      const segments = (data.segments || []).filter(s => s.text?.trim());
+      const lines = segments.length > 0
+        ? segments.map(s => ({
+            start: ms(s.start), end: ms(s.end), text: s.text.trim(), speaker: null,
+            words: timedWordsOf(s, data.words),
+          }))
+        : [{ start: 0, end: 0, text: (data.text || "").trim(), speaker: null }];
+      return { lang, lines, summary: extractiveSummary(lines, lang) };
+    },
+    // The browser downloads the media first, so the host has to allow cross-origin reads
+    async transcribeUrl(url, options = {}) {
+      options.onStage?.("upload");
+      const res = await fetch(url, { signal: options.signal });
+      if (!res.ok) throw new Error(`Could not download media (HTTP ${res.status})`);
+      const blob = await res.blob();
+      const name = decodeURIComponent(new URL(url).pathname.split("/").at(-1) || "media");
+      return this.transcribe(new File([blob], name, { type: blob.type }), options);
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import { run } from "../db.js";
+import { OfflineError } from "./errors.js";
+
+export const translationKey = (text, source, target) => `${source}|${target}|${text}`;
+
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Wraps a translator with a persistent IndexedDB cache keyed by text and language
+ * pair. With `queue: true`, a lookup that fails for lack of a connection is stored
+ * and replayed by `flushQueue` once the browser is back online.
+ */
+export function withTranslationCache(translator) {
+  const cached = (key) => run("translations", "readonly", store => store.get(key)).catch(() => null);
+  const remember = (entry) => run("translations", "readwrite", store => store.put(entry)).catch(() => {});
+  const enqueue = (entry) => run("lookupQueue", "readwrite", store => store.put(entry)).catch(() => {});
+
+  const fetchAndCache = async (text, source, target, signal) => {
+    const translation = await translator.translate(text, { source, target, signal });
+    await remember({ key: translationKey(text, source, target), text, source, target, translation, savedAt: Date.now() });
+    return translation;
+  };
+
+  return {
+    providers: translator.providers,
+    async translate(text, { source = "en", target, signal, queue = false } = {}) {
+      const key = translationKey(text, source, target);
+      const hit = await cached(key);
+      if (hit) return hit.translation;
+      try {
+        if (isOffline()) throw new OfflineError();
+        return await fetchAndCache(text, source, target, signal);
+      } catch (err) {
+        // A failed request while offline is a connectivity problem, not a provider one
+        if (err?.name === "AbortError" || (!(err instanceof OfflineError) && !isOffline())) throw err;
+        if (queue) await enqueue({ key, text, source, target, queuedAt: Date.now() });
+        throw new OfflineError({ queued: queue });
+      }
+    },
+    pending: () => run("lookupQueue", "readonly", store => store.getAll()).catch(() => []),
+    // Translates queued lookups oldest first, calling `onTranslated(entry, translation)` for
+    // each. Stops at the first failure so the rest wait for the next flush.
+    async flushQueue({ onTranslated } = {}) {
+      const queued = (await this.pending()).sort((a, b) => a.queuedAt - b.queuedAt);
+      for (const entry of queued) {
+        if (isOffline()) return;
+        try {
+          const translation = await fetchAndCache(entry.text, entry.source, entry.target);
+          await run("lookupQueue", "readwrite", store => store.delete(entry.key));
+          onTranslated?.(entry, translation);
+        } catch {
+          return;
+        }
+      }
+    },
+  };
+}
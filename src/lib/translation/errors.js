@@ -0,0 +1,36 @@
+export class TranslationError extends Error {
+  constructor(message, { provider, status, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = "TranslationError";
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Maps an HTTP failure onto a TranslationError; 429 and 5xx are worth retrying.
+export function httpError(provider, res) {
+  const header = res.headers?.get?.("Retry-After");
+  const seconds = header != null ? Number(header) : NaN;
+  return new TranslationError(`${provider}: HTTP ${res.status}`, {
+    provider,
+    status: res.status,
+    retryable: res.status === 429 || res.status >= 500,
+    retryAfter: Number.isFinite(seconds) ? seconds * 1000 : null,
+  });
+}
+
+export function networkError(provider, err) {
+  if (err?.name === "AbortError") return err;
+  return new TranslationError(`${provider}: ${err?.message || "network error"}`, { provider, retryable: true });
+}
+
+// No connection and no cached translation; `queued` tells whether the lookup will be retried.
+export class OfflineError extends Error {
+  constructor({ queued = false } = {}) {
+    super(queued ? "offline, queued for later" : "offline");
+    this.name = "OfflineError";
+    this.queued = queued;
+  }
+}
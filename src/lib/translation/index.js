@@ -0,0 +1,80 @@
+import { TranslationError, OfflineError } from "./errors.js";
+import { createMyMemoryProvider } from "./providers/mymemory.js";
+import { createLibreTranslateProvider } from "./providers/libretranslate.js";
+import { createDeepLProvider } from "./providers/deepl.js";
+import { createDictionaryProvider } from "./providers/dictionary.js";
+
+export { TranslationError, OfflineError };
+export { withTranslationCache } from "./cache.js";
+
+// A provider is { name, translate(text, { source, target, signal }) => Promise<string> }
+// and throws TranslationError on failure.
+export const PROVIDERS = {
+  mymemory: createMyMemoryProvider,
+  libretranslate: createLibreTranslateProvider,
+  deepl: createDeepLProvider,
+  dictionary: createDictionaryProvider,
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const t = setTimeout(resolve, ms);
+  signal?.addEventListener("abort", () => { clearTimeout(t); reject(signal.reason); }, { once: true });
+});
+
+async function withRetry(provider, text, opts, { retries, backoffMs, maxBackoffMs }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await provider.translate(text, opts);
+    } catch (err) {
+      if (!(err instanceof TranslationError) || !err.retryable || attempt >= retries) throw err;
+      const delay = err.retryAfter ?? Math.min(backoffMs * 2 ** attempt, maxBackoffMs);
+      await sleep(delay, opts.signal);
+    }
+  }
+}
+
+/**
+ * Builds a translator that tries each configured provider in order, retrying
+ * rate-limited or failing requests with exponential backoff before moving on.
+ */
+export function createTranslator({ providers = ["mymemory"], retries = 2, backoffMs = 500, maxBackoffMs = 8000, options = {} } = {}) {
+  const chain = providers.map(p => {
+    if (typeof p === "object") return p;
+    const factory = PROVIDERS[p];
+    if (!factory) throw new Error(`Unknown translation provider: ${p}`);
+    return factory(options[p]);
+  });
+  if (!chain.length) throw new Error("At least one translation provider is required");
+
+  return {
+    providers: chain.map(p => p.name),
+    async translate(text, { source = "en", target, signal } = {}) {
+      let lastError;
+      for (const provider of chain) {
+        try {
+          return await withRetry(provider, text, { source, target, signal }, { retries, backoffMs, maxBackoffMs });
+        } catch (err) {
+          if (err?.name === "AbortError") throw err;
+          lastError = err;
+        }
+      }
+      throw lastError;
+    },
+  };
+}
+
+export function translatorConfigFromEnv(env = {}) {
+  const num = (v, fallback) => (v != null && v !== "" && Number.isFinite(Number(v)) ? Number(v) : fallback);
+  return {
+    providers: (env.VITE_TRANSLATE_PROVIDERS || "mymemory").split(",").map(s => s.trim()).filter(Boolean),
+    retries: num(env.VITE_TRANSLATE_RETRIES, 2),
+    backoffMs: num(env.VITE_TRANSLATE_BACKOFF_MS, 500),
+    maxBackoffMs: num(env.VITE_TRANSLATE_MAX_BACKOFF_MS, 8000),
+    options: {
+      mymemory: { email: env.VITE_MYMEMORY_EMAIL || undefined },
+      libretranslate: { url: env.VITE_LIBRETRANSLATE_URL || undefined, apiKey: env.VITE_LIBRETRANSLATE_KEY || undefined },
+      deepl: { url: env.VITE_DEEPL_URL || undefined, apiKey: env.VITE_DEEPL_KEY || undefined },
+      dictionary: { url: env.VITE_DICTIONARY_URL || undefined },
+    },
+  };
+}
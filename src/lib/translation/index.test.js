@@ -0,0 +1,162 @@
+import { createServer } from "node:http";
+import { afterEach, describe, expect, it } from "vitest";
+import { createTranslator, TranslationError } from "./index.js";
+
+// One local server stands in for every provider; `routes` maps "METHOD /path" to a
+// handler returning [status, body, headers?], and every request is recorded.
+let server;
+const calls = [];
+
+async function fakeProviders(routes) {
+  calls.length = 0;
+  server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const url = new URL(req.url, "http://localhost");
+    const call = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body, at: Date.now() };
+    calls.push(call);
+    const handler = routes[`${req.method} ${url.pathname}`];
+    const [status, payload, headers = {}] = handler ? handler(call, calls.filter(c => c.path === url.pathname).length) : [404, {}];
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(payload));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    mymemory: { url: `${base}/mymemory/get` },
+    libretranslate: { url: `${base}/libre` },
+    deepl: { url: `${base}/deepl/v2/translate`, apiKey: "secret" },
+    dictionary: { url: `${base}/dictionary.json` },
+  };
+}
+
+afterEach(() => new Promise(resolve => (server ? server.close(resolve) : resolve())));
+
+const ok = (translatedText) => [200, { responseStatus: 200, responseData: { translatedText } }];
+
+describe("providers", () => {
+  it("queries MyMemory with the language pair and contact email", async () => {
+    const options = await fakeProviders({ "GET /mymemory/get": () => ok("maison") });
+    const translator = createTranslator({ providers: ["mymemory"], options: { mymemory: { ...options.mymemory, email: "me@example.com" } } });
+    expect(await translator.translate("house", { source: "en", target: "fr" })).toBe("maison");
+    expect(calls[0].query.get("q")).toBe("house");
+    expect(calls[0].query.get("langpair")).toBe("en|fr");
+    expect(calls[0].query.get("de")).toBe("me@example.com");
+  });
+
+  it("posts JSON to LibreTranslate", async () => {
+    const options = await fakeProviders({ "POST /libre/translate": () => [200, { translatedText: "casa" }] });
+    const translator = createTranslator({ providers: ["libretranslate"], options });
+    expect(await translator.translate("house", { source: "en", target: "es" })).toBe("casa");
+    expect(JSON.parse(calls[0].body)).toEqual({ q: "house", source: "en", target: "es", format: "text" });
+  });
+
+  it("sends DeepL upper-case languages and the auth key", async () => {
+    const options = await fakeProviders({ "POST /deepl/v2/translate": () => [200, { translations: [{ text: "Haus" }] }] });
+    const translator = createTranslator({ providers: ["deepl"], options });
+    expect(await translator.translate("house", { source: "en", target: "de" })).toBe("Haus");
+    const form = new URLSearchParams(calls[0].body);
+    expect(form.get("target_lang")).toBe("DE");
+    expect(form.get("source_lang")).toBe("EN");
+    expect(calls[0].headers.authorization).toBe("DeepL-Auth-Key secret");
+  });
+
+  it("loads the dictionary once and reports missing entries as 404", async () => {
+    const options = await fakeProviders({ "GET /dictionary.json": () => [200, { "en-fr": { house: "maison" } }] });
+    const translator = createTranslator({ providers: ["dictionary"], retries: 0, options });
+    expect(await translator.translate("House", { source: "en", target: "fr" })).toBe("maison");
+    const err = await translator.translate("tree", { source: "en", target: "fr" }).catch(e => e);
+    expect(err).toBeInstanceOf(TranslationError);
+    expect(err).toMatchObject({ provider: "dictionary", status: 404, retryable: false });
+    expect(calls).toHaveLength(1);
+  });
+});
+
+describe("retry and backoff", () => {
+  it("retries 5xx responses with exponential backoff", async () => {
+    const options = await fakeProviders({ "POST /libre/translate": (_c, n) => (n < 3 ? [503, {}] : [200, { translatedText: "casa" }]) });
+    const translator = createTranslator({ providers: ["libretranslate"], retries: 2, backoffMs: 40, maxBackoffMs: 1000, options });
+    expect(await translator.translate("house", { target: "es" })).toBe("casa");
+    expect(calls).toHaveLength(3);
+    expect(calls[1].at - calls[0].at).toBeGreaterThanOrEqual(35);
+    expect(calls[2].at - calls[1].at).toBeGreaterThanOrEqual(75);
+  });
+
+  it("caps the backoff at maxBackoffMs", async () => {
+    const options = await fakeProviders({ "POST /libre/translate": (_c, n) => (n < 3 ? [500, {}] : [200, { translatedText: "casa" }]) });
+    const translator = createTranslator({ providers: ["libretranslate"], retries: 2, backoffMs: 30, maxBackoffMs: 30, options });
+    const started = Date.now();
+    await translator.translate("house", { target: "es" });
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+
+  it("waits for Retry-After on 429", async () => {
+    const options = await fakeProviders({ "POST /libre/translate": (_c, n) => (n === 1 ? [429, {}, { "Retry-After": "0.1" }] : [200, { translatedText: "casa" }]) });
+    const translator = createTranslator({ providers: ["libretranslate"], backoffMs: 1, options });
+    await translator.translate("house", { target: "es" });
+    expect(calls[1].at - calls[0].at).toBeGreaterThanOrEqual(90);
+  });
+
+  it("treats a MyMemory quota error in a 200 body as retryable", async () => {
+    const options = await fakeProviders({
+      "GET /mymemory/get": (_c, n) => (n === 1 ? [200, { responseStatus: 429, responseDetails: "QUOTA EXCEEDED" }] : ok("maison")),
+    });
+    const translator = createTranslator({ providers: ["mymemory"], backoffMs: 1, options });
+    expect(await translator.translate("house", { target: "fr" })).toBe("maison");
+    expect(calls).toHaveLength(2);
+  });
+
+  it("doesn't retry client errors", async () => {
+    const options = await fakeProviders({ "POST /deepl/v2/translate": () => [456, {}] });
+    const translator = createTranslator({ providers: ["deepl"], retries: 3, backoffMs: 1, options });
+    const err = await translator.translate("house", { target: "de" }).catch(e => e);
+    expect(err).toMatchObject({ name: "TranslationError", provider: "deepl", status: 456, retryable: false });
+    expect(calls).toHaveLength(1);
+  });
+
+  it("stops waiting when the signal aborts", async () => {
+    const options = await fakeProviders({ "POST /libre/translate": () => [503, {}], "GET /dictionary.json": () => [200, {}] });
+    const translator = createTranslator({ providers: ["libretranslate", "dictionary"], retries: 5, backoffMs: 5000, options });
+    const controller = new AbortController();
+    const pending = translator.translate("house", { target: "es", signal: controller.signal });
+    setTimeout(() => controller.abort(new DOMException("Cancelled", "AbortError")), 50);
+    await expect(pending).rejects.toMatchObject({ name: "AbortError" });
+    expect(calls.every(c => c.path === "/libre/translate")).toBe(true);
+  });
+});
+
+describe("fallback and error mapping", () => {
+  it("moves to the next provider once retries are exhausted", async () => {
+    const options = await fakeProviders({
+      "POST /libre/translate": () => [502, {}],
+      "GET /dictionary.json": () => [200, { "en-fr": { house: "maison" } }],
+    });
+    const translator = createTranslator({ providers: ["libretranslate", "dictionary"], retries: 1, backoffMs: 1, options });
+    expect(await translator.translate("house", { source: "en", target: "fr" })).toBe("maison");
+    expect(calls.map(c => c.path)).toEqual(["/libre/translate", "/libre/translate", "/dictionary.json"]);
+  });
+
+  it("maps unreachable servers to retryable network errors", async () => {
+    const options = await fakeProviders({ "GET /mymemory/get": () => ok("maison") });
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+    const translator = createTranslator({ providers: ["mymemory"], retries: 1, backoffMs: 1, options });
+    const err = await translator.translate("house", { target: "fr" }).catch(e => e);
+    expect(err).toMatchObject({ name: "TranslationError", provider: "mymemory", retryable: true });
+    expect(options.mymemory.url).toContain(String(port));
+  });
+
+  it("rejects malformed responses without retrying", async () => {
+    const options = await fakeProviders({ "POST /libre/translate": () => [200, { nope: true }] });
+    const translator = createTranslator({ providers: ["libretranslate"], retries: 3, backoffMs: 1, options });
+    await expect(translator.translate("house", { target: "es" })).rejects.toThrow("libretranslate: malformed response");
+    expect(calls).toHaveLength(1);
+  });
+
+  it("throws the last provider's error when every provider fails", async () => {
+    const options = await fakeProviders({ "POST /libre/translate": () => [500, {}], "POST /deepl/v2/translate": () => [403, {}] });
+    const translator = createTranslator({ providers: ["libretranslate", "deepl"], retries: 0, options });
+    await expect(translator.translate("house", { target: "de" })).rejects.toMatchObject({ provider: "deepl", status: 403 });
+  });
+});
@@ -0,0 +1,25 @@
+import { TranslationError, httpError, networkError } from "../errors.js";
+
+const NAME = "deepl";
+
+// DeepL rejects browser CORS requests, so `url` usually points at a proxy
+// that forwards to api-free.deepl.com or api.deepl.com.
+export function createDeepLProvider({ url = "https://api-free.deepl.com/v2/translate", apiKey } = {}) {
+  return {
+    name: NAME,
+    async translate(text, { source, target, signal }) {
+      const body = new URLSearchParams({ text, target_lang: target.toUpperCase() });
+      if (source) body.set("source_lang", source.toUpperCase());
+      const headers = { "Content-Type": "application/x-www-form-urlencoded" };
+      if (apiKey) headers.Authorization = `DeepL-Auth-Key ${apiKey}`;
+      let res;
+      try { res = await fetch(url, { method: "POST", headers, body, signal }); } catch (err) { throw networkError(NAME, err); }
+      // 456 is DeepL's "quota exceeded", which won't clear by retrying
+      if (!res.ok) throw httpError(NAME, res);
+      const data = await res.json();
+      const translated = data.translations?.[0]?.text;
+      if (typeof translated !== "string") throw new TranslationError(`${NAME}: malformed response`, { provider: NAME });
+      return translated;
+    },
+  };
+}
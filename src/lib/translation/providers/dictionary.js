@@ -0,0 +1,29 @@
+import { TranslationError, httpError, networkError } from "../errors.js";
+
+const NAME = "dictionary";
+
+// Offline lookups from a JSON file shaped { "en-fr": { "house": "maison" } }.
+// `entries` can be passed directly instead of a `url` to fetch.
+export function createDictionaryProvider({ url = "/dictionary.json", entries } = {}) {
+  let loading = entries ? Promise.resolve(entries) : null;
+
+  const load = () => {
+    if (!loading) {
+      loading = fetch(url)
+        .catch(err => { throw networkError(NAME, err); })
+        .then(res => { if (!res.ok) throw httpError(NAME, res); return res.json(); })
+        .catch(err => { loading = null; throw err; });
+    }
+    return loading;
+  };
+
+  return {
+    name: NAME,
+    async translate(text, { source, target }) {
+      const dict = await load();
+      const hit = dict[`${source}-${target}`]?.[text.toLowerCase()];
+      if (hit == null) throw new TranslationError(`${NAME}: no entry for "${text}"`, { provider: NAME, status: 404 });
+      return hit;
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import { TranslationError, httpError, networkError } from "../errors.js";
+
+const NAME = "libretranslate";
+
+export function createLibreTranslateProvider({ url = "http://localhost:5000", apiKey } = {}) {
+  return {
+    name: NAME,
+    async translate(text, { source, target, signal }) {
+      const body = { q: text, source, target, format: "text" };
+      if (apiKey) body.api_key = apiKey;
+      let res;
+      try {
+        res = await fetch(`${url.replace(/\/$/, "")}/translate`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+          signal,
+        });
+      } catch (err) { throw networkError(NAME, err); }
+      if (!res.ok) throw httpError(NAME, res);
+      const data = await res.json();
+      if (typeof data.translatedText !== "string") throw new TranslationError(`${NAME}: malformed response`, { provider: NAME });
+      return data.translatedText;
+    },
+  };
+}
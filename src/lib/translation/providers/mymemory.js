@@ -0,0 +1,23 @@
+import { TranslationError, httpError, networkError } from "../errors.js";
+
+const NAME = "mymemory";
+
+export function createMyMemoryProvider({ url = "https://api.mymemory.translated.net/get", email } = {}) {
+  return {
+    name: NAME,
+    async translate(text, { source, target, signal }) {
+      const params = new URLSearchParams({ q: text, langpair: `${source}|${target}` });
+      if (email) params.set("de", email);
+      let res;
+      try { res = await fetch(`${url}?${params}`, { signal }); } catch (err) { throw networkError(NAME, err); }
+      if (!res.ok) throw httpError(NAME, res);
+      const data = await res.json();
+      // MyMemory reports quota errors in the body with HTTP 200
+      if (data.responseStatus !== 200 && data.responseStatus !== "200") {
+        const status = Number(data.responseStatus) || 500;
+        throw new TranslationError(`${NAME}: ${data.responseDetails || `status ${status}`}`, { provider: NAME, status, retryable: status === 429 || status >= 500 });
+      }
+      return data.responseData.translatedText;
+    },
+  };
+}
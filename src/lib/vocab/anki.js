@@ -0,0 +1,179 @@
+import { zipSync, unzipSync, strToU8 } from "fflate";
+import { segmentWords, cleanWord } from "../text.js";
+import { COLUMNS, columnKeys, rowToEntry } from "./fields.js";
+
+const NOTE_FIELDS = ["Word", "Translation", "Sentence", "Source", "Language"];
+
+const escapeHTML = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const stripHTML = (s) => String(s ?? "").replace(/<br\s*\/?>/gi, " ").replace(/<[^>]+>/g, "")
+  .replace(/&nbsp;/g, " ").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&amp;/g, "&").trim();
+
+// Context sentence as HTML with the saved word in bold.
+function sentenceHTML(entry) {
+  if (!entry.sentence) return "";
+  return segmentWords(entry.sentence, entry.sourceLang).map(seg =>
+    seg.isWord && cleanWord(seg.text, entry.sourceLang) === entry.word ? `<b>${escapeHTML(seg.text)}</b>` : escapeHTML(seg.text)
+  ).join("");
+}
+
+function noteFields(entry) {
+  return [escapeHTML(entry.word), escapeHTML(entry.translation), sentenceHTML(entry), escapeHTML(entry.sessionName), escapeHTML(entry.lang)];
+}
+
+function noteTags(entry) {
+  return ["polyglot", entry.lang, ...(entry.tags || [])].filter(Boolean).map(t => String(t).replace(/\s+/g, "_"));
+}
+
+// ── Tab-separated text (Anki "Import File") ──
+
+export function toAnkiTSV(entries) {
+  const clean = (s) => String(s).replace(/[\t\r\n]+/g, " ");
+  const header = ["#separator:tab", "#html:true", `#columns:${[...NOTE_FIELDS, "Tags"].join("\t")}`, `#tags column:${NOTE_FIELDS.length + 1}`];
+  const rows = entries.map(e => [...noteFields(e), noteTags(e).join(" ")].map(clean).join("\t"));
+  return [...header, ...rows].join("\n") + "\n";
+}
+
+export function parseAnkiTSV(text) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const columnsLine = lines.find(l => l.startsWith("#columns:"));
+  const headers = columnsLine ? columnsLine.slice("#columns:".length).split("\t") : NOTE_FIELDS;
+  // Tags are read below, without the ones toAnkiTSV adds
+  const keys = columnKeys(headers).map(k => (k === "tags" ? null : k));
+  const tagsColumn = headers.findIndex(h => h.trim().toLowerCase() === "tags");
+  return lines.filter(l => l.trim() && !l.startsWith("#")).map(line => {
+    const cells = line.split("\t");
+    const entry = rowToEntry(cells.map(stripHTML), keys);
+    const tags = tagsColumn >= 0 ? (cells[tagsColumn] || "").split(/\s+/).filter(t => t && t !== "polyglot" && t !== entry.lang) : [];
+    return tags.length ? { ...entry, tags } : entry;
+  });
+}
+
+// ── .apkg (zipped SQLite collection, legacy schema 11) ──
+
+let sqlPromise = null;
+function loadSQL() {
+  if (!sqlPromise) {
+    sqlPromise = Promise.all([import("sql.js"), import("sql.js/dist/sql-wasm-browser.wasm?url")])
+      .then(([mod, wasm]) => mod.default({ locateFile: () => wasm.default }))
+      .catch(err => { sqlPromise = null; throw err; });
+  }
+  return sqlPromise;
+}
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const CARD_CSS = ".card { font-family: arial; font-size: 22px; text-align: center; color: black; background-color: white; }\n.sentence { font-size: 16px; color: #555; margin-top: 12px; }\n.source { font-size: 12px; color: #999; }";
+
+function deckConfig() {
+  return {
+    id: 1, name: "Default", mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, minSpace: 1, bury: true },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+  };
+}
+
+function deck(id, name, now) {
+  return {
+    id, name, mod: now, usn: -1, desc: "", dyn: 0, conf: 1, collapsed: false, extendNew: 10, extendRev: 50,
+    newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0],
+  };
+}
+
+function noteModel(id, deckId, now) {
+  return {
+    id, name: "Polyglot Vocabulary", type: 0, mod: now, usn: -1, sortf: 0, did: deckId, vers: [], tags: [],
+    flds: NOTE_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] })),
+    tmpls: [{
+      name: "Recognition", ord: 0, did: null, bqfmt: "", bafmt: "",
+      qfmt: "{{Word}}{{#Sentence}}<div class=sentence>{{Sentence}}</div>{{/Sentence}}",
+      afmt: "{{FrontSide}}<hr id=answer>{{Translation}}{{#Source}}<div class=source>{{Source}}</div>{{/Source}}",
+    }],
+    css: CARD_CSS,
+    latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+    latexPost: "\\end{document}",
+    req: [[0, "any", [0]]],
+  };
+}
+
+async function checksum(text) {
+  const digest = await crypto.subtle.digest("SHA-1", strToU8(stripHTML(text)));
+  const bytes = new Uint8Array(digest);
+  return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
+}
+
+const GUID_CHARS = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~";
+function guid() {
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  return [...bytes].map(b => GUID_CHARS[b % GUID_CHARS.length]).join("");
+}
+
+// Builds an Anki package with one note (and one new card) per entry.
+export async function toApkg(entries, { deckName = "Polyglot" } = {}) {
+  const SQL = await loadSQL();
+  const db = new SQL.Database();
+  try {
+    const now = Date.now();
+    const secs = Math.floor(now / 1000);
+    const deckId = now, modelId = now + 1;
+    db.run(SCHEMA);
+    db.run("INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')", [
+      secs, now, now,
+      JSON.stringify({ nextPos: entries.length + 1, estTimes: true, activeDecks: [1], sortType: "noteFld", timeLim: 0, sortBackwards: false, addToCur: true, curDeck: 1, newBury: true, newSpread: 0, dueCounts: true, curModel: String(modelId), collapseTime: 1200 }),
+      JSON.stringify({ [modelId]: noteModel(modelId, deckId, secs) }),
+      JSON.stringify({ 1: deck(1, "Default", secs), [deckId]: deck(deckId, deckName, secs) }),
+      JSON.stringify({ 1: deckConfig() }),
+    ]);
+    const insertNote = db.prepare("INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')");
+    const insertCard = db.prepare("INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')");
+    for (const [i, entry] of entries.entries()) {
+      const fields = noteFields(entry);
+      const noteId = now + 10 + i * 2;
+      insertNote.run([noteId, guid(), modelId, secs, ` ${noteTags(entry).join(" ")} `, fields.join("\x1f"), stripHTML(fields[0]), await checksum(fields[0])]);
+      insertCard.run([noteId + 1, noteId, deckId, secs, i + 1]);
+    }
+    insertNote.free();
+    insertCard.free();
+    return zipSync({ "collection.anki2": db.export(), media: strToU8("{}") });
+  } finally {
+    db.close();
+  }
+}
+
+export async function parseApkg(buffer) {
+  const files = unzipSync(new Uint8Array(buffer));
+  const data = files["collection.anki21"] || files["collection.anki2"];
+  if (!data) throw new Error("Not an Anki package: collection file missing");
+  const SQL = await loadSQL();
+  const db = new SQL.Database(data);
+  try {
+    const models = JSON.parse(db.exec("SELECT models FROM col")[0]?.values[0][0] || "{}");
+    const result = db.exec("SELECT mid, flds, tags, id FROM notes");
+    if (!result.length) return [];
+    return result[0].values.map(([mid, flds, tags, id]) => {
+      const names = models[mid]?.flds?.slice().sort((a, b) => a.ord - b.ord).map(f => f.name) || COLUMNS.slice(0, 2).map(c => c.label);
+      const keys = columnKeys(names);
+      // Unrecognised note types still give word/translation from their first two fields
+      if (!keys.includes("word")) keys[0] = "word";
+      if (!keys.includes("translation") && keys.length > 1) keys[1] = "translation";
+      const entry = rowToEntry(flds.split("\x1f").map(stripHTML), keys);
+      const tagList = tags.trim().split(/\s+/).filter(t => t && t !== "polyglot" && t !== entry.lang);
+      return { ...entry, ...(tagList.length ? { tags: tagList } : {}), date: Math.floor(Number(id)) || undefined };
+    });
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it, vi } from "vitest";
+import { parseAnkiTSV, parseApkg, toAnkiTSV, toApkg } from "./anki.js";
+
+// Under Node, "sql.js" is its Node build, which needs its own wasm file on disk
+// rather than the browser one Vite serves
+vi.mock("sql.js/dist/sql-wasm-browser.wasm?url", async () => {
+  const { createRequire } = await import("node:module");
+  return { default: createRequire(import.meta.url).resolve("sql.js/dist/sql-wasm.wasm") };
+});
+
+const ENTRIES = [
+  { word: "chat", translation: "cat <small>", lang: "en", sourceLang: "fr", sentence: "Le chat dort.", sessionName: "Lesson 1 & 2", tags: ["animals", "a1"] },
+  { word: "chien", translation: "dog\nhound", lang: "en", sourceLang: "fr" },
+];
+
+describe("Anki TSV", () => {
+  it("writes Anki's file headers and one note per line", () => {
+    const [separator, html, columns, tags, first, second, end] = toAnkiTSV(ENTRIES).split("\n");
+    expect([separator, html, tags]).toEqual(["#separator:tab", "#html:true", "#tags column:6"]);
+    expect(columns).toBe("#columns:Word\tTranslation\tSentence\tSource\tLanguage\tTags");
+    expect(first).toBe("chat\tcat &lt;small&gt;\tLe <b>chat</b> dort.\tLesson 1 &amp; 2\ten\tpolyglot en animals a1");
+    // Newlines inside a field would start a new note
+    expect(second).toBe("chien\tdog hound\t\t\ten\tpolyglot en");
+    expect(end).toBe("");
+  });
+
+  it("round-trips entries, dropping the tags it adds itself", () => {
+    expect(parseAnkiTSV(toAnkiTSV(ENTRIES))).toEqual([
+      { word: "chat", translation: "cat <small>", lang: "en", sentence: "Le chat dort.", sessionName: "Lesson 1 & 2", tags: ["animals", "a1"] },
+      { word: "chien", translation: "dog hound", lang: "en" },
+    ]);
+  });
+
+  it("reads files without a #columns header as Anki's default note fields", () => {
+    expect(parseAnkiTSV("maison\thouse<br>home\r\nchat\tcat\r\n")).toEqual([
+      { word: "maison", translation: "house home" },
+      { word: "chat", translation: "cat" },
+    ]);
+  });
+
+  it("maps Front/Back and other column aliases", () => {
+    expect(parseAnkiTSV("#columns:Front\tBack\tExample\tTags\nchat\tcat\tLe chat\tpets\n")).toEqual([
+      { word: "chat", translation: "cat", sentence: "Le chat", tags: ["pets"] },
+    ]);
+  });
+});
+
+describe(".apkg", () => {
+  it("builds a package that reads back into the same entries", async () => {
+    const parsed = await parseApkg(await toApkg(ENTRIES, { deckName: "French" }));
+    expect(parsed.map(({ date, ...entry }) => {
+      expect(date).toEqual(expect.any(Number));
+      return entry;
+    })).toEqual([
+      { word: "chat", translation: "cat <small>", lang: "en", sentence: "Le chat dort.", sessionName: "Lesson 1 & 2", tags: ["animals", "a1"] },
+      { word: "chien", translation: "dog\nhound", lang: "en" },
+    ]);
+  });
+
+  it("rejects zips without a collection", async () => {
+    const { zipSync, strToU8 } = await import("fflate");
+    await expect(parseApkg(zipSync({ media: strToU8("{}") }))).rejects.toThrow("collection file missing");
+  });
+});
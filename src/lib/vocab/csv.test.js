@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { csvField, parseCSV, toCSV } from "./csv.js";
+
+describe("csvField", () => {
+  it("quotes only fields that need it", () => {
+    expect(csvField("chat")).toBe("chat");
+    expect(csvField(null)).toBe("");
+    expect(csvField(3)).toBe("3");
+    expect(csvField("chat, chien")).toBe('"chat, chien"');
+    expect(csvField('le "chat"')).toBe('"le ""chat"""');
+    expect(csvField("ligne\nsuivante")).toBe('"ligne\nsuivante"');
+  });
+});
+
+describe("parseCSV", () => {
+  it("round-trips commas, quotes and embedded newlines", () => {
+    const rows = [
+      ["Word", "Translation", "Sentence"],
+      ["chat", "cat, puss", 'Le "chat" dort.'],
+      ["chien", "dog", "Première ligne\r\ndeuxième ligne\net une troisième"],
+      ["", "", "only a sentence"],
+    ];
+    const csv = toCSV(rows);
+    expect(csv.endsWith("\r\n")).toBe(true);
+    expect(parseCSV(csv)).toEqual(rows);
+  });
+
+  it("strips a byte order mark and accepts LF, CRLF and CR line endings", () => {
+    expect(parseCSV("﻿Word,Translation\nchat,cat\r\nchien,dog\rmaison,house")).toEqual([
+      ["Word", "Translation"], ["chat", "cat"], ["chien", "dog"], ["maison", "house"],
+    ]);
+  });
+
+  it("skips blank lines and keeps a last row without a line ending", () => {
+    expect(parseCSV("a,b\r\n\r\n,\r\nc,d")).toEqual([["a", "b"], ["c", "d"]]);
+  });
+
+  it("splits on another delimiter", () => {
+    expect(parseCSV('chat\t"cat\tfeline"\n', "\t")).toEqual([["chat", "cat\tfeline"]]);
+  });
+});
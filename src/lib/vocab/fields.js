@@ -0,0 +1,49 @@
+import { newCard } from "../scheduler.js";
+
+// Columns shared by the CSV, TSV and .apkg formats, in export order.
+export const COLUMNS = [
+  { key: "word", label: "Word", aliases: ["front", "expression"] },
+  { key: "translation", label: "Translation", aliases: ["back", "meaning"] },
+  { key: "lang", label: "Language", aliases: ["target language"] },
+  { key: "sourceLang", label: "Source Language", aliases: [] },
+  { key: "sentence", label: "Sentence", aliases: ["context", "example"] },
+  { key: "sessionName", label: "Source", aliases: ["video"] },
+  { key: "start", label: "Start", aliases: [] },
+  { key: "end", label: "End", aliases: [] },
+  { key: "date", label: "Date", aliases: [] },
+  { key: "tags", label: "Tags", aliases: [] },
+];
+
+const NUMERIC = new Set(["start", "end", "date"]);
+const LIST = new Set(["tags"]);
+
+// Maps header labels to entry keys; unknown headers map to null.
+export function columnKeys(headers) {
+  return headers.map(h => {
+    const name = h.trim().toLowerCase();
+    const col = COLUMNS.find(c => c.label.toLowerCase() === name || c.key.toLowerCase() === name || c.aliases.includes(name));
+    return col ? col.key : null;
+  });
+}
+
+export function rowToEntry(row, keys) {
+  const entry = {};
+  keys.forEach((key, i) => {
+    const value = row[i]?.trim();
+    if (!key || value == null || value === "") return;
+    entry[key] = NUMERIC.has(key) ? Number(value) : LIST.has(key) ? value.split(/\s+/) : value;
+  });
+  return entry;
+}
+
+export function entryToRow(entry) {
+  return COLUMNS.map(c => (LIST.has(c.key) ? (entry[c.key] || []).join(" ") : entry[c.key] ?? ""));
+}
+
+// Fills defaults on imported entries so they behave like ones saved in the app.
+export function normalizeEntry(entry, now = Date.now()) {
+  const word = String(entry.word || "").trim().toLowerCase();
+  if (!word) return null;
+  const date = Number.isFinite(entry.date) ? entry.date : now;
+  return { ...newCard(now), ...entry, word, translation: entry.translation || word, lang: entry.lang || "", date };
+}
@@ -0,0 +1,75 @@
+import { toCSV, parseCSV } from "./csv.js";
+import { toAnkiTSV, parseAnkiTSV, toApkg, parseApkg } from "./anki.js";
+import { entryKey } from "../../../shared/vocabulary.js";
+import { COLUMNS, columnKeys, rowToEntry, entryToRow, normalizeEntry } from "./fields.js";
+
+export { entryKey };
+
+const JSON_FORMAT = "polyglot-wordbank";
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", ext: "csv", type: "text/csv" },
+  anki: { label: "Anki TSV", ext: "txt", type: "text/tab-separated-values" },
+  json: { label: "JSON", ext: "json", type: "application/json" },
+  apkg: { label: "APKG", ext: "apkg", type: "application/octet-stream" },
+};
+
+export const IMPORT_ACCEPT = ".csv,.tsv,.txt,.json,.apkg";
+
+export async function exportVocab(entries, format, options = {}) {
+  switch (format) {
+    case "csv": return toCSV([COLUMNS.map(c => c.label), ...entries.map(entryToRow)]);
+    case "anki": return toAnkiTSV(entries);
+    case "json": return JSON.stringify({ format: JSON_FORMAT, version: 1, exportedAt: new Date().toISOString(), entries }, null, 2);
+    case "apkg": return toApkg(entries, options);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+function parseJSONVocab(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(entries)) throw new Error("JSON file has no entries array");
+  return entries;
+}
+
+function parseCSVVocab(text) {
+  const [header, ...rows] = parseCSV(text);
+  if (!header) return [];
+  const keys = columnKeys(header);
+  if (!keys.includes("word")) throw new Error("CSV file needs a Word column");
+  return rows.map(row => rowToEntry(row, keys));
+}
+
+// Reads any supported export back into normalized word bank entries.
+export async function importVocab(file) {
+  const name = file.name.toLowerCase();
+  let entries;
+  if (name.endsWith(".apkg")) entries = await parseApkg(await file.arrayBuffer());
+  else {
+    const text = await file.text();
+    if (name.endsWith(".json")) entries = parseJSONVocab(text);
+    else if (name.endsWith(".csv")) entries = parseCSVVocab(text);
+    else entries = parseAnkiTSV(text);
+  }
+  const now = Date.now();
+  return entries.map(e => normalizeEntry(e, now)).filter(Boolean);
+}
+
+// Adds new entries and fills blanks on existing ones; existing values and review state win.
+export function mergeWordBanks(existing, incoming) {
+  const byKey = new Map(existing.map(e => [entryKey(e), e]));
+  let added = 0, updated = 0;
+  for (const entry of incoming) {
+    const key = entryKey(entry);
+    const current = byKey.get(key);
+    if (!current) { byKey.set(key, entry); added++; continue; }
+    const filled = { ...current };
+    for (const [k, v] of Object.entries(entry)) {
+      if ((filled[k] == null || filled[k] === "") && v != null && v !== "") filled[k] = v;
+    }
+    // Unchanged entries keep their identity so sync doesn't see them as edited
+    if (Object.keys(filled).some(k => filled[k] !== current[k])) { updated++; byKey.set(key, filled); }
+  }
+  return { entries: [...byKey.values()], added, updated };
+}
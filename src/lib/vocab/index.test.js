@@ -0,0 +1,74 @@
+import { File } from "node:buffer";
+import { describe, expect, it, vi } from "vitest";
+import { exportVocab, importVocab, mergeWordBanks } from "./index.js";
+
+// sql.js's Node build needs its own wasm file (see anki.test.js)
+vi.mock("sql.js/dist/sql-wasm-browser.wasm?url", async () => {
+  const { createRequire } = await import("node:module");
+  return { default: createRequire(import.meta.url).resolve("sql.js/dist/sql-wasm.wasm") };
+});
+
+const DATE = Date.parse("2026-03-01T12:00:00Z");
+const ENTRIES = [
+  { word: "chat", translation: "cat, puss", lang: "en", sourceLang: "fr", sentence: 'Le "chat" dort.\nIl rêve.', sessionName: "Lesson 1", start: 1200, end: 2400, date: DATE, tags: ["animals", "a1"] },
+  { word: "maison", translation: "house", lang: "en", sourceLang: "fr", date: DATE + 1 },
+];
+
+const file = (contents, name) => new File([contents], name);
+// Imported entries also get a fresh review card
+const imported = (entry) => expect.objectContaining({ ...entry, reps: 0, due: expect.any(Number) });
+
+describe("importVocab", () => {
+  it.each(["csv", "json"])("reads back a %s export", async (format) => {
+    const text = await exportVocab(ENTRIES, format);
+    expect(await importVocab(file(text, `words.${format}`))).toEqual(ENTRIES.map(imported));
+  });
+
+  it("reads back an .apkg export", async () => {
+    const apkg = await exportVocab(ENTRIES, "apkg", { deckName: "French" });
+    const entries = await importVocab(file(apkg, "French.apkg"));
+    expect(entries.map(e => [e.word, e.translation, e.sentence, e.tags])).toEqual([
+      ["chat", "cat, puss", 'Le "chat" dort.\nIl rêve.', ["animals", "a1"]],
+      ["maison", "house", undefined, undefined],
+    ]);
+  });
+
+  it("reads an Anki TSV export", async () => {
+    const entries = await importVocab(file(await exportVocab(ENTRIES, "anki"), "words.txt"));
+    expect(entries[0]).toEqual(imported({ word: "chat", translation: "cat, puss", sentence: 'Le "chat" dort. Il rêve.', tags: ["animals", "a1"] }));
+  });
+
+  it("accepts spreadsheet CSVs with a BOM, other headers and missing fields", async () => {
+    const csv = "﻿Front,Back,Example,Notes\r\nChat ,cat,Le chat,ignored\r\nchien,,,\r\n,orphan,,\r\n";
+    const entries = await importVocab(file(csv, "deck.csv"));
+    expect(entries).toEqual([
+      imported({ word: "chat", translation: "cat", sentence: "Le chat", lang: "" }),
+      imported({ word: "chien", translation: "chien", lang: "" }),
+    ]);
+    expect(entries[0]).not.toHaveProperty("notes");
+  });
+
+  it("refuses CSVs without a word column", async () => {
+    await expect(importVocab(file("Translation,Sentence\r\ncat,Le chat\r\n", "deck.csv"))).rejects.toThrow("needs a Word column");
+  });
+});
+
+describe("mergeWordBanks", () => {
+  const mine = { word: "chat", translation: "cat", lang: "en", deck: "d1", sentence: "", reps: 3, interval: 6 };
+
+  it("adds new entries and fills blanks without overwriting", () => {
+    const incoming = [
+      { word: "chat", translation: "feline", lang: "en", deck: "d1", sentence: "Le chat dort.", reps: 0, interval: 0 },
+      { word: "chat", translation: "gato", lang: "es", deck: "d1" },
+    ];
+    const { entries, added, updated } = mergeWordBanks([mine], incoming);
+    expect({ added, updated }).toEqual({ added: 1, updated: 1 });
+    expect(entries).toEqual([{ ...mine, sentence: "Le chat dort." }, incoming[1]]);
+  });
+
+  it("keeps entries that gained nothing as they were", () => {
+    const { entries, added, updated } = mergeWordBanks([mine], [{ word: "chat", translation: "feline", lang: "en", deck: "d1" }]);
+    expect({ added, updated }).toEqual({ added: 0, updated: 0 });
+    expect(entries[0]).toBe(mine);
+  });
+});
@@ -0,0 +1,72 @@
+import { segmentWords, cleanWord, normalizeLang } from "./text.js";
+
+// Lines from engines with word timings carry `words: [{ text, start, end, speaker? }]`
+// (milliseconds). These helpers line them up with the Intl.Segmenter tokens we render.
+
+// Like segmentWords, but each word segment gets the `start`/`end` of the timed word it
+// falls in. Matching is by character position, so ASR tokens that glue on punctuation
+// ("Hello,") or split differently from the segmenter (Japanese) still line up.
+export function timedSegments(text, timedWords, lang = "en") {
+  const segments = segmentWords(text, lang);
+  if (!timedWords?.length) return segments;
+  const spans = wordSpans(text, timedWords, lang);
+
+  let offset = 0;
+  let si = 0;
+  return segments.map(seg => {
+    const from = offset;
+    offset += seg.text.length;
+    if (!seg.isWord) return seg;
+    while (si < spans.length && spans[si].to <= from) si++;
+    const span = spans[si];
+    return span && span.from < offset ? { ...seg, start: span.start, end: span.end } : seg;
+  });
+}
+
+// Character range of each timed word within `text`, in order; words that no longer
+// appear (e.g. after a correction) are left out.
+export function wordSpans(text, timedWords, lang = "en") {
+  const lower = text.toLocaleLowerCase(normalizeLang(lang));
+  const spans = [];
+  let cursor = 0;
+  timedWords.forEach((w, index) => {
+    const needle = cleanWord(w.text, lang);
+    if (!needle) return;
+    const at = lower.indexOf(needle, cursor);
+    if (at < 0) return;
+    spans.push({ index, from: at, to: at + needle.length, start: w.start, end: w.end });
+    cursor = at + needle.length;
+  });
+  return spans;
+}
+
+// The word being spoken at `ms`: the last one that has started, while it is still
+// running or until the next word begins.
+export function wordAt(timedWords, ms) {
+  if (!timedWords?.length) return -1;
+  let index = -1;
+  for (let i = 0; i < timedWords.length && timedWords[i].start <= ms; i++) index = i;
+  return index >= 0 && ms < Math.max(timedWords[index].end, timedWords[index + 1]?.start ?? 0) ? index : -1;
+}
+
+// Splits a line wherever the word-level speaker changes, so one sentence spoken
+// across a turn boundary becomes one line per speaker.
+export function splitBySpeaker(line) {
+  const { words } = line;
+  if (!words?.length || words.every(w => w.speaker === words[0].speaker)) {
+    return [{ ...line, speaker: words?.[0]?.speaker ?? line.speaker ?? null }];
+  }
+  const runs = [];
+  for (const w of words) {
+    const run = runs.at(-1);
+    if (run && run.speaker === w.speaker) run.words.push(w);
+    else runs.push({ speaker: w.speaker ?? null, words: [w] });
+  }
+  return runs.map(run => ({
+    start: run.words[0].start,
+    end: run.words.at(-1).end,
+    text: run.words.map(w => w.text).join(" "),
+    speaker: run.speaker,
+    words: run.words,
+  }));
+}
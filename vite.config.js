@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  build: {
+    // Read by public/sw.js to precache every chunk for offline use
+    manifest: 'asset-manifest.json',
+  },
+  server: {
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })